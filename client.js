@@ -1,11 +1,24 @@
 const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
 const { StdioClientTransport } = require("@modelcontextprotocol/sdk/client/stdio.js");
 const readline = require('readline');
+const { Writable } = require('stream');
+
+// Output for the command-line interface that can be muted while a password is typed
+const output = new Writable({
+  write(chunk, encoding, callback) {
+    if (!output.muted) {
+      process.stdout.write(chunk, encoding);
+    }
+    callback();
+  }
+});
+output.muted = false;
 
 // Create a command-line interface
 const rl = readline.createInterface({
   input: process.stdin,
-  output: process.stdout
+  output,
+  terminal: Boolean(process.stdin.isTTY)
 });
 
 async function main() {
@@ -43,11 +56,8 @@ async function main() {
     
     // Get details about the When2Meet event
     console.log("Fetching event details...");
-    const eventDetails = await client.callTool({
-      name: "get-event-details",
-      arguments: {
-        eventUrl: eventUrl
-      }
+    const eventDetails = await callTool(client, "get-event-details", {
+      eventUrl: eventUrl
     });
     
     console.log(`\nEvent: ${eventDetails.name}`);
@@ -55,11 +65,8 @@ async function main() {
     
     // Generate the availability prompt
     console.log("\nGenerating availability options...");
-    const promptResult = await client.callTool({
-      name: "generate-availability-prompt",
-      arguments: {
-        eventDetails: eventDetails
-      }
+    const promptResult = await callTool(client, "generate-availability-prompt", {
+      eventDetails: eventDetails
     });
     
     // Display the prompt to the user
@@ -70,14 +77,12 @@ async function main() {
     
     // Parse the selections
     console.log("\nParsing your selections...");
-    const parsedSelections = await client.callTool({
-      name: "parse-availability-selections",
-      arguments: {
-        selections: selections,
-        promptData: {
-          dayGroups: promptResult.dayGroups,
-          slotLookup: promptResult.slotLookup
-        }
+    const parsedSelections = await callTool(client, "parse-availability-selections", {
+      selections: selections,
+      promptData: {
+        dayGroups: promptResult.dayGroups,
+        slotLookup: promptResult.slotLookup,
+        timezone: promptResult.timezone
       }
     });
     
@@ -100,20 +105,28 @@ async function main() {
         
         let password = '';
         if (usePassword.toLowerCase() === 'yes') {
-          password = await askQuestion(rl, "Enter your password: ");
+          password = await askSecret(rl, "Enter your password (leave empty to use a stored one): ");
+          if (password) {
+            const remember = await askQuestion(rl, "Store this password for next time? (yes/no): ");
+            if (remember.toLowerCase() === 'yes') {
+              try {
+                await callTool(client, "save-credential", { eventUrl, userName, password });
+                console.log("Password stored.");
+              } catch (error) {
+                console.error("Could not store the password:", error.message || error);
+              }
+            }
+          }
         }
         
         // Mark availability on When2Meet
         console.log("\nMarking your availability on When2Meet...");
         try {
-          const markResult = await client.callTool({
-            name: "mark-when2meet-availability",
-            arguments: {
-              eventUrl: eventUrl,
-              userName: userName,
-              password: password,
-              timestamps: parsedSelections.timestamps
-            }
+          const markResult = await callTool(client, "mark-when2meet-availability", {
+            eventUrl: eventUrl,
+            userName: userName,
+            ...(password || usePassword.toLowerCase() !== 'yes' ? { password } : { useStoredCredential: true }),
+            timestamps: parsedSelections.timestamps
           });
           
           console.log(`\nMarked ${markResult.markedCount} slots as available`);
@@ -137,6 +150,15 @@ async function main() {
   }
 }
 
+// Helper function to call a tool and return its structured result, throwing if the tool failed
+async function callTool(client, name, args) {
+  const result = await client.callTool({ name, arguments: args });
+  if (result.isError) {
+    throw new Error(result.content.map(item => item.text).join('\n'));
+  }
+  return result.structuredContent;
+}
+
 // Helper function to ask a question and return the answer
 function askQuestion(rl, question) {
   return new Promise(resolve => {
@@ -146,4 +168,18 @@ function askQuestion(rl, question) {
   });
 }
 
+// Helper function to ask for a secret without echoing what is typed
+function askSecret(rl, question) {
+  return new Promise(resolve => {
+    // Show the prompt, then mute the output until the answer is in
+    process.stdout.write(question);
+    output.muted = true;
+    rl.question('', answer => {
+      output.muted = false;
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
 main().catch(console.error);
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * Availability profiles
+ *
+ * Named, reusable availability: a weekly pattern written in the selection language of
+ * parse-availability-selections (e.g. "weekdays 10-12 and 14-17, never Friday afternoons") plus
+ * one-off exceptions for specific dates. Profiles are kept in a local JSON file and resolved
+ * against the time slots of any event.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildAvailableTimeslots } = require('./event-parser');
+const { parseSelections } = require('./selection-parser');
+const { getDateKey, getLocalMinutes, zonedTimeToTimestamp } = require('./timezone');
+
+/**
+ * Create a profile store backed by a JSON file. The file is created on the first save.
+ *
+ * @param {object} options - filePath of the JSON file
+ * @returns {object} Store with list, get, save and remove functions
+ */
+function createProfileStore({ filePath }) {
+  // Saves and removals read and rewrite the whole file, so they run one at a time
+  let pending = Promise.resolve();
+  const serialize = operation => {
+    const run = pending.catch(() => {}).then(operation);
+    pending = run;
+    return run;
+  };
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8')).profiles || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw new Error(`Could not read availability profiles from ${filePath}: ${error.message}`);
+    }
+  }
+
+  async function write(profiles) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify({ profiles }, null, 2));
+  }
+
+  /**
+   * List all profiles, sorted by name.
+   *
+   * @returns {object[]} Profiles
+   */
+  async function list() {
+    const profiles = await read();
+    return Object.keys(profiles).sort().map(name => profiles[name]);
+  }
+
+  /**
+   * Get a profile by name (case-insensitive).
+   *
+   * @param {string} name - Profile name
+   * @returns {object|null} Profile or null if there is none with that name
+   */
+  async function get(name) {
+    const profiles = await read();
+    return profiles[profileKey(name)] || null;
+  }
+
+  /**
+   * Store a profile.
+   *
+   * @param {object} profile - name, weekly, exceptions, timezone and description
+   * @param {object} options - replace an existing profile of the same name (default false)
+   * @returns {object} The stored profile
+   */
+  function save(profile, { replace = false } = {}) {
+    return serialize(async () => {
+      const profiles = await read();
+      const key = profileKey(profile.name);
+      if (profiles[key] && !replace) {
+        throw new Error(`A profile named "${profiles[key].name}" already exists`);
+      }
+      profiles[key] = profile;
+      await write(profiles);
+      return profile;
+    });
+  }
+
+  /**
+   * Delete a profile.
+   *
+   * @param {string} name - Profile name
+   * @returns {boolean} True if a profile was deleted
+   */
+  function remove(name) {
+    return serialize(async () => {
+      const profiles = await read();
+      const key = profileKey(name);
+      if (!profiles[key]) {
+        return false;
+      }
+      delete profiles[key];
+      await write(profiles);
+      return true;
+    });
+  }
+
+  return {
+    list,
+    get,
+    save,
+    remove
+  };
+}
+
+function profileKey(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Parse an HH:MM time of day.
+ *
+ * @param {string} value - Time such as "09:30" or "17:00"; "24:00" is the end of the day
+ * @returns {number} Minutes after midnight
+ */
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+  const minutes = match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+  if (!match || parseInt(match[2], 10) > 59 || minutes > 24 * 60) {
+    throw new Error(`"${value}" is not a time of day; use HH:MM, e.g. 09:30`);
+  }
+  return minutes;
+}
+
+/**
+ * Check a profile's exceptions and turn their times into minutes.
+ *
+ * @param {object[]} exceptions - { date (YYYY-MM-DD), available, optional start and end (HH:MM), optional note }
+ * @returns {object[]} Exceptions with start and end in minutes after midnight
+ */
+function normalizeExceptions(exceptions = []) {
+  return exceptions.map(exception => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(exception.date)) {
+      throw new Error(`Exception date "${exception.date}" must be YYYY-MM-DD`);
+    }
+    const start = exception.start !== undefined ? parseClockTime(exception.start) : 0;
+    const end = exception.end !== undefined ? parseClockTime(exception.end) : 24 * 60;
+    if (end <= start) {
+      throw new Error(`Exception on ${exception.date} ends before it starts`);
+    }
+    return { ...exception, start, end };
+  });
+}
+
+/**
+ * Build one week of 15-minute slots (Monday to Sunday) to check a weekly pattern against.
+ *
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {object[]} Timeslots as returned by the event parser
+ */
+function buildReferenceWeek(timeZone) {
+  const slots = [];
+  for (let day = 0; day < 7; day++) {
+    for (let minutes = 0; minutes < 24 * 60; minutes += 15) {
+      // The week of Monday, January 3, 2000 has no DST changes in any timezone that uses them
+      const timestamp = zonedTimeToTimestamp(
+        { year: 2000, month: 1, day: 3 + day, hour: Math.floor(minutes / 60), minute: minutes % 60 },
+        timeZone
+      );
+      slots.push({ timestamp, readableTime: '', col: day, row: minutes / 15, elementId: `GroupTime${timestamp}` });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Resolve a profile against an event's time slots.
+ *
+ * @param {object} profile - name, weekly, exceptions and timezone
+ * @param {object[]} timeslots - The event's slots (allTimeslots from get-event-details)
+ * @returns {object} Sorted timestamps the profile is available in, the ones among them that are only
+ *   "if needed", and warnings for parts of the weekly pattern that weren't understood
+ */
+function resolveProfile(profile, timeslots) {
+  const timeZone = profile.timezone;
+  const { dayGroups } = buildAvailableTimeslots(timeslots, timeZone);
+  const weekly = profile.weekly
+    ? parseSelections(profile.weekly, { dayGroups, slotLookup: {}, timeZone })
+    : { timestamps: [], ifNeeded: [], warnings: [] };
+
+  const available = new Set(weekly.timestamps);
+  const ifNeeded = new Set(weekly.ifNeeded);
+  normalizeExceptions(profile.exceptions).forEach(exception => {
+    timeslots.forEach(slot => {
+      const minutes = getLocalMinutes(slot.timestamp, timeZone);
+      if (getDateKey(slot.timestamp, timeZone) === exception.date && minutes >= exception.start && minutes < exception.end) {
+        if (exception.available) {
+          available.add(slot.timestamp);
+          ifNeeded.delete(slot.timestamp);
+        } else {
+          available.delete(slot.timestamp);
+        }
+      }
+    });
+  });
+
+  const timestamps = [...available].sort((a, b) => a - b);
+  return {
+    timestamps,
+    ifNeeded: timestamps.filter(timestamp => ifNeeded.has(timestamp)),
+    warnings: weekly.warnings
+  };
+}
+
+/**
+ * Check a profile before it is stored: exception dates and times must be valid and the whole
+ * weekly pattern must be understood.
+ *
+ * @param {object} profile - name, weekly, exceptions and timezone
+ * @returns {number} Hours per week the weekly pattern covers
+ */
+function validateProfile(profile) {
+  normalizeExceptions(profile.exceptions);
+  const { timestamps, warnings } = resolveProfile({ ...profile, exceptions: [] }, buildReferenceWeek(profile.timezone));
+  if (warnings.length > 0) {
+    throw new Error(`Could not use the weekly pattern: ${warnings.join('; ')}`);
+  }
+  return timestamps.length / 4;
+}
+
+module.exports = {
+  createProfileStore,
+  resolveProfile,
+  validateProfile
+};
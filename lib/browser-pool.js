@@ -0,0 +1,169 @@
+/**
+ * Shared browser pool
+ *
+ * Keeps one long-lived browser for the Puppeteer code paths and hands out a bounded number of
+ * pages at a time, each in its own browser context so sign-ins don't leak between requests.
+ * Requests beyond the limit wait in a queue with a timeout, a crashed browser is relaunched on
+ * the next request, and shutdown closes the browser once running tasks finish.
+ */
+
+/**
+ * Create a browser pool.
+ *
+ * @param {object} options - launch() returning a Puppeteer browser, maxPages (default 2),
+ *   queueTimeoutMs (default 30000), taskTimeoutMs (default 120000) and shutdownGraceMs (default 10000)
+ * @returns {object} withPage, stats and shutdown functions
+ */
+function createBrowserPool({ launch, maxPages = 2, queueTimeoutMs = 30000, taskTimeoutMs = 120000, shutdownGraceMs = 10000 }) {
+  let browser = null;
+  let launching = null;
+  let shuttingDown = false;
+  let activePages = 0;
+  const queue = [];
+  const counters = { launches: 0, crashes: 0, completed: 0, failed: 0, timedOut: 0 };
+
+  // Launch the browser if it isn't running, sharing one launch between concurrent callers
+  async function getBrowser() {
+    if (browser) {
+      return browser;
+    }
+    if (!launching) {
+      launching = (async () => {
+        const launched = await launch();
+        counters.launches++;
+        launched.on('disconnected', () => {
+          if (browser === launched) {
+            browser = null;
+            if (!shuttingDown) {
+              counters.crashes++;
+            }
+          }
+        });
+        browser = launched;
+        return launched;
+      })().finally(() => {
+        launching = null;
+      });
+    }
+    return launching;
+  }
+
+  function acquirePage() {
+    if (shuttingDown) {
+      return Promise.reject(new Error("The browser pool is shutting down"));
+    }
+    if (activePages < maxPages) {
+      activePages++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        queue.splice(queue.indexOf(waiter), 1);
+        counters.timedOut++;
+        reject(new Error(`Timed out after ${queueTimeoutMs / 1000}s waiting for a browser page (${queue.length} requests still queued)`));
+      }, queueTimeoutMs);
+      queue.push(waiter);
+    });
+  }
+
+  function releasePage() {
+    const next = queue.shift();
+    if (next) {
+      // Hand the page slot straight to the next request in line
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      activePages--;
+    }
+  }
+
+  /**
+   * Run a task with a page from the pool. The page's browser context is closed afterwards.
+   *
+   * @param {function} task - async (page) => result
+   * @returns {*} The task's result
+   */
+  async function withPage(task) {
+    await acquirePage();
+
+    let context = null;
+    try {
+      const currentBrowser = await getBrowser();
+      context = await currentBrowser.createBrowserContext();
+      const page = await context.newPage();
+
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          counters.timedOut++;
+          reject(new Error(`Browser task timed out after ${taskTimeoutMs / 1000}s`));
+        }, taskTimeoutMs);
+      });
+
+      try {
+        const result = await Promise.race([task(page), timeout]);
+        counters.completed++;
+        return result;
+      } finally {
+        clearTimeout(timer);
+      }
+    } catch (error) {
+      counters.failed++;
+      throw error;
+    } finally {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      releasePage();
+    }
+  }
+
+  /**
+   * Get the pool's current usage for health checks.
+   *
+   * @returns {object} Browser state, page usage, queue depth and counters
+   */
+  function stats() {
+    return {
+      browserRunning: browser !== null,
+      maxPages,
+      activePages,
+      queued: queue.length,
+      ...counters
+    };
+  }
+
+  /**
+   * Stop accepting tasks, reject queued ones, give running tasks a moment to finish and close the browser.
+   */
+  async function shutdown() {
+    shuttingDown = true;
+    queue.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error("The browser pool is shutting down"));
+    });
+
+    const deadline = Date.now() + shutdownGraceMs;
+    while (activePages > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const runningBrowser = browser || (launching && await launching.catch(() => null));
+    browser = null;
+    if (runningBrowser) {
+      await runningBrowser.close().catch(() => {});
+    }
+  }
+
+  return {
+    withPage,
+    stats,
+    shutdown
+  };
+}
+
+module.exports = {
+  createBrowserPool
+};
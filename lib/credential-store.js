@@ -0,0 +1,184 @@
+/**
+ * Credential store
+ *
+ * Keeps When2Meet passwords in a local JSON file, encrypted with AES-256-GCM under a key derived
+ * from a passphrase in the environment, so tools can refer to a stored password by event and user
+ * name instead of receiving it in their arguments. Event IDs and user names are stored in clear
+ * text; only the passwords are encrypted.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { addSecret } = require('./redact');
+
+const FILE_VERSION = 1;
+
+/**
+ * Create a credential store backed by a JSON file. The file is created on the first save, readable
+ * only by its owner.
+ *
+ * @param {object} options - filePath of the JSON file and passphrase to derive the encryption key from
+ *   (without one, the store refuses to save or read passwords)
+ * @returns {object} Store with enabled, list, get, save and remove functions
+ */
+function createCredentialStore({ filePath, passphrase }) {
+  addSecret(passphrase);
+
+  // Saves and removals read and rewrite the whole file, so they run one at a time
+  let pending = Promise.resolve();
+  const serialize = operation => {
+    const run = pending.catch(() => {}).then(operation);
+    pending = run;
+    return run;
+  };
+
+  // Deriving the key is deliberately slow, so keep it per salt
+  const keys = new Map();
+  const getKey = salt => {
+    if (!passphrase) {
+      throw new Error('Stored credentials are disabled; set WHEN2MEET_CREDENTIAL_KEY to enable them');
+    }
+    if (!keys.has(salt)) {
+      keys.set(salt, crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32));
+    }
+    return keys.get(salt);
+  };
+
+  async function read() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      return { salt: data.salt, credentials: data.credentials || {} };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { salt: crypto.randomBytes(16).toString('base64'), credentials: {} };
+      }
+      throw new Error(`Could not read stored credentials from ${filePath}: ${error.message}`);
+    }
+  }
+
+  // Write a temporary file next to the store and rename it over the store, so the store is never
+  // half-written and is only ever readable by its owner (writeFile's mode only applies to new files)
+  async function write(data) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify({ version: FILE_VERSION, ...data }, null, 2), { mode: 0o600, flag: 'wx' });
+      await fs.promises.chmod(tempPath, 0o600);
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * List the stored credentials without their passwords.
+   *
+   * @returns {object[]} eventKey, userName and savedAt of each credential, sorted by event and name
+   */
+  async function list() {
+    const { credentials } = await read();
+    return Object.keys(credentials).sort().map(id => {
+      const { eventKey, userName, savedAt } = credentials[id];
+      return { eventKey, userName, savedAt };
+    });
+  }
+
+  /**
+   * Get a stored password.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   * @param {string} userName - Name the participant signs in with (case-insensitive)
+   * @returns {string|null} Password, or null if none is stored for the event and name
+   */
+  async function get(eventKey, userName) {
+    const { salt, credentials } = await read();
+    const id = credentialId(eventKey, userName);
+    const credential = credentials[id];
+    if (!credential) {
+      return null;
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(salt), Buffer.from(credential.iv, 'base64'));
+      decipher.setAAD(Buffer.from(id));
+      decipher.setAuthTag(Buffer.from(credential.tag, 'base64'));
+      const password = Buffer.concat([decipher.update(Buffer.from(credential.data, 'base64')), decipher.final()]).toString('utf8');
+      addSecret(password);
+      return password;
+    } catch (error) {
+      if (!passphrase) {
+        throw error;
+      }
+      throw new Error(`Could not decrypt the stored password for ${credential.userName} on ${eventKey}; check WHEN2MEET_CREDENTIAL_KEY`);
+    }
+  }
+
+  /**
+   * Store a password, replacing any stored for the same event and name.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   * @param {string} userName - Name the participant signs in with
+   * @param {string} password - Password to encrypt
+   * @returns {object} eventKey, userName and savedAt of the stored credential
+   */
+  function save(eventKey, userName, password) {
+    addSecret(password);
+    return serialize(async () => {
+      const data = await read();
+      const id = credentialId(eventKey, userName);
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', getKey(data.salt), iv);
+      // Bind the ciphertext to its event and name so entries can't be swapped in the file
+      cipher.setAAD(Buffer.from(id));
+      const encrypted = Buffer.concat([cipher.update(password, 'utf8'), cipher.final()]);
+
+      const stored = { eventKey, userName: userName.trim(), savedAt: new Date().toISOString() };
+      data.credentials[id] = {
+        ...stored,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: encrypted.toString('base64')
+      };
+      await write(data);
+      return stored;
+    });
+  }
+
+  /**
+   * Delete a stored password.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   * @param {string} userName - Name the participant signs in with
+   * @returns {boolean} True if a credential was deleted
+   */
+  function remove(eventKey, userName) {
+    return serialize(async () => {
+      const data = await read();
+      const id = credentialId(eventKey, userName);
+      if (!data.credentials[id]) {
+        return false;
+      }
+      delete data.credentials[id];
+      await write(data);
+      return true;
+    });
+  }
+
+  return {
+    enabled: Boolean(passphrase),
+    list,
+    get,
+    save,
+    remove
+  };
+}
+
+function credentialId(eventKey, userName) {
+  return `${eventKey}/${userName.trim().toLowerCase()}`;
+}
+
+module.exports = {
+  createCredentialStore
+};
@@ -0,0 +1,366 @@
+/**
+ * Event export
+ *
+ * Turns scraped event details into files other tools can read: a CSV with one row per slot and a
+ * column per participant, a JSON heatmap of how many people are available in each slot (with a
+ * day × time matrix), and an iCalendar file with the best meeting windows as tentative events.
+ */
+
+const { isWeekdayOnlyTimestamp } = require('./event-parser');
+const { getDateKey, getDayName, getLocalMinutes, getUtcOffset, getWeekday, zonedTimeToTimestamp } = require('./timezone');
+
+/**
+ * Format minutes after midnight as HH:MM.
+ *
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} e.g. "09:30"
+ */
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get the day a slot belongs to: its local date, or its weekday for days-of-the-week polls.
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {string} YYYY-MM-DD or a weekday name
+ */
+function getSlotDay(timestamp, timeZone) {
+  return isWeekdayOnlyTimestamp(timestamp) ? getDayName(timestamp, timeZone) : getDateKey(timestamp, timeZone);
+}
+
+/**
+ * Quote a CSV field if it contains a separator, quote or line break. Fields that spreadsheets would
+ * read as a formula (starting with =, +, -, @, a tab or a carriage return) get a leading apostrophe,
+ * so a participant named "=HYPERLINK(...)" stays text.
+ *
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the event grid as CSV: one row per slot with its day, local time, the number of people
+ * available and a 1/0 column per participant.
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @param {string} timeZone - Optional IANA timezone for the day and time columns
+ * @returns {string} CSV text with CRLF line endings
+ */
+function exportCsv(eventDetails, timeZone) {
+  const names = (eventDetails.participants || []).map(participant => participant.name);
+  const availabilityBySlot = eventDetails.availabilityBySlot || {};
+  const slots = getSortedSlots(eventDetails);
+
+  const rows = [['timestamp', 'day', 'time', 'available', ...names]];
+  slots.forEach(slot => {
+    const available = availabilityBySlot[slot.timestamp] || [];
+    rows.push([
+      slot.timestamp,
+      getSlotDay(slot.timestamp, timeZone),
+      formatClock(getLocalMinutes(slot.timestamp, timeZone)),
+      available.length,
+      ...names.map(name => (available.includes(name) ? 1 : 0))
+    ]);
+  });
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export the event as a JSON heatmap: the count of available people per slot, plus a matrix with a
+ * row per day group and a column per local time of day (null where the day has no such slot).
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @param {string} timeZone - Optional IANA timezone for days and times
+ * @returns {object} event, participants, slots and matrix
+ */
+function exportHeatmap(eventDetails, timeZone) {
+  const names = (eventDetails.participants || []).map(participant => participant.name);
+  const availabilityBySlot = eventDetails.availabilityBySlot || {};
+  const dayGroups = (eventDetails.availableTimeslots && eventDetails.availableTimeslots.dayGroups) || [];
+  const countAt = timestamp => (availabilityBySlot[timestamp] || []).length;
+
+  const slots = getSortedSlots(eventDetails).map(slot => ({
+    timestamp: slot.timestamp,
+    day: getSlotDay(slot.timestamp, timeZone),
+    time: formatClock(getLocalMinutes(slot.timestamp, timeZone)),
+    count: countAt(slot.timestamp),
+    available: availabilityBySlot[slot.timestamp] || []
+  }));
+
+  // Columns are every local time of day that occurs in any day group
+  const minutesOf = slot => getLocalMinutes(slot.timestamp, timeZone);
+  const columns = [...new Set(dayGroups.flatMap(day => day.slots.map(minutesOf)))].sort((a, b) => a - b);
+  const counts = dayGroups.map(day => {
+    const row = columns.map(() => null);
+    day.slots.forEach(slot => {
+      row[columns.indexOf(minutesOf(slot))] = countAt(slot.timestamp);
+    });
+    return row;
+  });
+
+  return {
+    event: {
+      name: eventDetails.name,
+      url: eventDetails.url,
+      eventType: eventDetails.eventType,
+      dateRange: eventDetails.dateRange,
+      timezone: timeZone || null
+    },
+    participants: names,
+    slots,
+    matrix: {
+      days: dayGroups.map(day => getSlotDay(day.slots[0].timestamp, timeZone)),
+      times: columns.map(formatClock),
+      counts,
+      maxCount: names.length
+    }
+  };
+}
+
+/**
+ * Escape text for an iCalendar TEXT value.
+ *
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function icsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets of UTF-8 per line, as iCalendar requires, without
+ * splitting a character.
+ *
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  // Continuation lines start with a space, which counts towards their 75
+  let limit = 75;
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+      limit = 74;
+    }
+    current += character;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC date-time.
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @returns {string} e.g. 20250407T090000Z
+ */
+function icsUtc(timestamp) {
+  return new Date(timestamp * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a UTC offset for iCalendar.
+ *
+ * @param {number} minutes - Offset in minutes
+ * @returns {string} e.g. -0500
+ */
+function icsOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  return `${sign}${formatClock(Math.abs(minutes)).replace(':', '')}`;
+}
+
+/**
+ * Find the moments a timezone's offset changes during a year.
+ *
+ * @param {string} timeZone - IANA timezone
+ * @param {number} year - Year
+ * @returns {object[]} timestamp of each change with the offset before (from) and after (to) it
+ */
+function getOffsetChanges(timeZone, year) {
+  const changes = [];
+  const end = Date.UTC(year + 1, 0, 1) / 1000;
+  for (let day = Date.UTC(year, 0, 1) / 1000; day < end; day += 86400) {
+    const from = getUtcOffset(day, timeZone);
+    const to = getUtcOffset(day + 86400, timeZone);
+    if (from === to) {
+      continue;
+    }
+    // Narrow the change down to the minute
+    let before = day;
+    let after = day + 86400;
+    while (after - before > 60) {
+      const middle = before + Math.floor((after - before) / 120) * 60;
+      if (getUtcOffset(middle, timeZone) === from) {
+        before = middle;
+      } else {
+        after = middle;
+      }
+    }
+    changes.push({ timestamp: after, from, to });
+  }
+  return changes;
+}
+
+/**
+ * Describe a timezone as an iCalendar VTIMEZONE, with yearly rules for its offset changes
+ * worked out from the year before the first event (e.g. the second Sunday of March).
+ *
+ * @param {string} timeZone - IANA timezone
+ * @param {number} year - Year of the first event that uses the timezone
+ * @returns {string[]} Content lines of the VTIMEZONE
+ */
+function icsTimeZone(timeZone, year) {
+  const pad = value => String(value).padStart(2, '0');
+  const changes = getOffsetChanges(timeZone, year - 1);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (changes.length === 0) {
+    const offset = icsOffset(getUtcOffset(Date.UTC(year, 0, 1) / 1000, timeZone));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+  changes.forEach(change => {
+    // Observances start at the local time the clocks show just before the change
+    const onset = new Date((change.timestamp + change.from * 60) * 1000);
+    const day = onset.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(onset.getUTCFullYear(), onset.getUTCMonth() + 1, 0)).getUTCDate();
+    const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    const type = change.to > change.from ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${onset.getUTCFullYear()}${pad(onset.getUTCMonth() + 1)}${pad(day)}T${pad(onset.getUTCHours())}${pad(onset.getUTCMinutes())}00`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${onset.getUTCMonth() + 1};BYDAY=${week}${['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][onset.getUTCDay()]}`,
+      `TZOFFSETFROM:${icsOffset(change.from)}`,
+      `TZOFFSETTO:${icsOffset(change.to)}`,
+      `END:${type}`
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Find the next time a weekly slot of a days-of-the-week poll happens.
+ *
+ * @param {number} timestamp - Slot timestamp on When2Meet's reference week
+ * @param {string} timeZone - IANA timezone
+ * @param {number} now - Current time in seconds
+ * @returns {object} year, month, day, hour and minute of the next occurrence in the timezone
+ */
+function nextWeeklyOccurrence(timestamp, timeZone, now) {
+  const minutes = getLocalMinutes(timestamp, timeZone);
+  const [year, month, day] = getDateKey(now, timeZone).split('-').map(part => parseInt(part, 10));
+  const daysAhead = (getWeekday(timestamp, timeZone) - getWeekday(now, timeZone) + 7) % 7;
+
+  for (const extraDays of [daysAhead, daysAhead + 7]) {
+    const date = new Date(Date.UTC(year, month - 1, day + extraDays));
+    const wallTime = {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60
+    };
+    if (zonedTimeToTimestamp(wallTime, timeZone) >= now) {
+      return wallTime;
+    }
+  }
+}
+
+/**
+ * Export meeting windows as an iCalendar file of tentative events. Windows of a days-of-the-week
+ * poll become weekly recurring events starting at their next occurrence, in the timezone the file
+ * describes in a VTIMEZONE so they keep their local time across DST changes.
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @param {object[]} windows - Ranked windows from findBestMeetingTimes
+ * @param {object} options - timeZone (IANA name, used for weekly polls), eventKey for the UIDs and now (seconds)
+ * @returns {string} ICS text
+ */
+function exportIcs(eventDetails, windows, { timeZone, eventKey, now = Math.floor(Date.now() / 1000) } = {}) {
+  const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const pad = value => String(value).padStart(2, '0');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//when2meet-mcp//Event Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(eventDetails.name)}`
+  ];
+  const weeklyStarts = windows
+    .filter(window => isWeekdayOnlyTimestamp(window.startTimestamp))
+    .map(window => nextWeeklyOccurrence(window.startTimestamp, zone, now));
+  if (weeklyStarts.length > 0) {
+    lines.push(...icsTimeZone(zone, Math.min(...weeklyStarts.map(start => start.year))));
+  }
+
+  windows.forEach((window, index) => {
+    const description = [
+      `Available (${window.availableCount}): ${window.available.join(', ') || 'nobody'}`,
+      window.ifNeeded.length > 0 ? `If needed: ${window.ifNeeded.join(', ')}` : null,
+      window.unavailable.length > 0 ? `Missing: ${window.unavailable.join(', ')}` : null,
+      eventDetails.url ? `When2Meet: ${eventDetails.url}` : null
+    ].filter(Boolean).join('\n');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${eventKey || 'event'}-${window.startTimestamp}@when2meet-mcp`,
+      `DTSTAMP:${icsUtc(now)}`
+    );
+    if (isWeekdayOnlyTimestamp(window.startTimestamp)) {
+      const start = nextWeeklyOccurrence(window.startTimestamp, zone, now);
+      lines.push(
+        `DTSTART;TZID=${zone}:${start.year}${pad(start.month)}${pad(start.day)}T${pad(start.hour)}${pad(start.minute)}00`,
+        `DURATION:PT${Math.round((window.endTimestamp - window.startTimestamp) / 60)}M`,
+        'RRULE:FREQ=WEEKLY'
+      );
+    } else {
+      lines.push(`DTSTART:${icsUtc(window.startTimestamp)}`, `DTEND:${icsUtc(window.endTimestamp)}`);
+    }
+    lines.push(
+      `SUMMARY:${icsText(`${eventDetails.name} (option ${index + 1})`)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      'STATUS:TENTATIVE',
+      'TRANSP:TRANSPARENT'
+    );
+    if (eventDetails.url) {
+      lines.push(`URL:${eventDetails.url}`);
+    }
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function getSortedSlots(eventDetails) {
+  const slots = (eventDetails.availableTimeslots && eventDetails.availableTimeslots.allTimeslots) || [];
+  return [...slots].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+module.exports = {
+  exportCsv,
+  exportHeatmap,
+  exportIcs
+};
@@ -0,0 +1,394 @@
+/**
+ * When2Meet event page parser
+ *
+ * Turns the raw data of a When2Meet event page into the event details returned by the tools.
+ * Works both on data collected by Puppeteer and on plain HTML fetched over HTTP, so read-only
+ * scraping does not need a browser.
+ */
+
+const { formatDate, formatShortDate, formatTime, getDateKey, getDayName } = require('./timezone');
+
+// Days-of-the-week polls have no calendar dates: When2Meet lays their slots out on the first week
+// of 1970, starting Sunday, January 4. Nothing before January 12, 1970 belongs to a dated event.
+const DAYS_OF_WEEK_END = 11 * 24 * 60 * 60;
+
+const DEFAULT_SLOT_SECONDS = 15 * 60;
+
+/**
+ * Check whether a slot belongs to a days-of-the-week poll rather than to a specific date.
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @returns {boolean} True for weekday-only slots
+ */
+function isWeekdayOnlyTimestamp(timestamp) {
+  return timestamp < DAYS_OF_WEEK_END;
+}
+
+/**
+ * Work out the When2Meet event type from its slots.
+ *
+ * @param {object[]} timeslots - Slots with timestamp
+ * @returns {string} "daysOfTheWeek" for generic weekly polls, otherwise "specificDates"
+ */
+function getEventType(timeslots) {
+  return timeslots.length > 0 && timeslots.every(slot => isWeekdayOnlyTimestamp(slot.timestamp))
+    ? 'daysOfTheWeek'
+    : 'specificDates';
+}
+
+/**
+ * Format the day of a slot: its short date, or only the weekday for days-of-the-week polls.
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {string} e.g. "4/14/2025" or "Monday"
+ */
+function formatSlotDate(timestamp, timeZone) {
+  return isWeekdayOnlyTimestamp(timestamp) ? getDayName(timestamp, timeZone) : formatShortDate(timestamp, timeZone);
+}
+
+/**
+ * Work out how long an event's slots are from the smallest gap between two of them.
+ *
+ * @param {object[]} timeslots - Slots with timestamp
+ * @returns {number} Slot length in seconds; 900 (When2Meet's 15 minutes) if there are fewer than two slots
+ */
+function inferSlotSeconds(timeslots) {
+  const timestamps = [...new Set(timeslots.map(slot => slot.timestamp))].sort((a, b) => a - b);
+  let smallestGap = Infinity;
+  for (let index = 1; index < timestamps.length; index++) {
+    smallestGap = Math.min(smallestGap, timestamps[index] - timestamps[index - 1]);
+  }
+  return Number.isFinite(smallestGap) ? smallestGap : DEFAULT_SLOT_SECONDS;
+}
+
+/**
+ * Group raw time slots by day and organize them into continuous time blocks.
+ * With a timezone, days are the calendar dates in that timezone, except that a grid column
+ * running past midnight stays in the day it started; without one, the When2Meet grid columns
+ * are used and labels follow the server's timezone. Days of a days-of-the-week poll have a
+ * dayName but no fullDate. Blocks end when their last slot ends.
+ *
+ * @param {object[]} timeslots - Slots with timestamp, readableTime, col, row and elementId
+ * @param {string} timeZone - Optional IANA timezone for day grouping and labels
+ * @returns {object} allTimeslots, dayGroups, formattedAvailability and slotMinutes
+ */
+function buildAvailableTimeslots(timeslots, timeZone) {
+  const days = [];
+  const slotSeconds = inferSlotSeconds(timeslots);
+
+  // Collect the slots of each day in time order
+  const slotsByDay = [];
+  if (timeZone) {
+    const slotsByDate = {};
+    let previousSlot = null;
+    [...timeslots].sort((a, b) => a.timestamp - b.timestamp).forEach(slot => {
+      const continuesColumn = previousSlot && previousSlot.col === slot.col;
+      previousSlot = slot;
+      if (continuesColumn) {
+        slotsByDay[slotsByDay.length - 1].push(slot);
+        return;
+      }
+
+      const dateKey = getDateKey(slot.timestamp, timeZone);
+      if (!slotsByDate[dateKey]) {
+        slotsByDate[dateKey] = [];
+        slotsByDay.push(slotsByDate[dateKey]);
+      }
+      slotsByDate[dateKey].push(slot);
+    });
+  } else {
+    const maxCol = Math.max(...timeslots.map(slot => slot.col));
+    for (let col = 0; col <= maxCol; col++) {
+      // Get all slots for this day and sort by row (time)
+      slotsByDay.push(timeslots.filter(slot => slot.col === col).sort((a, b) => a.row - b.row));
+    }
+  }
+
+  slotsByDay.forEach((daySlots, groupIndex) => {
+    if (daySlots.length > 0) {
+      // Get day info from first slot
+      const firstSlot = daySlots[0];
+      const dayName = getDayName(firstSlot.timestamp, timeZone);
+      const fullDate = isWeekdayOnlyTimestamp(firstSlot.timestamp) ? null : formatDate(firstSlot.timestamp, timeZone);
+
+      // Create time blocks by identifying continuous slots
+      const timeBlocks = [];
+      let currentBlock = null;
+
+      daySlots.forEach((slot, index) => {
+        const time = formatTime(slot.timestamp, timeZone);
+        const endTimestamp = slot.timestamp + slotSeconds;
+        const endTime = formatTime(endTimestamp, timeZone);
+
+        // Create a new block if we don't have one
+        if (!currentBlock) {
+          currentBlock = {
+            startTimestamp: slot.timestamp,
+            endTimestamp,
+            startTime: time,
+            endTime,
+            timestamps: [slot.timestamp]
+          };
+        } else {
+          // Check if this slot is continuous with the current block
+          if (slot.timestamp === currentBlock.endTimestamp) {
+            // This is continuous, extend the block
+            currentBlock.endTimestamp = endTimestamp;
+            currentBlock.endTime = endTime;
+            currentBlock.timestamps.push(slot.timestamp);
+          } else {
+            // This is a new block, save the current one and start new
+            timeBlocks.push(currentBlock);
+            currentBlock = {
+              startTimestamp: slot.timestamp,
+              endTimestamp,
+              startTime: time,
+              endTime,
+              timestamps: [slot.timestamp]
+            };
+          }
+        }
+
+        // If this is the last slot, add the current block
+        if (index === daySlots.length - 1 && currentBlock) {
+          timeBlocks.push(currentBlock);
+        }
+      });
+
+      days.push({
+        dayName,
+        fullDate,
+        dayIndex: timeZone ? groupIndex : firstSlot.col,
+        timeBlocks,
+        slots: daySlots
+      });
+    }
+  });
+
+  // Create an array of formatted availability strings
+  const formattedAvailability = days.map(day => {
+    const blocks = day.timeBlocks.map(block =>
+      `${block.startTime} - ${block.endTime}`
+    ).join(', ');
+
+    return `${day.fullDate || day.dayName}: ${blocks}`;
+  });
+
+  return {
+    allTimeslots: timeslots,
+    dayGroups: days,
+    formattedAvailability,
+    slotMinutes: slotSeconds / 60
+  };
+}
+
+/**
+ * Build the participant list and per-slot availability from the page's script data.
+ * When2Meet lets several people sign in under the same name; they are told apart by their person ID
+ * and the later ones get a number after their name ("Alex (2)"), so each name is one person.
+ *
+ * @param {object} data - PeopleNames, PeopleIDs, AvailableAtSlot and TimeOfSlot arrays from the page
+ * @returns {object} participants and availabilityBySlot (timestamp -> names)
+ */
+function buildGroupAvailability({ peopleNames = [], peopleIds = [], availableAtSlot = [], timeOfSlot = [] }) {
+  // Map When2Meet person IDs to participants with unique display names
+  const usedNames = new Set();
+  const participantsById = new Map();
+  const participants = peopleNames.map((name, index) => {
+    let uniqueName = name;
+    for (let count = 2; usedNames.has(uniqueName); count++) {
+      uniqueName = `${name} (${count})`;
+    }
+    usedNames.add(uniqueName);
+
+    const participant = { id: peopleIds[index], name: uniqueName, slotCount: 0 };
+    participantsById.set(String(peopleIds[index]), participant);
+    return participant;
+  });
+
+  // Build a map of timestamp -> names of people available in that slot, counting each person's slots
+  const availabilityBySlot = {};
+  timeOfSlot.forEach((timestamp, slotIndex) => {
+    const available = (availableAtSlot[slotIndex] || [])
+      .map(id => participantsById.get(String(id)))
+      .filter(participant => participant !== undefined);
+    available.forEach(participant => {
+      participant.slotCount++;
+    });
+    availabilityBySlot[timestamp] = available.map(participant => participant.name);
+  });
+
+  return { participants, availabilityBySlot };
+}
+
+/**
+ * Decode the HTML entities that appear in When2Meet titles and attributes.
+ *
+ * @param {string} text - Raw HTML text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Strip tags and collapse whitespace in an HTML fragment.
+ *
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+function textContent(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse the attributes of a single opening tag.
+ *
+ * @param {string} tag - Opening tag such as <div id="x" data-time="1">
+ * @returns {object} Attribute names mapped to decoded values
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const attributePattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+  while ((match = attributePattern.exec(tag)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Unescape a single-quoted or double-quoted JavaScript string literal body.
+ *
+ * @param {string} value - String literal contents without the quotes
+ * @returns {string} Unescaped value
+ */
+function unescapeScriptString(value) {
+  return value.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (match, escaped) => {
+    if (escaped[0] === 'u' || escaped[0] === 'x') {
+      return String.fromCharCode(parseInt(escaped.slice(1), 16));
+    }
+    return escaped;
+  });
+}
+
+/**
+ * Find the text of the first element that looks like a date header, falling back to the title.
+ * Mirrors the selectors the browser scraper tries.
+ *
+ * @param {string} html - Event page HTML
+ * @param {string} title - Page title without the When2Meet suffix
+ * @returns {string} Date range text
+ */
+function findDateRange(html, title) {
+  const patterns = [
+    /<(\w+)[^>]*class=["'][^"']*\bdateHeader\b[^"']*["'][^>]*>([\s\S]*?)<\/\1>/i,
+    /<(\w+)[^>]*class=["'][^"']*\btimeHeader\b[^"']*["'][^>]*>([\s\S]*?)<\/\1>/i,
+    /<(h1)\b[^>]*>([\s\S]*?)<\/h1>/i
+  ];
+
+  for (const pattern of patterns) {
+    const match = html.match(pattern);
+    if (match && textContent(match[2])) {
+      return textContent(match[2]);
+    }
+  }
+
+  return title || "Date information not found";
+}
+
+/**
+ * Parse a When2Meet event page without a browser.
+ * Reads the GroupGridSlots elements' data attributes and the inline script that defines
+ * TimeOfSlot, PeopleNames, PeopleIDs and AvailableAtSlot.
+ *
+ * @param {string} html - Event page HTML
+ * @param {string} url - The When2Meet URL the page was loaded from
+ * @param {string} timeZone - Optional IANA timezone for day grouping and labels
+ * @returns {object} Event details in the same shape as the browser scraper
+ */
+function parseEventHtml(html, url, timeZone) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const name = titleMatch ? textContent(titleMatch[1]).replace(/ - When2Meet$/, '') : '';
+  const dateRange = findDateRange(html, name);
+
+  // Collect the group grid slots from their data attributes
+  const timeslots = [];
+  const slotTagPattern = /<div\b[^>]*\bid\s*=\s*["']GroupTime\d+["'][^>]*>/gi;
+  let tagMatch;
+  while ((tagMatch = slotTagPattern.exec(html)) !== null) {
+    const attributes = parseAttributes(tagMatch[0]);
+    const timeMatch = (attributes.onmouseover || '').match(/ShowSlot\(\d+,\s*["']([^"']+)["']\)/);
+
+    timeslots.push({
+      timestamp: parseInt(attributes['data-time'], 10),
+      readableTime: timeMatch ? timeMatch[1] : '',
+      col: parseInt(attributes['data-col'], 10),
+      row: parseInt(attributes['data-row'], 10),
+      elementId: attributes.id
+    });
+  }
+
+  // Read the participant data assigned in the inline script
+  const timeOfSlot = [];
+  const peopleNames = [];
+  const peopleIds = [];
+  const availableAtSlot = [];
+  let match;
+
+  const timeOfSlotPattern = /TimeOfSlot\[(\d+)\]\s*=\s*(\d+)/g;
+  while ((match = timeOfSlotPattern.exec(html)) !== null) {
+    timeOfSlot[parseInt(match[1], 10)] = parseInt(match[2], 10);
+  }
+
+  const peopleNamesPattern = /PeopleNames\[(\d+)\]\s*=\s*(?:'((?:\\.|[^'\\])*)'|"((?:\\.|[^"\\])*)")/g;
+  while ((match = peopleNamesPattern.exec(html)) !== null) {
+    const rawName = match[2] !== undefined ? match[2] : match[3];
+    peopleNames[parseInt(match[1], 10)] = unescapeScriptString(rawName);
+  }
+
+  const peopleIdsPattern = /PeopleIDs\[(\d+)\]\s*=\s*(\d+)/g;
+  while ((match = peopleIdsPattern.exec(html)) !== null) {
+    peopleIds[parseInt(match[1], 10)] = parseInt(match[2], 10);
+  }
+
+  const availablePattern = /AvailableAtSlot\[(\d+)\]\.push\((\d+)\)/g;
+  while ((match = availablePattern.exec(html)) !== null) {
+    const slotIndex = parseInt(match[1], 10);
+    if (!availableAtSlot[slotIndex]) {
+      availableAtSlot[slotIndex] = [];
+    }
+    availableAtSlot[slotIndex].push(parseInt(match[2], 10));
+  }
+
+  const groupAvailability = buildGroupAvailability({ peopleNames, peopleIds, availableAtSlot, timeOfSlot });
+
+  return {
+    name,
+    dateRange,
+    availableTimeslots: timeslots.length > 0 ? buildAvailableTimeslots(timeslots, timeZone) : null,
+    participants: groupAvailability.participants,
+    availabilityBySlot: groupAvailability.availabilityBySlot,
+    url
+  };
+}
+
+module.exports = {
+  buildAvailableTimeslots,
+  buildGroupAvailability,
+  formatSlotDate,
+  getEventType,
+  inferSlotSeconds,
+  isWeekdayOnlyTimestamp,
+  parseEventHtml
+};
@@ -0,0 +1,163 @@
+/**
+ * Event watcher
+ *
+ * Polls subscribed When2Meet events and reports which resource URIs changed, so the server can
+ * send resources/updated notifications when someone responds or edits their availability.
+ */
+
+/**
+ * Summarize the parts of an event that subscribers care about.
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @returns {object} JSON fingerprints of the participants and of the whole availability grid
+ */
+function fingerprintEvent(eventDetails) {
+  const participants = JSON.stringify(eventDetails.participants || []);
+  return {
+    participants,
+    availability: `${participants}|${JSON.stringify(eventDetails.availabilityBySlot || {})}`
+  };
+}
+
+/**
+ * Create a watcher that polls subscribed events on an interval.
+ *
+ * @param {object} options - fetchEventDetails(eventUrl), onChange(uri), intervalMs and onError(error, eventUrl)
+ * @returns {object} subscribe, unsubscribe, poll and stop functions
+ */
+function createEventWatcher({ fetchEventDetails, onChange, intervalMs = 60000, onError = () => {} }) {
+  // eventUrl -> { eventUri, participantsUri, uris: Set, fingerprint, loading }
+  const watched = new Map();
+  let timer = null;
+
+  const startTimer = () => {
+    if (!timer) {
+      timer = setInterval(() => {
+        poll().catch(() => {});
+      }, intervalMs);
+      // Don't keep the process alive just for polling
+      if (timer.unref) {
+        timer.unref();
+      }
+    }
+  };
+
+  const stopTimerIfIdle = () => {
+    if (timer && watched.size === 0) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  /**
+   * Start watching a resource URI of an event. The event is loaded once so later polls have
+   * something to compare against.
+   *
+   * @param {string} uri - Subscribed resource URI
+   * @param {object} event - eventUrl, eventUri and participantsUri of the event the URI belongs to
+   */
+  async function subscribe(uri, { eventUrl, eventUri, participantsUri }) {
+    let entry = watched.get(eventUrl);
+    if (!entry) {
+      // Store the entry before loading, so subscriptions arriving meanwhile wait for the same load
+      entry = { eventUri, participantsUri, uris: new Set(), fingerprint: null };
+      entry.loading = fetchEventDetails(eventUrl).then(eventDetails => {
+        entry.fingerprint = fingerprintEvent(eventDetails);
+      });
+      watched.set(eventUrl, entry);
+    }
+    entry.uris.add(uri);
+
+    try {
+      await entry.loading;
+    } catch (error) {
+      // Forget the event so the next subscription tries again
+      if (watched.get(eventUrl) === entry) {
+        watched.delete(eventUrl);
+      }
+      stopTimerIfIdle();
+      throw error;
+    }
+    startTimer();
+  }
+
+  /**
+   * Stop watching a resource URI; the event stops being polled once none of its URIs are subscribed.
+   *
+   * @param {string} uri - Resource URI to unsubscribe
+   */
+  function unsubscribe(uri) {
+    for (const [eventUrl, entry] of watched) {
+      entry.uris.delete(uri);
+      if (entry.uris.size === 0) {
+        watched.delete(eventUrl);
+      }
+    }
+    stopTimerIfIdle();
+  }
+
+  /**
+   * Reload every watched event once and report the subscribed URIs whose content changed.
+   *
+   * @returns {string[]} URIs that changed
+   */
+  async function poll() {
+    const changed = [];
+
+    for (const [eventUrl, entry] of [...watched]) {
+      // Still loading for its first subscription
+      if (!entry.fingerprint) {
+        continue;
+      }
+
+      let fingerprint;
+      try {
+        fingerprint = fingerprintEvent(await fetchEventDetails(eventUrl));
+      } catch (error) {
+        onError(error, eventUrl);
+        continue;
+      }
+
+      const changedUris = [];
+      if (fingerprint.availability !== entry.fingerprint.availability) {
+        changedUris.push(entry.eventUri);
+      }
+      if (fingerprint.participants !== entry.fingerprint.participants) {
+        changedUris.push(entry.participantsUri);
+      }
+      entry.fingerprint = fingerprint;
+
+      // The event may have been unsubscribed while it was loading
+      if (watched.get(eventUrl) !== entry) {
+        continue;
+      }
+      for (const uri of changedUris) {
+        if (entry.uris.has(uri)) {
+          changed.push(uri);
+          await onChange(uri);
+        }
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Stop polling and forget all subscriptions.
+   */
+  function stop() {
+    watched.clear();
+    stopTimerIfIdle();
+  }
+
+  return {
+    subscribe,
+    unsubscribe,
+    poll,
+    stop
+  };
+}
+
+module.exports = {
+  createEventWatcher
+};
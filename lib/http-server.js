@@ -0,0 +1,342 @@
+/**
+ * HTTP server
+ *
+ * Serves the MCP server over Streamable HTTP at /mcp and over the legacy HTTP+SSE transport at
+ * /sse and /messages, with a separate MCP server per client session. When tokens are configured,
+ * the MCP endpoints require one as a bearer token or an X-API-Key header, and a session only
+ * accepts the token it was opened with; /health and the landing page stay public. Sessions that
+ * see no requests for the idle timeout are closed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const { createLogger } = require('./logger');
+
+// Largest JSON-RPC request body accepted at /mcp
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Longest time between checks for idle sessions
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Parse a comma-separated list of tokens, e.g. from an environment variable.
+ *
+ * @param {string} value - Tokens separated by commas
+ * @returns {string[]} Non-empty, trimmed tokens
+ */
+function parseAuthTokens(value) {
+  return (value || '').split(',').map(token => token.trim()).filter(Boolean);
+}
+
+/**
+ * Get the token a request was sent with: an "Authorization: Bearer" token or an X-API-Key header.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} Token, or null if there is none
+ */
+function getRequestToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (match) {
+    return match[1].trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+function digestToken(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Check a token against the configured ones without leaking how much of it matched.
+ *
+ * @param {string|null} token - Token from the request
+ * @param {string[]} authTokens - Accepted tokens
+ * @returns {boolean} True if the token is accepted
+ */
+function isAuthorized(token, authTokens) {
+  if (!token) {
+    return false;
+  }
+  // Compare digests so tokens of different lengths take the same time to reject
+  const digest = digestToken(token);
+  return authTokens.some(accepted => crypto.timingSafeEqual(digest, digestToken(accepted)));
+}
+
+/**
+ * Check that a request for a session was sent with the token that opened it.
+ *
+ * @param {object} session - Session with the tokenDigest it was opened with (null without authentication)
+ * @param {Buffer|null} tokenDigest - Digest of the request's token
+ * @returns {boolean} True if the request may use the session
+ */
+function ownsSession(session, tokenDigest) {
+  if (!session.tokenDigest) {
+    return true;
+  }
+  return Boolean(tokenDigest) && crypto.timingSafeEqual(session.tokenDigest, tokenDigest);
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res, statusCode, code, message, headers) {
+  sendJson(res, statusCode, { jsonrpc: '2.0', error: { code, message }, id: null }, headers);
+}
+
+/**
+ * Read and parse a JSON request body.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new Error(`Invalid JSON: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the HTTP server. Call listen() on the result to start it.
+ *
+ * @param {object} options - createServer() returning a new McpServer for each session, authTokens
+ *   (accepted tokens; none means no authentication), sessionIdleMs (close sessions without requests
+ *   for this long, default 30 minutes), getHealth() returning extra /health fields, indexFile (path
+ *   of the landing page) and the logger for sessions and errors
+ * @returns {http.Server} Server with an extra closeSessions() function that closes every MCP session
+ */
+function createHttpServer({
+  createServer,
+  authTokens = [],
+  sessionIdleMs = 30 * 60 * 1000,
+  getHealth = () => ({}),
+  indexFile,
+  logger = createLogger({ level: 'error' })
+}) {
+  // Session ID -> { transport, server, tokenDigest, lastActiveAt } for Streamable HTTP and legacy SSE sessions
+  const sessions = new Map();
+  const sseSessions = new Map();
+
+  /**
+   * Close the sessions that haven't seen a request for sessionIdleMs.
+   */
+  function closeIdleSessions() {
+    const cutoff = Date.now() - sessionIdleMs;
+    [sessions, sseSessions].forEach(sessionMap => {
+      sessionMap.forEach((session, sessionId) => {
+        if (session.lastActiveAt > cutoff) {
+          return;
+        }
+        sessionMap.delete(sessionId);
+        logger.info('MCP session expired', { sessionId, idleSeconds: Math.round((Date.now() - session.lastActiveAt) / 1000) });
+        session.transport.close().catch(error => logger.warning('Could not close an idle MCP session', { sessionId, error }));
+      });
+    });
+  }
+  const sweepTimer = setInterval(closeIdleSessions, Math.min(sessionIdleMs, MAX_SWEEP_INTERVAL_MS));
+  sweepTimer.unref();
+
+  /**
+   * Find the session a request names and mark it active, or answer the request if it can't use it.
+   *
+   * @returns {object|null} The session, or null once an error has been sent
+   */
+  function useSession(res, sessionMap, sessionId, tokenDigest) {
+    const session = sessionMap.get(sessionId);
+    if (!session) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return null;
+    }
+    if (!ownsSession(session, tokenDigest)) {
+      logger.warning('Rejected a request for a session opened with another token', { sessionId });
+      sendJsonRpcError(res, 403, -32001, 'Forbidden: the session was opened with another token');
+      return null;
+    }
+    session.lastActiveAt = Date.now();
+    return session;
+  }
+
+  /**
+   * Connect a new MCP server to a transport and forget the session when the transport closes.
+   */
+  async function connectSession(transport, sessionMap, getSessionId) {
+    const server = createServer();
+    // Set before connect, which chains its own handler after this one
+    transport.onclose = () => {
+      const sessionId = getSessionId();
+      if (sessionId) {
+        sessionMap.delete(sessionId);
+        logger.info('MCP session closed', { sessionId });
+      }
+    };
+    await server.connect(transport);
+    return server;
+  }
+
+  async function handleMcp(req, res, tokenDigest) {
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (req.method === 'POST') {
+      let body;
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+        return;
+      }
+
+      if (sessionId) {
+        const session = useSession(res, sessions, sessionId, tokenDigest);
+        if (session) {
+          await session.transport.handleRequest(req, res, body);
+        }
+        return;
+      }
+      const isInitialize = Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+      if (!isInitialize) {
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        return;
+      }
+
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: newSessionId => {
+          sessions.set(newSessionId, { transport, server, tokenDigest, lastActiveAt: Date.now() });
+          logger.info('MCP session opened', { sessionId: newSessionId, transport: 'streamableHttp' });
+        }
+      });
+      const server = await connectSession(transport, sessions, () => transport.sessionId);
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!sessionId) {
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        return;
+      }
+      const session = useSession(res, sessions, sessionId, tokenDigest);
+      if (session) {
+        await session.transport.handleRequest(req, res);
+      }
+      return;
+    }
+
+    sendJsonRpcError(res, 405, -32000, 'Method not allowed', { Allow: 'GET, POST, DELETE' });
+  }
+
+  async function handleSse(req, res, tokenDigest) {
+    const transport = new SSEServerTransport('/messages', res);
+    const server = await connectSession(transport, sseSessions, () => transport.sessionId);
+    sseSessions.set(transport.sessionId, { transport, server, tokenDigest, lastActiveAt: Date.now() });
+    logger.info('MCP session opened', { sessionId: transport.sessionId, transport: 'sse' });
+  }
+
+  async function handleSseMessage(req, res, url, tokenDigest) {
+    const session = useSession(res, sseSessions, url.searchParams.get('sessionId'), tokenDigest);
+    if (session) {
+      await session.transport.handlePostMessage(req, res);
+    }
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (url.pathname === '/health') {
+        sendJson(res, 200, {
+          status: 'ok',
+          service: 'when2meet-mcp',
+          ...getHealth(),
+          sessions: { streamableHttp: sessions.size, sse: sseSessions.size }
+        });
+        return;
+      }
+      if ((url.pathname === '/' || url.pathname === '/index.html') && indexFile) {
+        fs.readFile(indexFile, (err, content) => {
+          if (err) {
+            res.writeHead(500);
+            res.end(`Error loading index.html: ${err.message}`);
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(content);
+        });
+        return;
+      }
+
+      const isMcpEndpoint = url.pathname === '/mcp' || (url.pathname === '/sse' && req.method === 'GET') ||
+        (url.pathname === '/messages' && req.method === 'POST');
+      if (!isMcpEndpoint) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      const token = getRequestToken(req);
+      if (authTokens.length > 0 && !isAuthorized(token, authTokens)) {
+        logger.warning('Rejected an MCP request without a valid token', { method: req.method, path: url.pathname });
+        sendJsonRpcError(res, 401, -32001, 'Unauthorized: send a token as "Authorization: Bearer <token>" or "X-API-Key: <token>"', {
+          'WWW-Authenticate': 'Bearer realm="when2meet-mcp"'
+        });
+        return;
+      }
+
+      // Sessions remember the token that opened them
+      const tokenDigest = authTokens.length > 0 ? digestToken(token) : null;
+      if (url.pathname === '/mcp') {
+        await handleMcp(req, res, tokenDigest);
+      } else if (url.pathname === '/sse') {
+        await handleSse(req, res, tokenDigest);
+      } else {
+        await handleSseMessage(req, res, url, tokenDigest);
+      }
+    } catch (error) {
+      logger.error('Error handling an HTTP request', { method: req.method, path: url.pathname, error });
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  });
+
+  httpServer.on('close', () => clearInterval(sweepTimer));
+
+  /**
+   * Close every open MCP session, e.g. before shutting down.
+   */
+  httpServer.closeSessions = async () => {
+    const open = [...sessions.values(), ...sseSessions.values()];
+    await Promise.all(open.map(session => session.transport.close().catch(() => {})));
+    sessions.clear();
+    sseSessions.clear();
+  };
+
+  return httpServer;
+}
+
+module.exports = {
+  createHttpServer,
+  parseAuthTokens
+};
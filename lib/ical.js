@@ -0,0 +1,459 @@
+/**
+ * iCalendar (.ics) reader
+ *
+ * Reads VEVENTs from ICS text and expands them into busy intervals inside a time range, so
+ * free time can be worked out against a When2Meet event. Supports TZID/UTC/floating/all-day
+ * times, DTEND or DURATION, RRULE (DAILY, WEEKLY, MONTHLY and YEARLY with INTERVAL, COUNT,
+ * UNTIL, BYDAY and BYMONTHDAY), EXDATE and RECURRENCE-ID overrides. Rules that repeat more often
+ * than daily (HOURLY, MINUTELY, SECONDLY) or that aren't understood make their whole span busy.
+ */
+
+const { zonedTimeToTimestamp } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Frequencies expandRule generates occurrences for
+const EXPANDED_FREQS = new Set(['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY']);
+// Step of the frequencies that repeat within a day, to find where a rule with COUNT ends
+const SUB_DAILY_STEP_MS = { HOURLY: 60 * 60 * 1000, MINUTELY: 60 * 1000, SECONDLY: 1000 };
+
+/**
+ * Join folded lines (lines continued with a leading space or tab).
+ *
+ * @param {string} text - Raw ICS text
+ * @returns {string[]} Unfolded content lines
+ */
+function unfoldLines(text) {
+  return text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(line => line.trim() !== '');
+}
+
+/**
+ * Split a content line into its name, parameters and value.
+ *
+ * @param {string} line - Unfolded content line such as DTSTART;TZID=Europe/Berlin:20250407T090000
+ * @returns {object} name, params and value
+ */
+function parseProperty(line) {
+  // The value starts at the first colon that isn't inside a quoted parameter
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ *
+ * @param {string} value - e.g. 20250407, 20250407T090000 or 20250407T090000Z
+ * @param {object} params - Property parameters (TZID, VALUE)
+ * @param {string} defaultTimeZone - Timezone for floating times and all-day dates
+ * @returns {object} wall time, timezone and whether it is an all-day date
+ */
+function parseDateValue(value, params, defaultTimeZone) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    throw new Error(`Invalid date "${value}" in calendar`);
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  return {
+    wall: {
+      year: parseInt(year, 10),
+      month: parseInt(month, 10),
+      day: parseInt(day, 10),
+      hour: hour ? parseInt(hour, 10) : 0,
+      minute: minute ? parseInt(minute, 10) : 0,
+      second: second ? parseInt(second, 10) : 0
+    },
+    timeZone: utc ? 'UTC' : (params.TZID || defaultTimeZone),
+    allDay: !hour || params.VALUE === 'DATE'
+  };
+}
+
+/**
+ * Parse an ISO 8601 duration such as PT1H30M, P1D or -PT15M.
+ *
+ * @param {string} value - Duration value
+ * @returns {number} Duration in milliseconds
+ */
+function parseDuration(value) {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}" in calendar`);
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const total = ((((parseInt(weeks, 10) * 7 + parseInt(days, 10)) * 24 + parseInt(hours, 10)) * 60 +
+    parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000;
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse an RRULE value.
+ *
+ * @param {string} value - e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20250630T000000Z
+ * @param {string} timeZone - Timezone of the event, for a floating UNTIL
+ * @returns {object} freq, interval, count, until, byDay, byMonthDay and weekStart
+ */
+function parseRrule(value, timeZone) {
+  const parts = {};
+  value.split(';').forEach(part => {
+    const [key, partValue] = part.split('=');
+    parts[key.toUpperCase()] = partValue;
+  });
+
+  const rule = {
+    freq: (parts.FREQ || '').toUpperCase(),
+    interval: parts.INTERVAL ? Math.max(1, parseInt(parts.INTERVAL, 10)) : 1,
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    weekStart: WEEKDAYS.indexOf((parts.WKST || 'MO').toUpperCase())
+  };
+
+  if (parts.UNTIL) {
+    const until = parseDateValue(parts.UNTIL, {}, timeZone);
+    rule.until = zonedTimeToTimestamp(
+      until.allDay ? { ...until.wall, hour: 23, minute: 59, second: 59 } : until.wall,
+      until.timeZone
+    );
+  }
+  if (parts.BYDAY) {
+    rule.byDay = parts.BYDAY.split(',').map(day => {
+      const dayMatch = day.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+      return dayMatch ? { ordinal: dayMatch[1] ? parseInt(dayMatch[1], 10) : null, weekday: WEEKDAYS.indexOf(dayMatch[2]) } : null;
+    }).filter(Boolean);
+  }
+  if (parts.BYMONTHDAY) {
+    rule.byMonthDay = parts.BYMONTHDAY.split(',').map(day => parseInt(day, 10)).filter(day => !isNaN(day));
+  }
+
+  return rule;
+}
+
+/**
+ * Read all VEVENTs from ICS text.
+ *
+ * @param {string} text - ICS text
+ * @param {string} defaultTimeZone - Timezone for floating times and all-day dates
+ * @returns {object[]} Events with start, duration, recurrence and status information
+ */
+function parseEvents(text, defaultTimeZone) {
+  const events = [];
+  let current = null;
+
+  unfoldLines(text).forEach(line => {
+    const property = parseProperty(line);
+    if (!property) {
+      return;
+    }
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      current = { exdates: [], status: 'CONFIRMED', transparent: false };
+      return;
+    }
+    if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (current && current.start) {
+        events.push(current);
+      }
+      current = null;
+      return;
+    }
+    if (!current) {
+      return;
+    }
+
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value;
+        break;
+      case 'SUMMARY':
+        current.summary = property.value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(property.value, property.params, defaultTimeZone);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(property.value, property.params, defaultTimeZone);
+        break;
+      case 'DURATION':
+        current.duration = parseDuration(property.value);
+        break;
+      case 'RRULE':
+        current.rrule = property.value;
+        break;
+      case 'EXDATE':
+        property.value.split(',').forEach(value => {
+          current.exdates.push(parseDateValue(value, property.params, defaultTimeZone));
+        });
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = parseDateValue(property.value, property.params, defaultTimeZone);
+        break;
+      case 'STATUS':
+        current.status = property.value.trim().toUpperCase();
+        break;
+      case 'TRANSP':
+        current.transparent = property.value.trim().toUpperCase() === 'TRANSPARENT';
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Convert a naive wall-clock time in milliseconds (calendar arithmetic done as if UTC) back into
+ * a real timestamp in the given timezone.
+ */
+function naiveToTimestamp(naiveMs, timeZone) {
+  const date = new Date(naiveMs);
+  return zonedTimeToTimestamp({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  }, timeZone);
+}
+
+function wallToNaive(wall) {
+  return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+}
+
+/**
+ * Generate the naive start times of a recurring event in order.
+ *
+ * Expansion only ends at COUNT, UNTIL or the end of the range (through shouldStop), so rules that
+ * started long before the range are never cut short.
+ *
+ * @param {number} startNaive - Naive start of the first occurrence
+ * @param {object} rule - Parsed RRULE
+ * @param {function} shouldStop - Called with each candidate; returns true once past the range
+ * @param {number} skipBeforeNaive - Daily and weekly rules without COUNT skip ahead to this naive
+ *   time, since earlier occurrences can't reach the range
+ * @returns {number[]} Naive start times, including the first occurrence unless it was skipped
+ */
+function expandRule(startNaive, rule, shouldStop, skipBeforeNaive = -Infinity) {
+  const starts = [];
+  const timeOfDay = startNaive - Math.floor(startNaive / DAY_MS) * DAY_MS;
+  const startDate = new Date(startNaive);
+  // Periods (days or weeks) to skip without generating their occurrences
+  const skipPeriods = periodMs => (rule.count === null && skipBeforeNaive > startNaive
+    ? Math.floor((skipBeforeNaive - startNaive) / periodMs)
+    : 0);
+
+  const accept = candidate => {
+    if (candidate < startNaive) {
+      return true;
+    }
+    if ((rule.count !== null && starts.length >= rule.count) || shouldStop(candidate)) {
+      return false;
+    }
+    starts.push(candidate);
+    return true;
+  };
+
+  if (rule.freq === 'DAILY') {
+    for (let i = skipPeriods(rule.interval * DAY_MS); ; i++) {
+      if (!accept(startNaive + i * rule.interval * DAY_MS)) {
+        break;
+      }
+    }
+  } else if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [startDate.getUTCDay()];
+    const offsets = [...new Set(weekdays.map(weekday => (weekday - rule.weekStart + 7) % 7))].sort((a, b) => a - b);
+    const weekStartNaive = startNaive - ((startDate.getUTCDay() - rule.weekStart + 7) % 7) * DAY_MS;
+
+    weeks:
+    for (let week = skipPeriods(rule.interval * 7 * DAY_MS); ; week++) {
+      for (const offset of offsets) {
+        if (!accept(weekStartNaive + (week * rule.interval * 7 + offset) * DAY_MS)) {
+          break weeks;
+        }
+      }
+    }
+  } else if (rule.freq === 'MONTHLY' || rule.freq === 'YEARLY') {
+    const monthStep = rule.freq === 'MONTHLY' ? rule.interval : rule.interval * 12;
+
+    periods:
+    for (let period = 0; ; period++) {
+      const monthIndex = startDate.getUTCMonth() + period * monthStep;
+      const year = startDate.getUTCFullYear() + Math.floor(monthIndex / 12);
+      const month = monthIndex % 12;
+      // Also ends rules that hit no day in some months, e.g. BYMONTHDAY=30 every February
+      if (shouldStop(Date.UTC(year, month, 1) + timeOfDay)) {
+        break;
+      }
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+      // Work out which days of this month the rule hits
+      let days = [];
+      if (rule.byMonthDay.length > 0) {
+        days = rule.byMonthDay.map(day => (day > 0 ? day : daysInMonth + day + 1));
+      } else if (rule.byDay.length > 0) {
+        rule.byDay.forEach(({ ordinal, weekday }) => {
+          const matching = [];
+          for (let day = 1; day <= daysInMonth; day++) {
+            if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+              matching.push(day);
+            }
+          }
+          if (ordinal === null) {
+            days.push(...matching);
+          } else {
+            const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+            if (picked) {
+              days.push(picked);
+            }
+          }
+        });
+      } else {
+        days = [startDate.getUTCDate()];
+      }
+
+      const validDays = [...new Set(days)].filter(day => day >= 1 && day <= daysInMonth).sort((a, b) => a - b);
+      for (const day of validDays) {
+        if (!accept(Date.UTC(year, month, day) + timeOfDay)) {
+          break periods;
+        }
+      }
+    }
+  } else {
+    starts.push(startNaive);
+  }
+
+  return starts;
+}
+
+/**
+ * Work out the span of a rule that isn't expanded into occurrences: from its first start to the end
+ * of its last occurrence (through COUNT or UNTIL), or to the end of the range if it doesn't end.
+ *
+ * @param {number} startNaive - Naive start of the first occurrence
+ * @param {number} lengthMs - Length of each occurrence
+ * @param {object} rule - Parsed RRULE
+ * @param {string} timeZone - Timezone of the event
+ * @param {number} rangeStart - Start of the range (timestamp)
+ * @param {number} rangeEnd - End of the range (timestamp)
+ * @returns {object[]} The span as a { start, end } interval, or nothing if it misses the range
+ */
+function getRuleSpan(startNaive, lengthMs, rule, timeZone, rangeStart, rangeEnd) {
+  const start = naiveToTimestamp(startNaive, timeZone);
+  let end = rangeEnd;
+  if (rule.until !== null) {
+    end = Math.min(end, rule.until + lengthMs / 1000);
+  }
+  const stepMs = SUB_DAILY_STEP_MS[rule.freq];
+  if (rule.count !== null && stepMs) {
+    end = Math.min(end, naiveToTimestamp(startNaive + (rule.count - 1) * rule.interval * stepMs + lengthMs, timeZone));
+  }
+  return end > start && end > rangeStart && start < rangeEnd ? [{ start, end }] : [];
+}
+
+/**
+ * Expand the events in ICS text into busy intervals overlapping a time range.
+ *
+ * @param {string} text - ICS text
+ * @param {object} options - rangeStart and rangeEnd (timestamps), timeZone for floating times,
+ *   and tentativeAs ("busy" or "free")
+ * @returns {object[]} Busy intervals with start, end (timestamps), summary and status
+ */
+function getBusyIntervals(text, { rangeStart, rangeEnd, timeZone, tentativeAs = 'busy' }) {
+  const events = parseEvents(text, timeZone);
+  const intervals = [];
+
+  // Occurrences moved by a RECURRENCE-ID override replace the original occurrence
+  const overriddenStarts = {};
+  events.filter(event => event.recurrenceId).forEach(event => {
+    const key = event.uid || '';
+    overriddenStarts[key] = overriddenStarts[key] || new Set();
+    overriddenStarts[key].add(zonedTimeToTimestamp(event.recurrenceId.wall, event.recurrenceId.timeZone));
+  });
+
+  events.forEach(event => {
+    if (event.status === 'CANCELLED' || event.transparent) {
+      return;
+    }
+    if (event.status === 'TENTATIVE' && tentativeAs === 'free') {
+      return;
+    }
+
+    const eventTimeZone = event.start.timeZone;
+    const startNaive = wallToNaive(event.start.wall);
+
+    // Length of each occurrence in wall-clock time, so all-day events stay whole days across DST
+    let lengthMs;
+    if (event.end) {
+      lengthMs = wallToNaive(event.end.wall) - startNaive;
+      if (event.end.timeZone !== eventTimeZone) {
+        lengthMs = (zonedTimeToTimestamp(event.end.wall, event.end.timeZone) -
+          zonedTimeToTimestamp(event.start.wall, eventTimeZone)) * 1000;
+      }
+    } else if (event.duration !== undefined) {
+      lengthMs = event.duration;
+    } else {
+      lengthMs = event.start.allDay ? DAY_MS : 0;
+    }
+
+    const excluded = new Set([
+      ...event.exdates.map(exdate => zonedTimeToTimestamp(
+        exdate.allDay ? { ...exdate.wall, hour: event.start.wall.hour, minute: event.start.wall.minute, second: event.start.wall.second } : exdate.wall,
+        exdate.timeZone
+      )),
+      ...(!event.recurrenceId && overriddenStarts[event.uid || ''] ? overriddenStarts[event.uid || ''] : [])
+    ]);
+
+    const rule = event.rrule && !event.recurrenceId ? parseRrule(event.rrule, eventTimeZone) : { freq: null };
+    if (rule.freq && !EXPANDED_FREQS.has(rule.freq)) {
+      intervals.push(...getRuleSpan(startNaive, lengthMs, rule, eventTimeZone, rangeStart, rangeEnd)
+        .map(span => ({ ...span, summary: event.summary || '', status: event.status })));
+      return;
+    }
+
+    // Naive times are within a day of real ones, so occurrences starting earlier than this end before the range
+    const skipBeforeNaive = rangeStart * 1000 - lengthMs - 2 * DAY_MS;
+    const starts = expandRule(startNaive, rule, candidateNaive => {
+      const candidate = naiveToTimestamp(candidateNaive, eventTimeZone);
+      return candidate > rangeEnd || (rule.until !== null && rule.until !== undefined && candidate > rule.until);
+    }, skipBeforeNaive);
+
+    starts.forEach(occurrenceNaive => {
+      const start = naiveToTimestamp(occurrenceNaive, eventTimeZone);
+      const end = naiveToTimestamp(occurrenceNaive + lengthMs, eventTimeZone);
+      if (excluded.has(start) || end <= rangeStart || start >= rangeEnd) {
+        return;
+      }
+      intervals.push({ start, end, summary: event.summary || '', status: event.status });
+    });
+  });
+
+  return intervals.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  getBusyIntervals,
+  parseDuration,
+  parseEvents
+};
@@ -0,0 +1,153 @@
+/**
+ * Structured logger
+ *
+ * Writes one JSON object per line to stderr, so logs never mix with the JSON-RPC messages of the
+ * stdio transport. Code running inside a tool call logs with the call's correlation ID without
+ * passing it around: runWithContext() keeps the fields of the current call (and a function that
+ * forwards entries to the client as MCP notifications/message) for everything it awaits.
+ * Secrets are redacted from every entry.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact, redactDeep } = require('./redact');
+
+// MCP logging levels, from least to most severe
+const LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+/**
+ * Check whether a log level is at least as severe as a threshold.
+ *
+ * @param {string} level - Level of an entry
+ * @param {string} threshold - Lowest level to keep
+ * @returns {boolean} True if the entry should be kept
+ */
+function isLevelEnabled(level, threshold) {
+  return LEVELS.indexOf(level) >= LEVELS.indexOf(threshold);
+}
+
+/**
+ * Turn errors in log fields into their messages, since errors don't serialize to JSON.
+ *
+ * @param {object} fields - Log fields
+ * @returns {object} Fields with error messages instead of errors
+ */
+function serializeFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+    key,
+    value instanceof Error ? value.message : value
+  ]));
+}
+
+/**
+ * Create a logger.
+ *
+ * @param {object} options - level (lowest level written, default "info"), name of the logger, stream to
+ *   write to (default process.stderr) and now() for the timestamps
+ * @returns {object} Logger with a function per level, log, time, runWithContext, getLevel and setLevel
+ */
+function createLogger({ level = 'info', name = 'when2meet', stream = process.stderr, now = () => new Date() } = {}) {
+  const context = new AsyncLocalStorage();
+  let threshold = 'info';
+
+  /**
+   * Write an entry and forward it to the client of the current tool call, if any.
+   *
+   * @param {string} entryLevel - One of LEVELS
+   * @param {string} message - Message
+   * @param {object} fields - Extra fields for the entry
+   */
+  function log(entryLevel, message, fields = {}) {
+    const { notify, ...contextFields } = context.getStore() || {};
+    const toStream = isLevelEnabled(entryLevel, threshold);
+    if (!toStream && !notify) {
+      return;
+    }
+
+    const entry = {
+      time: now().toISOString(),
+      level: entryLevel,
+      logger: name,
+      msg: redact(message),
+      ...redactDeep(serializeFields({ ...contextFields, ...fields }))
+    };
+    if (toStream) {
+      stream.write(`${JSON.stringify(entry)}\n`);
+    }
+    if (notify) {
+      // The client decides which levels it wants; a failed notification must not fail the call
+      try {
+        notify(entryLevel, entry);
+      } catch (error) {
+        // Ignore
+      }
+    }
+  }
+
+  /**
+   * Run a function with extra fields on every entry it logs, including in code it awaits.
+   *
+   * @param {object} fields - Fields such as callId and tool; notify(level, entry) forwards entries to a client
+   * @param {Function} fn - Function to run
+   * @returns {*} What fn returns
+   */
+  function runWithContext(fields, fn) {
+    return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+  }
+
+  /**
+   * Time a phase of the work, e.g. scraping an event or saving slots, and log how long it took.
+   *
+   * @param {string} phase - Phase name
+   * @param {Function} fn - Async function doing the work
+   * @param {object} fields - Extra fields for the entry
+   * @returns {*} What fn resolves to
+   */
+  async function time(phase, fn, fields = {}) {
+    const started = process.hrtime.bigint();
+    const durationMs = () => Number((process.hrtime.bigint() - started) / 1000n) / 1000;
+    try {
+      const result = await fn();
+      log('info', `${phase} finished`, { ...fields, phase, durationMs: durationMs() });
+      return result;
+    } catch (error) {
+      log('warning', `${phase} failed`, { ...fields, phase, durationMs: durationMs(), error });
+      throw error;
+    }
+  }
+
+  /**
+   * Change the lowest level written to the stream.
+   *
+   * @param {string} newLevel - One of LEVELS
+   */
+  function setLevel(newLevel) {
+    if (!LEVELS.includes(newLevel)) {
+      throw new Error(`Unknown log level "${newLevel}"; use one of ${LEVELS.join(', ')}`);
+    }
+    threshold = newLevel;
+  }
+
+  const logger = {
+    log,
+    time,
+    runWithContext,
+    setLevel,
+    getLevel: () => threshold
+  };
+  LEVELS.forEach(levelName => {
+    logger[levelName] = (message, fields) => log(levelName, message, fields);
+  });
+
+  try {
+    setLevel(level);
+  } catch (error) {
+    log('warning', `${error.message}; logging at "info"`);
+  }
+  return logger;
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  isLevelEnabled
+};
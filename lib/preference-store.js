@@ -0,0 +1,77 @@
+/**
+ * Availability preference store
+ *
+ * When2Meet only records whether someone is available in a slot. This keeps the slots people
+ * marked as "if needed" through this server, by event and participant, so the ranking tools can
+ * weight them. Preferences are kept in memory for the lifetime of the server.
+ */
+
+/**
+ * Create a preference store.
+ *
+ * @returns {object} Store with record and get functions
+ */
+function createPreferenceStore() {
+  // eventKey -> normalized participant name -> Set of if-needed timestamps
+  const ifNeededByEvent = new Map();
+
+  const normalizeName = name => name.trim().toLowerCase();
+
+  /**
+   * Record the preferences of a mark request, mirroring what the mode does to the saved slots.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   * @param {string} userName - Name the participant signed in with
+   * @param {object} change - mode ("add", "remove" or "replace"), the marked timestamps and the if-needed ones among them
+   * @returns {object} The participant's preferred and if-needed timestamps among the marked ones
+   */
+  function record(eventKey, userName, { mode, timestamps, ifNeeded = [] }) {
+    if (!ifNeededByEvent.has(eventKey)) {
+      ifNeededByEvent.set(eventKey, new Map());
+    }
+    const people = ifNeededByEvent.get(eventKey);
+    const name = normalizeName(userName);
+    const current = mode === 'replace' ? new Set() : new Set(people.get(name) || []);
+    const ifNeededSet = new Set(ifNeeded);
+
+    timestamps.forEach(timestamp => {
+      if (mode !== 'remove' && ifNeededSet.has(timestamp)) {
+        current.add(timestamp);
+      } else {
+        current.delete(timestamp);
+      }
+    });
+    people.set(name, current);
+
+    const marked = mode === 'remove' ? [] : [...new Set(timestamps)].sort((a, b) => a - b);
+    return {
+      preferred: marked.filter(timestamp => !ifNeededSet.has(timestamp)),
+      ifNeeded: marked.filter(timestamp => ifNeededSet.has(timestamp))
+    };
+  }
+
+  /**
+   * Get the if-needed slots recorded for an event.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   * @returns {object} Normalized participant name -> sorted if-needed timestamps
+   */
+  function get(eventKey) {
+    const result = {};
+    (ifNeededByEvent.get(eventKey) || new Map()).forEach((timestamps, name) => {
+      if (timestamps.size > 0) {
+        result[name] = [...timestamps].sort((a, b) => a - b);
+      }
+    });
+    return result;
+  }
+
+  return {
+    record,
+    get
+  };
+}
+
+module.exports = {
+  createPreferenceStore
+};
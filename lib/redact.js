@@ -0,0 +1,106 @@
+/**
+ * Secret redaction
+ *
+ * Keeps passwords, tokens and keys out of logs and error messages. Secrets the server handles are
+ * registered as they come in, and redact() replaces them, plus anything that looks like a password
+ * field or bearer token. Secrets registered inside withSecrets() (the When2Meet passwords a tool call
+ * signs in with) only apply to that call; the rest (auth tokens, the credential key) apply everywhere.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REDACTED = '[REDACTED]';
+
+// Shorter secrets would mask ordinary words and numbers; the patterns below still catch them in fields
+const MIN_SECRET_LENGTH = 4;
+
+const PATTERNS = [
+  // password=..., "password": "...", password: ...
+  /(\bpassword\b["']?\s*[:=]\s*["']?)[^"'&\s,;}]+/gi,
+  /(\bBearer\s+)[A-Za-z0-9._~+/=-]+/g,
+  /(\bX-API-Key["']?\s*[:=]\s*["']?)[^"'&\s,;}]+/gi
+];
+
+// Secrets of the whole process
+const secrets = new Set();
+// Secrets of the current withSecrets() call
+const callSecrets = new AsyncLocalStorage();
+
+/**
+ * Register a secret so it is redacted from now on: within the current withSecrets() call, or
+ * everywhere when there is none.
+ *
+ * @param {string} value - Password, token or key
+ */
+function addSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    (callSecrets.getStore() || secrets).add(value);
+  }
+}
+
+/**
+ * Run a function with its own set of secrets, so the ones it registers are redacted from its logs
+ * and errors but not from anything else.
+ *
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function withSecrets(fn) {
+  return callSecrets.run(new Set(), fn);
+}
+
+/**
+ * Replace registered secrets and password or token fields in a text.
+ *
+ * @param {*} text - Text to redact; other values are converted to strings
+ * @returns {string} Redacted text
+ */
+function redact(text) {
+  let result = String(text);
+  // Longest first, so a secret containing another one is replaced whole
+  [...secrets, ...(callSecrets.getStore() || [])].sort((a, b) => b.length - a.length).forEach(secret => {
+    result = result.split(secret).join(REDACTED);
+  });
+  PATTERNS.forEach(pattern => {
+    result = result.replace(pattern, `$1${REDACTED}`);
+  });
+  return result;
+}
+
+/**
+ * Redact every string in a JSON-like value.
+ *
+ * @param {*} value - String, array, object or other value
+ * @returns {*} Copy of the value with redacted strings
+ */
+function redactDeep(value) {
+  if (typeof value === 'string') {
+    return redact(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactDeep);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redactDeep(entry)]));
+  }
+  return value;
+}
+
+/**
+ * Get the redacted message of an error, for logs and error results.
+ *
+ * @param {*} error - Error or other thrown value
+ * @returns {string} Redacted message
+ */
+function redactError(error) {
+  return redact((error && error.message) || error || 'Unknown error');
+}
+
+module.exports = {
+  REDACTED,
+  addSecret,
+  redact,
+  redactDeep,
+  redactError,
+  withSecrets
+};
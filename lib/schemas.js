@@ -0,0 +1,287 @@
+/**
+ * Tool output schemas
+ *
+ * Zod shapes describing the structuredContent each tool returns. They are declared as the tools'
+ * output schemas, so MCP clients can rely on the structured results instead of parsing text.
+ */
+
+const { z } = require("zod");
+
+const timeslotSchema = z.object({
+  timestamp: z.number(),
+  readableTime: z.string(),
+  col: z.number(),
+  row: z.number(),
+  elementId: z.string()
+}).passthrough();
+
+const timeBlockSchema = z.object({
+  startTimestamp: z.number(),
+  endTimestamp: z.number(),
+  startTime: z.string(),
+  endTime: z.string(),
+  timestamps: z.array(z.number())
+});
+
+const dayGroupSchema = z.object({
+  dayName: z.string(),
+  fullDate: z.string().nullable(),
+  dayIndex: z.number(),
+  timeBlocks: z.array(timeBlockSchema),
+  slots: z.array(timeslotSchema)
+});
+
+const participantSchema = z.object({
+  id: z.union([z.number(), z.string()]),
+  name: z.string(),
+  slotCount: z.number()
+});
+
+const slotResultSchema = z.object({
+  timestamp: z.number(),
+  action: z.string(),
+  success: z.boolean(),
+  error: z.string().optional()
+});
+
+const failureSchema = z.object({
+  timestamp: z.number(),
+  action: z.string(),
+  error: z.string()
+});
+
+const eventDetailsOutput = {
+  name: z.string(),
+  eventType: z.enum(["specificDates", "daysOfTheWeek"]),
+  dateRange: z.string(),
+  url: z.string(),
+  timezone: z.string().optional(),
+  availableTimeslots: z.object({
+    allTimeslots: z.array(timeslotSchema),
+    dayGroups: z.array(dayGroupSchema),
+    formattedAvailability: z.array(z.string()),
+    slotMinutes: z.number()
+  }).nullable(),
+  participants: z.array(participantSchema),
+  availabilityBySlot: z.record(z.array(z.string()))
+};
+
+const availabilityPromptOutput = {
+  dayGroups: z.array(dayGroupSchema),
+  slotLookup: z.record(z.number()),
+  timezone: z.string().optional(),
+  selectionPrompt: z.string()
+};
+
+const preferenceSchema = z.enum(["preferred", "ifNeeded"]);
+
+const parsedSelectionsOutput = {
+  timestamps: z.array(z.number()),
+  ifNeededTimestamps: z.array(z.number()),
+  timestampDetails: z.array(z.object({
+    timestamp: z.number(),
+    date: z.string(),
+    time: z.string(),
+    originalFormat: z.string().nullable(),
+    preference: preferenceSchema
+  })),
+  readableSelections: z.array(z.string()),
+  warnings: z.array(z.string())
+};
+
+const markAvailabilityOutput = {
+  markedCount: z.number(),
+  removedCount: z.number(),
+  unchangedCount: z.number(),
+  failures: z.array(failureSchema),
+  slotResults: z.array(slotResultSchema),
+  personId: z.string().optional(),
+  resultUrl: z.string().optional(),
+  preferences: z.object({
+    preferred: z.array(z.number()),
+    ifNeeded: z.array(z.number())
+  }).optional(),
+  verification: z.object({
+    verified: z.boolean(),
+    saved: z.array(z.number()),
+    missing: z.array(z.number()),
+    extra: z.array(z.number())
+  }).optional()
+};
+
+const batchMarkOutput = {
+  results: z.array(z.object({
+    index: z.number(),
+    eventUrl: z.string(),
+    userName: z.string(),
+    mode: z.enum(["add", "remove", "replace"]),
+    status: z.enum(["succeeded", "partial", "failed"]),
+    timestamps: z.array(z.number()),
+    ifNeededTimestamps: z.array(z.number()),
+    warnings: z.array(z.string()),
+    result: z.object(markAvailabilityOutput).optional(),
+    error: z.string().optional()
+  })),
+  succeededCount: z.number(),
+  partialCount: z.number(),
+  failedCount: z.number()
+};
+
+const myAvailabilityOutput = {
+  found: z.boolean(),
+  participant: participantSchema.optional(),
+  timestamps: z.array(z.number()),
+  readableSelections: z.array(z.string()).optional()
+};
+
+const meetingTimesOutput = {
+  windows: z.array(z.object({
+    date: z.string(),
+    startTimestamp: z.number(),
+    endTimestamp: z.number(),
+    startTime: z.string(),
+    endTime: z.string(),
+    timestamps: z.array(z.number()),
+    available: z.array(z.string()),
+    ifNeeded: z.array(z.string()),
+    unavailable: z.array(z.string()),
+    availableCount: z.number(),
+    optionalAvailableCount: z.number(),
+    score: z.number()
+  })),
+  durationMinutes: z.number(),
+  slotMinutes: z.number(),
+  attendeeCount: z.number(),
+  unknownAttendees: z.array(z.string())
+};
+
+const calendarImportOutput = {
+  timestamps: z.array(z.number()),
+  readableSelections: z.array(z.string()),
+  busyEvents: z.array(z.object({
+    start: z.number(),
+    end: z.number(),
+    summary: z.string(),
+    status: z.string(),
+    readable: z.string()
+  }))
+};
+
+const bestSlotsSchema = z.object({
+  count: z.number(),
+  timestamps: z.array(z.number())
+});
+
+const eventChangesOutput = {
+  hasBaseline: z.boolean(),
+  previousSnapshotAt: z.number().optional(),
+  currentSnapshotAt: z.number(),
+  newParticipants: z.array(z.string()),
+  removedParticipants: z.array(z.string()),
+  changesByPerson: z.array(z.object({
+    name: z.string(),
+    added: z.array(z.number()),
+    removed: z.array(z.number())
+  })),
+  bestSlots: z.object({
+    before: bestSlotsSchema,
+    after: bestSlotsSchema,
+    changed: z.boolean()
+  }).optional()
+};
+
+const profileSchema = z.object({
+  name: z.string(),
+  weekly: z.string().optional(),
+  exceptions: z.array(z.object({
+    date: z.string(),
+    available: z.boolean(),
+    start: z.string().optional(),
+    end: z.string().optional(),
+    note: z.string().optional()
+  })),
+  timezone: z.string().optional(),
+  description: z.string().optional(),
+  updatedAt: z.string()
+});
+
+const profileOutput = {
+  profile: profileSchema,
+  weeklyHours: z.number()
+};
+
+const profileListOutput = {
+  profiles: z.array(profileSchema)
+};
+
+const profileDeleteOutput = {
+  name: z.string(),
+  deleted: z.boolean()
+};
+
+const applyProfileOutput = {
+  profile: z.string(),
+  timestamps: z.array(z.number()),
+  ifNeededTimestamps: z.array(z.number()),
+  readableSelections: z.array(z.string()),
+  warnings: z.array(z.string()),
+  markResult: z.object(markAvailabilityOutput).optional()
+};
+
+const credentialSchema = z.object({
+  eventKey: z.string(),
+  userName: z.string(),
+  savedAt: z.string()
+});
+
+const credentialOutput = {
+  credential: credentialSchema
+};
+
+const credentialListOutput = {
+  enabled: z.boolean(),
+  credentials: z.array(credentialSchema)
+};
+
+const credentialDeleteOutput = {
+  eventKey: z.string(),
+  userName: z.string(),
+  deleted: z.boolean()
+};
+
+const createEventOutput = {
+  eventUrl: z.string(),
+  eventId: z.string(),
+  timezone: z.string()
+};
+
+const exportEventOutput = {
+  format: z.enum(["csv", "json", "ics"]),
+  mimeType: z.string(),
+  bytes: z.number(),
+  slotCount: z.number(),
+  windowCount: z.number().optional(),
+  path: z.string().optional(),
+  content: z.string().optional()
+};
+
+module.exports = {
+  applyProfileOutput,
+  availabilityPromptOutput,
+  batchMarkOutput,
+  calendarImportOutput,
+  createEventOutput,
+  credentialDeleteOutput,
+  credentialListOutput,
+  credentialOutput,
+  eventChangesOutput,
+  eventDetailsOutput,
+  exportEventOutput,
+  markAvailabilityOutput,
+  meetingTimesOutput,
+  myAvailabilityOutput,
+  parsedSelectionsOutput,
+  profileDeleteOutput,
+  profileListOutput,
+  profileOutput
+};
@@ -0,0 +1,668 @@
+/**
+ * Availability selection parser
+ *
+ * Resolves what a user typed into parse-availability-selections against the event's dayGroups.
+ * Besides the slot codes from generate-availability-prompt (d0t2, day0, morning0) and raw
+ * timestamps, it understands short natural-language phrases such as "Tuesday after 2pm",
+ * "all of Wed except 12-1", "weekdays 9-5" and "not Friday" (or "never Friday afternoons").
+ * Clauses can carry a preference, as in "weekdays 9-5, Saturday morning if needed"; slots only
+ * matched by if-needed clauses are returned separately.
+ *
+ * Grammar (informal):
+ *   selection := clause ((',' | ';' | 'and' | 'plus')? clause)*
+ *   clause    := preference? ('not' | 'except')? (codes | term) (('except' | 'but not') term)? preference?
+ *   preference := 'if needed' | 'if necessary' | 'if need be' | 'maybe' | 'preferred' | 'preferably' | 'ideally'
+ *   term      := days? times? | times days
+ *   days      := day (('-' | 'to' | 'through') day | (',' | 'and' | 'or') day)* | 'weekdays' | 'weekends' | 'every day'
+ *   times     := time-spec ((',' | 'and' | 'or') time-spec)*
+ *   time-spec := 'morning' | 'afternoon' | 'evening' | 'all day' | 'after' time | 'before' time
+ *              | 'between' time 'and' time | 'from'? time ('-' | 'to' | 'until') time | 'at'? time
+ *   time      := hour (':' minutes)? ('am' | 'pm')? | 'noon' | 'midnight'
+ *
+ * Negative clauses ("not Friday") are subtracted from the union of the positive ones, or from
+ * every slot if there are no positive clauses. Anything that can't be parsed is returned as a
+ * warning instead of being dropped silently.
+ */
+
+const { getLocalMinutes, getWeekday } = require('./timezone');
+
+const DAY_WORDS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, weds: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+
+const DAY_SETS = {
+  weekday: [1, 2, 3, 4, 5],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6],
+  weekends: [0, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6]
+};
+
+// Same buckets as the morning{n}/afternoon{n}/evening{n} shortcuts, in minutes after midnight
+const PERIODS = {
+  morning: { start: 6 * 60, end: 12 * 60 },
+  afternoon: { start: 12 * 60, end: 17 * 60 },
+  evening: { start: 17 * 60, end: 24 * 60 },
+  night: { start: 17 * 60, end: 24 * 60 }
+};
+// "Friday afternoons" means the same as "Friday afternoon"
+Object.keys(PERIODS).forEach(period => {
+  PERIODS[`${period}s`] = PERIODS[period];
+});
+
+const NEGATIONS = ['not', 'never', 'except', 'excluding', 'without', 'no'];
+// Word sequences that mark a clause as preferred or if-needed
+const PREFERENCE_PHRASES = [
+  { words: ['if', 'needed'], preference: 'ifNeeded' },
+  { words: ['if', '-', 'needed'], preference: 'ifNeeded' },
+  { words: ['if', 'necessary'], preference: 'ifNeeded' },
+  { words: ['if', 'need', 'be'], preference: 'ifNeeded' },
+  { words: ['maybe'], preference: 'ifNeeded' },
+  { words: ['preferred'], preference: 'preferred' },
+  { words: ['preferably'], preference: 'preferred' },
+  { words: ['ideally'], preference: 'preferred' }
+];
+const SEPARATORS = [',', ';', '&', 'and', 'plus', 'also'];
+const RANGE_WORDS = ['-', 'to', 'through', 'thru', 'until', 'till', 'til'];
+const FILLERS = [
+  'on', 'at', 'the', 'of', 'i', 'im', "i'm", 'am', 'is', 'are', 'available', 'free', 'only', 'can', 'do',
+  'works', 'work', 'fine', 'ok', 'okay', 'good', 'every', 'all', 'any', 'in', 'slots', 'times', 'please'
+];
+
+/**
+ * Split a selection string into tokens.
+ *
+ * @param {string} text - Raw selection text
+ * @returns {object[]} Tokens with a type, a value and the original text
+ */
+function tokenize(text) {
+  const normalized = text
+    .toLowerCase()
+    .replace(/[‒-―]/g, '-')
+    .replace(/\b([ap])\.m\./g, '$1m');
+
+  const tokens = [];
+  const tokenPattern = /(\d{6,})|(\d{1,2})(?::(\d{2}))?\s*(am|pm)?(?![a-z\d])|([a-z]+\d+(?:t\d+)?)|([a-z][a-z']*)|([,;&/-])|(\S)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(normalized)) !== null) {
+    const [raw, timestamp, hour, minute, meridiem, code, word, punctuation] = match;
+
+    if (timestamp) {
+      tokens.push({ type: 'timestamp', value: parseInt(timestamp, 10), text: raw });
+    } else if (hour) {
+      tokens.push({
+        type: 'time',
+        value: { hour: parseInt(hour, 10), minute: minute ? parseInt(minute, 10) : 0, meridiem: meridiem || null },
+        text: raw
+      });
+    } else if (code) {
+      tokens.push({ type: 'code', value: code, text: raw });
+    } else if (word) {
+      const singular = word.endsWith('s') && DAY_WORDS[word.slice(0, -1)] !== undefined ? word.slice(0, -1) : word;
+      if (DAY_WORDS[singular] !== undefined) {
+        tokens.push({ type: 'day', value: DAY_WORDS[singular], text: raw });
+      } else if (DAY_SETS[word]) {
+        tokens.push({ type: 'daySet', value: DAY_SETS[word], text: raw });
+      } else if (word === 'noon') {
+        tokens.push({ type: 'time', value: { hour: 12, minute: 0, meridiem: 'pm' }, text: raw });
+      } else if (word === 'midnight') {
+        tokens.push({ type: 'time', value: { hour: 12, minute: 0, meridiem: 'am' }, text: raw });
+      } else {
+        tokens.push({ type: 'word', value: word, text: raw });
+      }
+    } else if (raw === '(' || raw === ')') {
+      // Parentheses only group, e.g. "Friday (if needed)"
+      continue;
+    } else if (punctuation) {
+      tokens.push({ type: 'word', value: punctuation === '/' ? ',' : punctuation, text: raw });
+    } else {
+      tokens.push({ type: 'unknown', value: raw, text: raw });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Convert a parsed time to minutes after midnight, with an optional am/pm to inherit.
+ * Bare hours without am/pm are read as working hours: 1-7 become afternoon times, and 13-23 are 24-hour times.
+ *
+ * @param {object} time - { hour, minute, meridiem }
+ * @param {string} inheritedMeridiem - am/pm taken from the other end of a range
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time, inheritedMeridiem) {
+  if (time.hour > 12 && time.hour < 24) {
+    return time.hour * 60 + time.minute;
+  }
+
+  let hour = time.hour % 12;
+  const meridiem = time.meridiem || inheritedMeridiem;
+
+  if (meridiem === 'pm') {
+    hour += 12;
+  } else if (!meridiem && time.hour >= 1 && time.hour <= 7) {
+    hour += 12;
+  } else if (!meridiem && time.hour === 12) {
+    hour = 12;
+  }
+
+  return hour * 60 + time.minute;
+}
+
+/**
+ * Resolve both ends of a time range, sharing am/pm between them when only one end has it.
+ *
+ * @param {object} start - Start time token value
+ * @param {object} end - End time token value
+ * @returns {object} { start, end } in minutes after midnight; end is past 24:00 for ranges that cross midnight
+ */
+function resolveRange(start, end) {
+  let startMinutes;
+  let endMinutes;
+
+  if (start.meridiem && end.meridiem) {
+    startMinutes = toMinutes(start);
+    endMinutes = toMinutes(end);
+  } else if (end.meridiem) {
+    // "10-2pm" is 10am to 2pm, "1-3pm" is 1pm to 3pm
+    endMinutes = toMinutes(end);
+    startMinutes = toMinutes(start, end.meridiem);
+    if (startMinutes > endMinutes) {
+      startMinutes = toMinutes(start, 'am');
+    }
+  } else {
+    // "9-5" is 9am to 5pm, "12-1" is noon to 1pm: the end is the next matching hour after the start
+    startMinutes = toMinutes(start);
+    endMinutes = (end.hour % 12) * 60 + end.minute + (startMinutes >= 12 * 60 ? 12 * 60 : 0);
+    if (endMinutes <= startMinutes) {
+      endMinutes += 12 * 60;
+    }
+  }
+
+  // A range ending at midnight ends at the end of the day; one ending before it starts, such as
+  // "10pm-1am", runs into the next day and ends after 24:00
+  if (endMinutes === 0) {
+    endMinutes = 24 * 60;
+  } else if (endMinutes > 24 * 60) {
+    endMinutes -= 24 * 60;
+  }
+  if (endMinutes <= startMinutes) {
+    endMinutes += 24 * 60;
+  }
+
+  return { start: startMinutes, end: endMinutes };
+}
+
+/**
+ * Recursive-descent parser over the token list.
+ */
+class SelectionParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  isWord(token, words) {
+    return Boolean(token) && token.type === 'word' && words.includes(token.value);
+  }
+
+  skipFillers() {
+    while (this.isWord(this.peek(), FILLERS) && !this.startsAllDay() && !this.startsEveryDay()) {
+      this.pos++;
+    }
+  }
+
+  startsAllDay() {
+    const token = this.peek();
+    if (this.isWord(token, ['anytime', 'whenever', 'everything', 'always'])) {
+      return true;
+    }
+    return this.isWord(token, ['all', 'any']) && this.isWord(this.peek(1), ['day', 'time']);
+  }
+
+  startsEveryDay() {
+    return this.isWord(this.peek(), ['every', 'all', 'any']) && this.isWord(this.peek(1), ['day', 'days']) &&
+      !(this.peek(0).value === 'all' && this.peek(1).value === 'day');
+  }
+
+  startsTime(offset = 0) {
+    const token = this.peek(offset);
+    if (!token) {
+      return false;
+    }
+    if (token.type === 'time') {
+      return true;
+    }
+    if (token.type === 'word' && (PERIODS[token.value] || ['after', 'before', 'between', 'from', 'until', 'till'].includes(token.value))) {
+      return true;
+    }
+    return token.type === 'word' && token.value === 'at' && this.peek(offset + 1) && this.peek(offset + 1).type === 'time';
+  }
+
+  startsDay(offset = 0) {
+    const token = this.peek(offset);
+    return Boolean(token) && (token.type === 'day' || token.type === 'daySet');
+  }
+
+  /**
+   * Parse all clauses, collecting anything that doesn't parse as a warning.
+   */
+  parse() {
+    const clauses = [];
+    const unparsed = [];
+
+    while (this.pos < this.tokens.length) {
+      if (this.isWord(this.peek(), SEPARATORS)) {
+        this.pos++;
+        continue;
+      }
+
+      const start = this.pos;
+      const clause = this.parseClause();
+      if (clause) {
+        clauses.push(clause);
+        continue;
+      }
+
+      // Skip to the next separator and report what was skipped
+      this.pos = start;
+      const skipped = [];
+      while (this.pos < this.tokens.length && !this.isWord(this.peek(), SEPARATORS)) {
+        skipped.push(this.peek().text);
+        this.pos++;
+      }
+      if (skipped.length > 0) {
+        unparsed.push(skipped.join(' '));
+      }
+    }
+
+    return { clauses, unparsed };
+  }
+
+  /**
+   * Consume a preference phrase such as "if needed" at the current position.
+   *
+   * @returns {string|null} "preferred", "ifNeeded" or null if there is none
+   */
+  parsePreference() {
+    const phrase = PREFERENCE_PHRASES.find(candidate =>
+      candidate.words.every((word, index) => this.isWord(this.peek(index), [word]))
+    );
+    if (!phrase) {
+      return null;
+    }
+    this.pos += phrase.words.length;
+    return phrase.preference;
+  }
+
+  parseClause() {
+    const clause = { negate: false, codes: [], days: null, times: null, except: null, preference: null };
+
+    this.skipFillers();
+    clause.preference = this.parsePreference();
+    this.skipFillers();
+    if (this.isWord(this.peek(), ['but']) && this.isWord(this.peek(1), NEGATIONS)) {
+      this.pos++;
+    }
+    if (this.isWord(this.peek(), NEGATIONS)) {
+      clause.negate = true;
+      this.pos++;
+      this.skipFillers();
+    }
+
+    // Slot codes and timestamps from generate-availability-prompt
+    while (this.peek() && (this.peek().type === 'code' || this.peek().type === 'timestamp')) {
+      clause.codes.push(this.peek());
+      this.pos++;
+    }
+    if (clause.codes.length > 0) {
+      return this.finishClause(clause);
+    }
+
+    const term = this.parseTerm();
+    if (!term) {
+      return null;
+    }
+    clause.days = term.days;
+    clause.times = term.times;
+
+    // Clause-local exclusions such as "all of Wed except 12-1"
+    const exceptStart = this.pos;
+    this.skipFillers();
+    if (this.isWord(this.peek(), ['but']) && this.isWord(this.peek(1), NEGATIONS)) {
+      this.pos++;
+    }
+    if (this.isWord(this.peek(), ['except', 'excluding', 'without'])) {
+      this.pos++;
+      const except = this.parseTerm();
+      if (except) {
+        clause.except = except;
+      } else {
+        this.pos = exceptStart;
+      }
+    } else {
+      this.pos = exceptStart;
+    }
+
+    return this.finishClause(clause);
+  }
+
+  // Pick up a preference that follows the clause, e.g. "Saturday morning if needed"
+  finishClause(clause) {
+    const preferenceStart = this.pos;
+    this.skipFillers();
+    const preference = this.parsePreference();
+    if (preference) {
+      clause.preference = preference;
+    } else {
+      this.pos = preferenceStart;
+    }
+    return clause;
+  }
+
+  parseTerm() {
+    const start = this.pos;
+    this.skipFillers();
+    const days = this.parseDays();
+    this.skipFillers();
+    const times = this.parseTimes();
+
+    // Days may also follow the times, e.g. "between 10 and 12 on tue and thu"
+    if (!days && times) {
+      const daysStart = this.pos;
+      this.skipFillers();
+      const trailingDays = this.parseDays();
+      if (trailingDays) {
+        return { days: trailingDays, times };
+      }
+      this.pos = daysStart;
+    }
+
+    if (!days && !times) {
+      this.pos = start;
+      return null;
+    }
+    return { days, times };
+  }
+
+  parseDays() {
+    if (this.startsEveryDay()) {
+      this.pos += 2;
+      return new Set(DAY_SETS.everyday);
+    }
+    if (!this.startsDay()) {
+      return null;
+    }
+
+    const days = new Set();
+    const addDayToken = token => {
+      (token.type === 'daySet' ? token.value : [token.value]).forEach(day => days.add(day));
+    };
+
+    addDayToken(this.peek());
+    this.pos++;
+
+    while (this.pos < this.tokens.length) {
+      const previous = this.tokens[this.pos - 1];
+      const next = this.peek();
+
+      // Day ranges such as "mon-wed" or "monday through friday"
+      if (previous.type === 'day' && this.isWord(next, RANGE_WORDS) && this.peek(1) && this.peek(1).type === 'day') {
+        for (let day = previous.value; day !== this.peek(1).value; day = (day + 1) % 7) {
+          days.add(day);
+        }
+        days.add(this.peek(1).value);
+        this.pos += 2;
+        continue;
+      }
+
+      // Day lists such as "tue, thu and fri"
+      if (this.isWord(next, [',', 'and', 'or', '&']) && this.startsDay(1)) {
+        addDayToken(this.peek(1));
+        this.pos += 2;
+        continue;
+      }
+
+      break;
+    }
+
+    return days;
+  }
+
+  parseTimes() {
+    const times = { windows: [], bounds: [], any: false };
+    let parsedAny = false;
+
+    while (this.pos < this.tokens.length) {
+      const spec = this.parseTimeSpec();
+      if (!spec) {
+        break;
+      }
+      parsedAny = true;
+      if (spec.any) {
+        times.any = true;
+      } else if (spec.window) {
+        times.windows.push(spec.window);
+      } else {
+        times.bounds.push(spec.bound);
+      }
+
+      // More time specs for the same days, e.g. "9-11 and 2-4"
+      if (this.isWord(this.peek(), [',', 'and', 'or', '&']) && this.startsTime(1)) {
+        this.pos++;
+      }
+    }
+
+    return parsedAny ? times : null;
+  }
+
+  parseTimeSpec() {
+    const token = this.peek();
+    if (!token) {
+      return null;
+    }
+
+    if (this.startsAllDay()) {
+      this.pos += this.isWord(token, ['anytime', 'whenever', 'everything', 'always']) ? 1 : 2;
+      return { any: true };
+    }
+
+    if (token.type === 'word' && PERIODS[token.value]) {
+      this.pos++;
+      return { window: { ...PERIODS[token.value] } };
+    }
+
+    if (this.isWord(token, ['after']) && this.peek(1) && this.peek(1).type === 'time') {
+      this.pos += 2;
+      return { bound: { min: toMinutes(this.tokens[this.pos - 1].value) } };
+    }
+
+    if (this.isWord(token, ['before', 'until', 'till']) && this.peek(1) && this.peek(1).type === 'time') {
+      this.pos += 2;
+      return { bound: { max: toMinutes(this.tokens[this.pos - 1].value) || 24 * 60 } };
+    }
+
+    if (this.isWord(token, ['between']) && this.peek(1) && this.peek(1).type === 'time' &&
+        this.isWord(this.peek(2), ['and', '-', 'to']) && this.peek(3) && this.peek(3).type === 'time') {
+      const range = resolveRange(this.peek(1).value, this.peek(3).value);
+      this.pos += 4;
+      return { window: range };
+    }
+
+    const offset = this.isWord(token, ['from', 'at']) ? 1 : 0;
+    const startToken = this.peek(offset);
+    if (!startToken || startToken.type !== 'time') {
+      return null;
+    }
+
+    if (this.isWord(this.peek(offset + 1), RANGE_WORDS) && this.peek(offset + 2) && this.peek(offset + 2).type === 'time') {
+      const range = resolveRange(startToken.value, this.peek(offset + 2).value);
+      this.pos += offset + 3;
+      return { window: range };
+    }
+
+    // A single time means the hour starting then
+    this.pos += offset + 1;
+    const start = toMinutes(startToken.value);
+    return { window: { start, end: start + 60 } };
+  }
+}
+
+/**
+ * Check whether a slot falls inside a parsed day/time term.
+ *
+ * @param {object} term - { days, times }
+ * @param {number} timestamp - Slot timestamp
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {boolean} True if the slot matches
+ */
+function matchesTerm(term, timestamp, timeZone) {
+  const weekday = getWeekday(timestamp, timeZone);
+  const onDay = day => !term.days || term.days.has(day);
+
+  const times = term.times;
+  if (!times || times.any) {
+    return onDay(weekday);
+  }
+
+  // The part of a window past midnight belongs to the day the window started on
+  const minutes = getLocalMinutes(timestamp, timeZone);
+  const inWindow = times.windows.length === 0
+    ? onDay(weekday)
+    : times.windows.some(window =>
+      (onDay(weekday) && minutes >= window.start && minutes < window.end) ||
+      (onDay((weekday + 6) % 7) && minutes + 24 * 60 < window.end)
+    );
+  const inBounds = times.bounds.every(bound =>
+    (bound.min === undefined || minutes >= bound.min) && (bound.max === undefined || minutes < bound.max)
+  );
+
+  return inWindow && inBounds;
+}
+
+/**
+ * Resolve a slot code or raw timestamp token to slot timestamps.
+ *
+ * @param {object} token - code or timestamp token
+ * @param {object[]} dayGroups - Day groups from generate-availability-prompt
+ * @param {object} slotLookup - Slot code -> timestamp map
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {number[]|null} Timestamps, or null if the code is unknown
+ */
+function resolveCode(token, dayGroups, slotLookup, timeZone) {
+  const allTimestamps = dayGroups.flatMap(day => day.slots.map(slot => slot.timestamp));
+
+  if (token.type === 'timestamp') {
+    return allTimestamps.includes(token.value) ? [token.value] : null;
+  }
+
+  // A specific time slot (e.g., d0t2)
+  const slotMatch = token.value.match(/^d(\d+)t(\d+)$/);
+  if (slotMatch) {
+    return slotLookup && slotLookup[token.value] ? [slotLookup[token.value]] : null;
+  }
+
+  // An entire day (e.g., day0)
+  const dayMatch = token.value.match(/^day(\d+)$/);
+  if (dayMatch) {
+    const day = dayGroups[parseInt(dayMatch[1], 10)];
+    return day ? day.slots.map(slot => slot.timestamp) : null;
+  }
+
+  // A time of day on one day (e.g., morning0)
+  const timeOfDayMatch = token.value.match(/^(morning|afternoon|evening)(\d+)$/);
+  if (timeOfDayMatch) {
+    const day = dayGroups[parseInt(timeOfDayMatch[2], 10)];
+    const period = PERIODS[timeOfDayMatch[1]];
+    if (!day) {
+      return null;
+    }
+    return day.slots
+      .filter(slot => {
+        const minutes = getLocalMinutes(slot.timestamp, timeZone);
+        return minutes >= period.start && minutes < period.end;
+      })
+      .map(slot => slot.timestamp);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a selection string into slot timestamps.
+ *
+ * @param {string} selections - What the user typed
+ * @param {object} options - dayGroups, slotLookup and an optional timeZone
+ * @returns {object} Sorted unique timestamps, the ones among them that are only "if needed",
+ *   and warnings for anything that couldn't be used
+ */
+function parseSelections(selections, { dayGroups, slotLookup, timeZone }) {
+  const allTimestamps = dayGroups.flatMap(day => day.slots.map(slot => slot.timestamp));
+  const { clauses, unparsed } = new SelectionParser(tokenize(selections)).parse();
+  const warnings = unparsed.map(fragment => `Could not understand "${fragment}"`);
+
+  const included = new Set();
+  const excluded = new Set();
+  const preferred = new Set();
+  let hasPositiveClause = false;
+
+  clauses.forEach(clause => {
+    let matched = [];
+
+    if (clause.codes.length > 0) {
+      clause.codes.forEach(token => {
+        const timestamps = resolveCode(token, dayGroups, slotLookup, timeZone);
+        if (timestamps) {
+          matched.push(...timestamps);
+        } else {
+          warnings.push(`"${token.text}" does not match any time slot`);
+        }
+      });
+    } else {
+      matched = allTimestamps.filter(timestamp =>
+        matchesTerm(clause, timestamp, timeZone) &&
+        !(clause.except && matchesTerm(clause.except, timestamp, timeZone))
+      );
+    }
+
+    if (clause.negate) {
+      matched.forEach(timestamp => excluded.add(timestamp));
+    } else {
+      hasPositiveClause = true;
+      matched.forEach(timestamp => {
+        included.add(timestamp);
+        if (clause.preference !== 'ifNeeded') {
+          preferred.add(timestamp);
+        }
+      });
+    }
+  });
+
+  // A selection made only of exclusions ("not Friday") starts from every slot
+  const base = hasPositiveClause ? [...included] : (excluded.size > 0 ? allTimestamps : []);
+  const timestamps = [...new Set(base)]
+    .filter(timestamp => !excluded.has(timestamp))
+    .sort((a, b) => a - b);
+
+  // A slot that any clause without "if needed" covers is preferred
+  const ifNeeded = hasPositiveClause ? timestamps.filter(timestamp => !preferred.has(timestamp)) : [];
+
+  return { timestamps, ifNeeded, warnings };
+}
+
+module.exports = {
+  parseSelections,
+  tokenize
+};
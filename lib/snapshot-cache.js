@@ -0,0 +1,246 @@
+/**
+ * Event snapshot cache
+ *
+ * Stores normalized snapshots of When2Meet events keyed by event ID, so repeated tool calls can
+ * reuse a recent scrape and changes can be worked out between two points in time. Snapshots are
+ * kept in memory, or as one JSON file per event when a directory is configured.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reduce event details to the data a snapshot keeps. Day grouping and labels are left out
+ * because they depend on the timezone the event is read in.
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @returns {object} name, dateRange, url, timeslots, participants and availabilityBySlot
+ */
+function normalizeEventDetails(eventDetails) {
+  return {
+    name: eventDetails.name,
+    dateRange: eventDetails.dateRange,
+    url: eventDetails.url,
+    timeslots: eventDetails.availableTimeslots ? eventDetails.availableTimeslots.allTimeslots : [],
+    participants: eventDetails.participants || [],
+    availabilityBySlot: eventDetails.availabilityBySlot || {}
+  };
+}
+
+/**
+ * Create a snapshot cache.
+ *
+ * @param {object} options - ttlSeconds (how long a snapshot is reused, default 60), directory
+ *   (store snapshots as JSON files there instead of in memory) and maxSnapshots per event (default 100)
+ * @returns {object} Cache with getFresh, record, expire, findBefore and history functions
+ */
+function createSnapshotCache({ ttlSeconds = 60, directory, maxSnapshots = 100 } = {}) {
+  // eventKey -> snapshots, oldest first; loaded from disk the first time an event is used
+  const snapshotsByEvent = new Map();
+  // eventKey -> promise of the last write, so writes to one file never overlap
+  const writes = new Map();
+
+  const filePath = eventKey => path.join(directory, `${eventKey.replace(/[^\w-]/g, '_')}.json`);
+
+  async function load(eventKey) {
+    if (snapshotsByEvent.has(eventKey)) {
+      return snapshotsByEvent.get(eventKey);
+    }
+
+    let snapshots = [];
+    if (directory) {
+      try {
+        snapshots = JSON.parse(await fs.promises.readFile(filePath(eventKey), 'utf8')).snapshots || [];
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Could not read cached snapshots of ${eventKey}: ${error.message}`);
+        }
+      }
+    }
+
+    // Another call may have loaded the event while the file was being read
+    if (!snapshotsByEvent.has(eventKey)) {
+      snapshotsByEvent.set(eventKey, snapshots);
+    }
+    return snapshotsByEvent.get(eventKey);
+  }
+
+  function save(eventKey, snapshots) {
+    if (!directory) {
+      return Promise.resolve();
+    }
+    const previous = writes.get(eventKey) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(filePath(eventKey), JSON.stringify({ eventKey, snapshots }));
+    });
+    writes.set(eventKey, write);
+    return write;
+  }
+
+  /**
+   * Get the latest snapshot of an event if it was checked within the TTL.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   * @param {number} now - Current time in seconds
+   * @returns {object|null} Snapshot or null if there is no fresh one
+   */
+  async function getFresh(eventKey, now = Math.floor(Date.now() / 1000)) {
+    const snapshots = await load(eventKey);
+    const latest = snapshots[snapshots.length - 1];
+    return latest && now - latest.checkedAt < ttlSeconds ? latest : null;
+  }
+
+  /**
+   * Record freshly loaded event details. A new snapshot is only added when something changed;
+   * otherwise the latest snapshot is marked as checked again.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+   * @param {number} now - Current time in seconds
+   * @returns {object} The latest snapshot
+   */
+  async function record(eventKey, eventDetails, now = Math.floor(Date.now() / 1000)) {
+    const snapshots = await load(eventKey);
+    const data = normalizeEventDetails(eventDetails);
+    const latest = snapshots[snapshots.length - 1];
+
+    const { takenAt, checkedAt, ...latestData } = latest || {};
+    if (latest && JSON.stringify(latestData) === JSON.stringify(data)) {
+      latest.checkedAt = now;
+    } else {
+      snapshots.push({ takenAt: now, checkedAt: now, ...data });
+      snapshots.splice(0, Math.max(0, snapshots.length - maxSnapshots));
+    }
+
+    await save(eventKey, snapshots);
+    return snapshots[snapshots.length - 1];
+  }
+
+  /**
+   * Stop reusing the latest snapshot of an event, e.g. after saving availability to it.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   */
+  async function expire(eventKey) {
+    const snapshots = await load(eventKey);
+    if (snapshots.length > 0) {
+      snapshots[snapshots.length - 1].checkedAt = 0;
+      await save(eventKey, snapshots);
+    }
+  }
+
+  /**
+   * Find the snapshot describing an event as it was at a point in time: the latest one taken
+   * at or before that time.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   * @param {number} time - Time in seconds
+   * @returns {object|null} Snapshot or null if none is that old
+   */
+  async function findBefore(eventKey, time) {
+    const snapshots = await load(eventKey);
+    return [...snapshots].reverse().find(snapshot => snapshot.takenAt <= time) || null;
+  }
+
+  /**
+   * Get all stored snapshots of an event, oldest first.
+   *
+   * @param {string} eventKey - Event ID such as 12345-AbCdE
+   * @returns {object[]} Snapshots
+   */
+  async function history(eventKey) {
+    return [...await load(eventKey)];
+  }
+
+  return {
+    getFresh,
+    record,
+    expire,
+    findBefore,
+    history
+  };
+}
+
+/**
+ * Find the slots the most people are available in.
+ *
+ * @param {object} snapshot - Event snapshot
+ * @returns {object} count and the timestamps of every slot with that many people
+ */
+function findBestSlots(snapshot) {
+  let count = 0;
+  let timestamps = [];
+  Object.keys(snapshot.availabilityBySlot).forEach(timestamp => {
+    const available = snapshot.availabilityBySlot[timestamp].length;
+    if (available > count) {
+      count = available;
+      timestamps = [];
+    }
+    if (available === count && count > 0) {
+      timestamps.push(parseInt(timestamp, 10));
+    }
+  });
+  return { count, timestamps: timestamps.sort((a, b) => a - b) };
+}
+
+/**
+ * Work out what changed between two snapshots of an event.
+ *
+ * @param {object} before - Earlier snapshot
+ * @param {object} after - Later snapshot
+ * @returns {object} newParticipants, removedParticipants, per-person added/removed slots and the best slots before and after
+ */
+function diffSnapshots(before, after) {
+  const slotsByPerson = snapshot => {
+    const slots = {};
+    snapshot.participants.forEach(participant => {
+      slots[participant.name] = new Set();
+    });
+    Object.keys(snapshot.availabilityBySlot).forEach(timestamp => {
+      snapshot.availabilityBySlot[timestamp].forEach(name => {
+        if (slots[name]) {
+          slots[name].add(parseInt(timestamp, 10));
+        }
+      });
+    });
+    return slots;
+  };
+
+  const beforeSlots = slotsByPerson(before);
+  const afterSlots = slotsByPerson(after);
+  const sortNumbers = values => [...values].sort((a, b) => a - b);
+
+  const newParticipants = Object.keys(afterSlots).filter(name => !beforeSlots[name]);
+  const removedParticipants = Object.keys(beforeSlots).filter(name => !afterSlots[name]);
+
+  const changesByPerson = [];
+  [...new Set([...Object.keys(beforeSlots), ...Object.keys(afterSlots)])].forEach(name => {
+    const previous = beforeSlots[name] || new Set();
+    const current = afterSlots[name] || new Set();
+    const added = sortNumbers([...current].filter(timestamp => !previous.has(timestamp)));
+    const removed = sortNumbers([...previous].filter(timestamp => !current.has(timestamp)));
+    if (added.length > 0 || removed.length > 0) {
+      changesByPerson.push({ name, added, removed });
+    }
+  });
+
+  const bestBefore = findBestSlots(before);
+  const bestAfter = findBestSlots(after);
+
+  return {
+    newParticipants,
+    removedParticipants,
+    changesByPerson,
+    bestSlots: {
+      before: bestBefore,
+      after: bestAfter,
+      changed: JSON.stringify(bestBefore) !== JSON.stringify(bestAfter)
+    }
+  };
+}
+
+module.exports = {
+  createSnapshotCache,
+  diffSnapshots
+};
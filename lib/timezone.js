@@ -0,0 +1,203 @@
+/**
+ * Timezone helpers
+ *
+ * Formats When2Meet timestamps in an IANA timezone chosen by the caller instead of the server
+ * process's timezone. Every helper falls back to the process timezone when no timezone is given.
+ */
+
+/**
+ * Check that a timezone is a valid IANA name.
+ *
+ * @param {string} timeZone - IANA timezone name such as America/Los_Angeles
+ * @throws {Error} If the timezone is unknown
+ */
+function assertTimeZone(timeZone) {
+  if (timeZone === undefined) {
+    return;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (e) {
+    throw new Error(`Unknown timezone "${timeZone}". Use an IANA name such as America/Los_Angeles`);
+  }
+}
+
+/**
+ * Format the time of day of a timestamp, e.g. "09:15 AM".
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {string} Formatted time
+ */
+function formatTime(timestamp, timeZone) {
+  return new Date(timestamp * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone });
+}
+
+/**
+ * Format the full date of a timestamp, e.g. "Monday, Apr 14, 2025".
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {string} Formatted date
+ */
+function formatDate(timestamp, timeZone) {
+  return new Date(timestamp * 1000).toLocaleDateString([], {
+    weekday: 'long', month: 'short', day: 'numeric', year: 'numeric', timeZone
+  });
+}
+
+/**
+ * Format the short date of a timestamp, e.g. "4/14/2025".
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {string} Formatted date
+ */
+function formatShortDate(timestamp, timeZone) {
+  return new Date(timestamp * 1000).toLocaleDateString([], { timeZone });
+}
+
+/**
+ * Get the weekday name of a timestamp, e.g. "Monday".
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {string} Weekday name
+ */
+function getDayName(timestamp, timeZone) {
+  return new Date(timestamp * 1000).toLocaleDateString([], { weekday: 'long', timeZone });
+}
+
+/**
+ * Get the local calendar date of a timestamp as YYYY-MM-DD, for grouping slots by day.
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {string} Date key
+ */
+function getDateKey(timestamp, timeZone) {
+  const parts = getParts(timestamp, timeZone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Get the local hour (0-23) of a timestamp.
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {number} Hour of the day
+ */
+function getLocalHour(timestamp, timeZone) {
+  return parseInt(getParts(timestamp, timeZone).hour, 10);
+}
+
+/**
+ * Get the local time of day of a timestamp in minutes after midnight.
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {number} Minutes after midnight
+ */
+function getLocalMinutes(timestamp, timeZone) {
+  const parts = getParts(timestamp, timeZone);
+  return parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+}
+
+/**
+ * Get the local day of the week of a timestamp (0 = Sunday, 6 = Saturday).
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {number} Day of the week
+ */
+function getWeekday(timestamp, timeZone) {
+  const weekday = new Date(timestamp * 1000).toLocaleDateString('en-US', { weekday: 'short', timeZone });
+  return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday);
+}
+
+/**
+ * Get how far a timezone's clocks are ahead of UTC at a timestamp.
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {number} Offset in minutes, e.g. -300 for New York in winter
+ */
+function getUtcOffset(timestamp, timeZone) {
+  const parts = getParts(timestamp, timeZone);
+  const wallSeconds = Date.UTC(
+    parseInt(parts.year, 10), parseInt(parts.month, 10) - 1, parseInt(parts.day, 10),
+    parseInt(parts.hour, 10), parseInt(parts.minute, 10)
+  ) / 1000;
+  return Math.round((wallSeconds - (timestamp - (((timestamp % 60) + 60) % 60))) / 60);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC timestamp.
+ * Times skipped by a DST change are shifted forward by the size of the gap; times that occur
+ * twice resolve to the first occurrence.
+ *
+ * @param {object} wallTime - year, month (1-12), day, and optional hour, minute, second
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {number} UTC timestamp in seconds
+ */
+function zonedTimeToTimestamp({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallSeconds = Date.UTC(year, month - 1, day, hour, minute, second) / 1000;
+
+  // Wall-clock time of an instant in the timezone, expressed as if it were UTC
+  const wallTimeAt = instant => {
+    const parts = getParts(instant, timeZone);
+    return Date.UTC(
+      parseInt(parts.year, 10), parseInt(parts.month, 10) - 1, parseInt(parts.day, 10),
+      parseInt(parts.hour, 10), parseInt(parts.minute, 10)
+    ) / 1000 + (((instant % 60) + 60) % 60);
+  };
+
+  // Try the offsets in effect a day before and a day after the wanted time
+  const offsetAt = instant => wallTimeAt(instant) - instant;
+  const candidates = [
+    wallSeconds - offsetAt(wallSeconds - 86400),
+    wallSeconds - offsetAt(wallSeconds + 86400)
+  ];
+  const exact = candidates.filter(candidate => wallTimeAt(candidate) === wallSeconds);
+
+  return exact.length > 0 ? Math.min(...exact) : Math.max(...candidates);
+}
+
+/**
+ * Split a timestamp into its local date and time parts.
+ *
+ * @param {number} timestamp - UTC timestamp in seconds
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {object} year, month, day, hour and minute as zero-padded strings
+ */
+function getParts(timestamp, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone
+  });
+
+  const parts = {};
+  formatter.formatToParts(new Date(timestamp * 1000)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+}
+
+module.exports = {
+  assertTimeZone,
+  formatDate,
+  formatShortDate,
+  formatTime,
+  getDateKey,
+  getDayName,
+  getLocalHour,
+  getLocalMinutes,
+  getUtcOffset,
+  getWeekday,
+  zonedTimeToTimestamp
+};
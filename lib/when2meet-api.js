@@ -0,0 +1,239 @@
+/**
+ * When2Meet HTTP API
+ *
+ * Talks to the same endpoints the When2Meet pages use for creating events (SaveNewEvent.php),
+ * signing in (ProcessLogin.php) and saving availability (SaveTimes.php), so events and
+ * availability can be written without a browser. Endpoints are resolved relative to the event URL
+ * (or WHEN2MEET_BASE_URL for new events), which lets a local stub server stand in for When2Meet.
+ */
+
+const DEFAULT_BASE_URL = 'https://www.when2meet.com/';
+
+/**
+ * Check that a URL points at When2Meet.
+ * Hosts listed in WHEN2MEET_ALLOWED_HOSTS (comma separated) are accepted too, e.g. a local stub server.
+ *
+ * @param {string} url - URL to check
+ * @throws {Error} If the URL is not a When2Meet URL
+ */
+function assertWhen2MeetUrl(url) {
+  const allowedHosts = (process.env.WHEN2MEET_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+  let host;
+  try {
+    host = new URL(url).host.toLowerCase();
+  } catch (e) {
+    throw new Error("The provided URL is not a When2Meet URL");
+  }
+
+  const isWhen2Meet = host === 'when2meet.com' || host.endsWith('.when2meet.com');
+  if (!isWhen2Meet && !allowedHosts.includes(host)) {
+    throw new Error("The provided URL is not a When2Meet URL");
+  }
+}
+
+/**
+ * Extract the numeric event ID from a When2Meet URL such as https://www.when2meet.com/?12345-AbCdE
+ *
+ * @param {string} url - The When2Meet URL
+ * @returns {string} The event ID
+ */
+function getEventId(url) {
+  const match = new URL(url).search.match(/^\?(\d+)(?:-|$)/);
+  if (!match) {
+    throw new Error("Could not find the event ID in the When2Meet URL");
+  }
+  return match[1];
+}
+
+/**
+ * Extract the full event key from a When2Meet URL, e.g. "12345-AbCdE" from https://www.when2meet.com/?12345-AbCdE
+ *
+ * @param {string} url - The When2Meet URL
+ * @returns {string} The event key
+ */
+function getEventKey(url) {
+  const match = new URL(url).search.match(/^\?(\d+-[A-Za-z0-9]+)/);
+  if (!match) {
+    throw new Error("Could not find the event ID in the When2Meet URL");
+  }
+  return match[1];
+}
+
+/**
+ * Build the URL of an event from its key, e.g. "12345-AbCdE".
+ *
+ * @param {string} eventKey - The event key
+ * @returns {string} The When2Meet event URL
+ */
+function getEventUrl(eventKey) {
+  if (!/^\d+-[A-Za-z0-9]+$/.test(eventKey)) {
+    throw new Error(`"${eventKey}" is not a When2Meet event ID such as 12345-AbCdE`);
+  }
+  return new URL(`?${eventKey}`, getBaseUrl()).toString();
+}
+
+/**
+ * POST a form to a When2Meet endpoint next to the event page.
+ *
+ * @param {string} url - The When2Meet event URL
+ * @param {string} endpoint - Endpoint file name, e.g. SaveTimes.php
+ * @param {object} fields - Form fields
+ * @returns {object} HTTP status and response text
+ */
+async function postForm(url, endpoint, fields) {
+  const response = await fetch(new URL(endpoint, url), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
+      'User-Agent': 'when2meet-mcp'
+    },
+    body: new URLSearchParams(fields).toString(),
+    signal: AbortSignal.timeout(15000)
+  });
+
+  return {
+    status: response.status,
+    ok: response.ok,
+    url: response.url,
+    text: (await response.text()).trim()
+  };
+}
+
+/**
+ * Get the When2Meet site new events are created on.
+ * Set WHEN2MEET_BASE_URL to point at a local stub server instead.
+ *
+ * @returns {string} Base URL ending in a slash
+ */
+function getBaseUrl() {
+  const baseUrl = process.env.WHEN2MEET_BASE_URL || DEFAULT_BASE_URL;
+  return baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+}
+
+/**
+ * Create a new When2Meet event the way the form on the home page does.
+ *
+ * @param {object} event - name, dateType ("SpecificDates" or "DaysOfTheWeek"), possibleDates
+ *   (YYYY-MM-DD dates or day numbers, 0 = Sunday), earliestHour and latestHour (0-24) and timeZone
+ * @returns {object} The new event's ID and URL
+ */
+async function createEvent({ name, dateType, possibleDates, earliestHour, latestHour, timeZone }) {
+  const baseUrl = getBaseUrl();
+  assertWhen2MeetUrl(baseUrl);
+
+  const response = await postForm(baseUrl, 'SaveNewEvent.php', {
+    NewEventName: name,
+    DateTypes: dateType,
+    PossibleDates: possibleDates.join('|'),
+    NoEarlierThan: String(earliestHour),
+    NoLaterThan: String(latestHour),
+    TimeZone: timeZone
+  });
+
+  if (!response.ok) {
+    throw new Error(`Creating the event failed: When2Meet responded with ${response.status}`);
+  }
+
+  // When2Meet answers with a page that redirects to the new event, e.g. window.location='./?12345-AbCdE'
+  const redirectMatch = `${response.url || ''}\n${response.text}`.match(/\?(\d+-[A-Za-z0-9]+)/);
+  if (!redirectMatch) {
+    throw new Error(`Creating the event failed: unexpected response "${response.text.slice(0, 100)}"`);
+  }
+
+  const eventUrl = new URL(`?${redirectMatch[1]}`, baseUrl).toString();
+  return { eventId: getEventId(eventUrl), eventUrl };
+}
+
+/**
+ * Sign in to a When2Meet event the way the page's Sign In button does.
+ *
+ * @param {string} url - The When2Meet event URL
+ * @param {string} userName - Name to sign in with
+ * @param {string} password - Optional password
+ * @returns {string} The person ID When2Meet assigned to the user
+ */
+async function login(url, userName, password = '') {
+  const response = await postForm(url, 'ProcessLogin.php', {
+    id: getEventId(url),
+    name: userName,
+    password: password || '',
+    _: ''
+  });
+
+  if (!response.ok) {
+    throw new Error(`Sign in failed: When2Meet responded with ${response.status}`);
+  }
+  if (response.text === 'Wrong Password') {
+    throw new Error("Sign in failed: wrong password");
+  }
+  if (!/^\d+$/.test(response.text)) {
+    throw new Error(`Sign in failed: unexpected response "${response.text.slice(0, 100)}"`);
+  }
+
+  return response.text;
+}
+
+/**
+ * Save a run of slots as available or unavailable the way dragging over the grid does.
+ *
+ * @param {string} url - The When2Meet event URL
+ * @param {string} personId - Person ID returned by login
+ * @param {number[]} timestamps - Slot timestamps to save
+ * @param {boolean} available - Whether to mark the slots available
+ * @returns {object} success flag and an error message if the save was rejected
+ */
+async function saveTimes(url, personId, timestamps, available = true) {
+  const response = await postForm(url, 'SaveTimes.php', {
+    person: personId,
+    event: getEventId(url),
+    slots: timestamps.join(','),
+    availability: timestamps.map(() => (available ? '1' : '0')).join(''),
+    ChangeToAvailable: available ? 'true' : 'false',
+    _: ''
+  });
+
+  if (!response.ok) {
+    return { success: false, error: `When2Meet responded with ${response.status}` };
+  }
+  if (/error|invalid|wrong|denied/i.test(response.text)) {
+    return { success: false, error: `When2Meet rejected the save: ${response.text.slice(0, 100)}` };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Split timestamps into runs of consecutive slots, one save request per run.
+ *
+ * @param {number[]} timestamps - Slot timestamps
+ * @param {number} slotSeconds - Length of one slot in seconds
+ * @returns {number[][]} Sorted runs of consecutive timestamps
+ */
+function groupConsecutiveSlots(timestamps, slotSeconds = 900) {
+  const runs = [];
+  [...new Set(timestamps)].sort((a, b) => a - b).forEach(timestamp => {
+    const currentRun = runs[runs.length - 1];
+    if (currentRun && timestamp === currentRun[currentRun.length - 1] + slotSeconds) {
+      currentRun.push(timestamp);
+    } else {
+      runs.push([timestamp]);
+    }
+  });
+  return runs;
+}
+
+module.exports = {
+  assertWhen2MeetUrl,
+  createEvent,
+  getBaseUrl,
+  getEventId,
+  getEventKey,
+  getEventUrl,
+  groupConsecutiveSlots,
+  login,
+  saveTimes
+};
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createBrowserPool } = require('../lib/browser-pool');
+
+// A stand-in for a Puppeteer browser that records its contexts
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.contexts = [];
+  browser.closed = false;
+  browser.createBrowserContext = async () => {
+    const context = { closed: false, newPage: async () => ({ context }), close: async () => { context.closed = true; } };
+    browser.contexts.push(context);
+    return context;
+  };
+  browser.close = async () => {
+    browser.closed = true;
+    browser.emit('disconnected');
+  };
+  return browser;
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createBrowserPool', () => {
+  it('runs each task in its own context of one shared browser', async () => {
+    const browsers = [];
+    const pool = createBrowserPool({ launch: async () => browsers[browsers.push(fakeBrowser()) - 1] });
+
+    const results = await Promise.all([1, 2, 3].map(value => pool.withPage(async page => {
+      await delay(5);
+      return { value, page };
+    })));
+
+    assert.equal(browsers.length, 1);
+    assert.equal(browsers[0].contexts.length, 3);
+    assert.ok(browsers[0].contexts.every(context => context.closed));
+    assert.deepEqual(results.map(result => result.value), [1, 2, 3]);
+    assert.deepEqual(pool.stats(), {
+      browserRunning: true, maxPages: 2, activePages: 0, queued: 0,
+      launches: 1, crashes: 0, completed: 3, failed: 0, timedOut: 0
+    });
+    await pool.shutdown();
+    assert.equal(browsers[0].closed, true);
+    assert.equal(pool.stats().crashes, 0);
+  });
+
+  it('limits concurrent pages and times out queued requests', async () => {
+    const pool = createBrowserPool({ launch: async () => fakeBrowser(), maxPages: 1, queueTimeoutMs: 20 });
+    const running = pool.withPage(() => delay(60));
+
+    await assert.rejects(pool.withPage(async () => 'never'), /waiting for a browser page/);
+    assert.equal(pool.stats().activePages, 1);
+    await running;
+    assert.equal(pool.stats().timedOut, 1);
+    await pool.shutdown();
+  });
+
+  it('times out tasks that take too long', async () => {
+    const pool = createBrowserPool({ launch: async () => fakeBrowser(), taskTimeoutMs: 20 });
+    await assert.rejects(pool.withPage(() => delay(60)), /timed out after/);
+    assert.equal(pool.stats().failed, 1);
+    await pool.shutdown();
+  });
+
+  it('relaunches the browser after a crash', async () => {
+    const browsers = [];
+    const pool = createBrowserPool({ launch: async () => browsers[browsers.push(fakeBrowser()) - 1] });
+
+    await pool.withPage(async () => {});
+    browsers[0].emit('disconnected');
+    assert.equal(pool.stats().browserRunning, false);
+
+    await pool.withPage(async () => {});
+    assert.equal(browsers.length, 2);
+    assert.equal(pool.stats().crashes, 1);
+    await pool.shutdown();
+  });
+
+  it('rejects queued and new tasks on shutdown', async () => {
+    const pool = createBrowserPool({ launch: async () => fakeBrowser(), maxPages: 1 });
+    const running = pool.withPage(() => delay(20));
+    const queued = assert.rejects(pool.withPage(async () => 'never'), /shutting down/);
+
+    await pool.shutdown();
+    await queued;
+    await assert.rejects(pool.withPage(async () => 'never'), /shutting down/);
+    await running;
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCredentialStore } = require('../lib/credential-store');
+
+describe('createCredentialStore', () => {
+  let directory;
+  let filePath;
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'when2meet-credentials-'));
+    filePath = path.join(directory, 'credentials.json');
+  });
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('encrypts passwords and reads them back by event and name', async () => {
+    const store = createCredentialStore({ filePath, passphrase: 'correct horse' });
+    await store.save('123-AbC', 'Sam', 'open sesame');
+
+    const file = fs.readFileSync(filePath, 'utf8');
+    assert.ok(!file.includes('open sesame'));
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+    assert.equal(await store.get('123-AbC', ' sam '), 'open sesame');
+    assert.equal(await store.get('456-DeF', 'Sam'), null);
+    assert.deepEqual((await store.list()).map(({ eventKey, userName }) => [eventKey, userName]), [['123-AbC', 'Sam']]);
+  });
+
+  it('refuses to decrypt with another key', async () => {
+    const store = createCredentialStore({ filePath, passphrase: 'wrong horse' });
+    await assert.rejects(store.get('123-AbC', 'Sam'), /Could not decrypt the stored password for Sam/);
+  });
+
+  it('rejects entries moved to another event or name', async () => {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    data.credentials['999-Xyz/sam'] = { ...data.credentials['123-AbC/sam'], eventKey: '999-Xyz' };
+    fs.writeFileSync(filePath, JSON.stringify(data));
+
+    const store = createCredentialStore({ filePath, passphrase: 'correct horse' });
+    await assert.rejects(store.get('999-Xyz', 'Sam'), /Could not decrypt/);
+  });
+
+  it('is disabled without a passphrase', async () => {
+    const store = createCredentialStore({ filePath });
+    assert.equal(store.enabled, false);
+    await assert.rejects(store.save('123-AbC', 'Sam', 'secret'), /set WHEN2MEET_CREDENTIAL_KEY/);
+  });
+
+  it('deletes credentials', async () => {
+    const store = createCredentialStore({ filePath, passphrase: 'correct horse' });
+    assert.equal(await store.remove('123-AbC', 'SAM'), true);
+    assert.equal(await store.remove('123-AbC', 'Sam'), false);
+    assert.equal(await store.get('123-AbC', 'Sam'), null);
+  });
+
+  it('replaces the file in one step and keeps it private to its owner', async () => {
+    fs.chmodSync(filePath, 0o644);
+    const store = createCredentialStore({ filePath, passphrase: 'correct horse' });
+    await store.save('123-AbC', 'Sam', 'open sesame');
+
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+    assert.deepEqual(fs.readdirSync(directory), ['credentials.json']);
+  });
+});
@@ -0,0 +1,1122 @@
+/**
+ * End-to-end tests: every MCP tool, resource and prompt against the fake When2Meet server,
+ * through an in-memory MCP client.
+ */
+
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { z } = require('zod');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { LoggingMessageNotificationSchema, ResourceUpdatedNotificationSchema } = require('@modelcontextprotocol/sdk/types.js');
+const outputSchemas = require('../lib/schemas');
+const { zonedTimeToTimestamp } = require('../lib/timezone');
+const { startTestServer } = require('./support/test-server');
+const { multiWeekEvent, oddIntervalEvent, singleDayEvent, weeklyEvent } = require('./support/fixtures');
+
+describe('When2Meet MCP server', () => {
+  let client;
+  let fake;
+  let close;
+  let dataDirectory;
+  let multiWeek;
+  let singleDay;
+  let oddInterval;
+  let weekly;
+
+  before(async () => {
+    ({ client, fake, close, dataDirectory } = await startTestServer());
+    multiWeek = fake.addEvent(multiWeekEvent());
+    singleDay = fake.addEvent(singleDayEvent());
+    oddInterval = fake.addEvent(oddIntervalEvent());
+    weekly = fake.addEvent(weeklyEvent());
+  });
+
+  after(async () => {
+    await close();
+  });
+
+  // Call a tool, check it succeeded and that its structured result matches the declared output schema exactly
+  async function callTool(name, args, outputSchema) {
+    const result = await client.callTool({ name, arguments: args });
+    assert.ok(!result.isError, `${name} failed: ${result.content.map(item => item.text).join('\n')}`);
+    z.object(outputSchema).strict().parse(result.structuredContent);
+    return result.structuredContent;
+  }
+
+  async function callToolError(name, args) {
+    const result = await client.callTool({ name, arguments: args });
+    assert.equal(result.isError, true, `${name} should have failed`);
+    return result.content[0].text;
+  }
+
+  const newYork = (day, hour, minute = 0) => zonedTimeToTimestamp({ year: 2025, month: 3, day, hour, minute }, 'America/New_York');
+  const berlin = (hour, minute = 0) => zonedTimeToTimestamp({ year: 2025, month: 4, day: 15, hour, minute }, 'Europe/Berlin');
+  // Days-of-the-week polls use the week of Sunday, January 4, 1970; weekday 1 is Monday
+  const chicagoWeekday = (weekday, hour, minute = 0) =>
+    zonedTimeToTimestamp({ year: 1970, month: 1, day: 4 + weekday, hour, minute }, 'America/Chicago');
+
+  it('declares an output schema for every tool except help', async () => {
+    const { tools } = await client.listTools();
+    const names = tools.map(tool => tool.name);
+    for (const name of [
+      'get-event-details', 'generate-availability-prompt', 'parse-availability-selections',
+      'mark-when2meet-availability', 'get-my-availability', 'find-best-meeting-times',
+      'import-calendar-availability', 'create-when2meet-event', 'get-event-changes',
+      'mark-when2meet-availability-batch', 'create-availability-profile', 'list-availability-profiles',
+      'delete-availability-profile', 'apply-profile', 'export-event', 'save-credential', 'list-credentials',
+      'delete-credential', 'help'
+    ]) {
+      assert.ok(names.includes(name), `${name} is registered`);
+    }
+    tools.filter(tool => tool.name !== 'help').forEach(tool => {
+      assert.ok(tool.outputSchema, `${tool.name} has an output schema`);
+    });
+  });
+
+  describe('get-event-details', () => {
+    it('reads a multi-week event with participants across a DST change', async () => {
+      const details = await callTool('get-event-details', {
+        eventUrl: fake.eventUrl(multiWeek),
+        timezone: 'America/New_York'
+      }, outputSchemas.eventDetailsOutput);
+
+      assert.equal(details.name, 'Quarterly Planning');
+      assert.equal(details.eventType, 'specificDates');
+      assert.equal(details.dateRange, 'March 3 - March 21, 2025');
+      assert.equal(details.timezone, 'America/New_York');
+      assert.deepEqual(details.participants, [
+        { id: 1001, name: 'Alice', slotCount: 8 },
+        { id: 1002, name: 'Bob', slotCount: 12 }
+      ]);
+
+      const { dayGroups } = details.availableTimeslots;
+      assert.equal(dayGroups.length, 15);
+      dayGroups.forEach(day => {
+        assert.equal(day.timeBlocks.length, 1);
+        assert.equal(day.timeBlocks[0].startTime, '09:00 AM');
+        assert.equal(day.timeBlocks[0].endTime, '11:00 AM');
+      });
+      assert.equal(dayGroups[5].timeBlocks[0].startTimestamp, newYork(10, 9));
+      assert.deepEqual(details.availabilityBySlot[newYork(3, 10)], ['Alice', 'Bob']);
+      assert.deepEqual(details.availabilityBySlot[newYork(3, 9)], ['Alice']);
+    });
+
+    it('reads a single-day event nobody has answered', async () => {
+      const details = await callTool('get-event-details', {
+        eventUrl: fake.eventUrl(singleDay),
+        timezone: 'Europe/Berlin'
+      }, outputSchemas.eventDetailsOutput);
+
+      assert.equal(details.name, 'Team Lunch');
+      assert.deepEqual(details.participants, []);
+      const [day] = details.availableTimeslots.dayGroups;
+      assert.equal(details.availableTimeslots.dayGroups.length, 1);
+      assert.equal(day.slots.length, 12);
+      assert.equal(day.timeBlocks[0].startTimestamp, berlin(11));
+    });
+
+    it('reads an event with 30-minute slots', async () => {
+      const details = await callTool('get-event-details', {
+        eventUrl: fake.eventUrl(oddInterval),
+        timezone: 'America/Los_Angeles'
+      }, outputSchemas.eventDetailsOutput);
+
+      const { dayGroups, slotMinutes } = details.availableTimeslots;
+      assert.equal(slotMinutes, 30);
+      assert.equal(dayGroups.length, 2);
+      assert.deepEqual(dayGroups.map(day => day.slots.length), [8, 8]);
+      assert.deepEqual(dayGroups.map(day => day.timeBlocks.map(block => `${block.startTime} - ${block.endTime}`)), [
+        ['01:00 PM - 05:00 PM'], ['01:00 PM - 05:00 PM']
+      ]);
+      assert.deepEqual(details.participants, [{ id: 1003, name: 'Carol', slotCount: 4 }]);
+    });
+
+    it('rejects URLs that are not When2Meet', async () => {
+      const text = await callToolError('get-event-details', { eventUrl: 'https://example.com/?123-abc' });
+      assert.match(text, /not a When2Meet URL/);
+    });
+  });
+
+  describe('selection pipeline', () => {
+    it('goes from event details to saved availability', async () => {
+      const eventUrl = fake.eventUrl(multiWeek);
+      const details = await callTool('get-event-details', { eventUrl, timezone: 'America/New_York' }, outputSchemas.eventDetailsOutput);
+
+      const promptData = await callTool('generate-availability-prompt', { eventDetails: details }, outputSchemas.availabilityPromptOutput);
+      assert.equal(promptData.timezone, 'America/New_York');
+      assert.equal(promptData.slotLookup.d0t0, newYork(3, 9));
+      assert.match(promptData.selectionPrompt, /\[d5t0\] 09:00 AM/);
+
+      const parsed = await callTool('parse-availability-selections', {
+        selections: 'Mondays 9-10',
+        promptData
+      }, outputSchemas.parsedSelectionsOutput);
+      assert.deepEqual(parsed.warnings, []);
+      assert.deepEqual(parsed.timestamps, [3, 10, 17].flatMap(day => [0, 15, 30, 45].map(minute => newYork(day, 9, minute))));
+
+      const savesBefore = fake.saves.length;
+      const marked = await callTool('mark-when2meet-availability', {
+        eventUrl,
+        userName: 'Dana',
+        timestamps: parsed.timestamps
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(marked.markedCount, 12);
+      assert.equal(marked.removedCount, 0);
+      assert.deepEqual(marked.failures, []);
+      assert.equal(marked.verification.verified, true);
+
+      // One save per run of consecutive slots
+      const saves = fake.saves.slice(savesBefore);
+      assert.equal(saves.length, 3);
+      assert.ok(saves.every(save => save.available && save.slots.length === 4 && save.eventId === String(multiWeek.id)));
+
+      const mine = await callTool('get-my-availability', { eventUrl, userName: 'dana' }, outputSchemas.myAvailabilityOutput);
+      assert.equal(mine.found, true);
+      assert.deepEqual(mine.timestamps, parsed.timestamps);
+    });
+
+    it('parses slot codes and reports what it could not understand', async () => {
+      const details = await callTool('get-event-details', { eventUrl: fake.eventUrl(singleDay) }, outputSchemas.eventDetailsOutput);
+      const promptData = await callTool('generate-availability-prompt', { eventDetails: details, timezone: 'Europe/Berlin' }, outputSchemas.availabilityPromptOutput);
+
+      const parsed = await callTool('parse-availability-selections', {
+        selections: 'd0t0 d0t1 banana',
+        promptData
+      }, outputSchemas.parsedSelectionsOutput);
+      assert.deepEqual(parsed.timestamps, [berlin(11), berlin(11, 15)]);
+      assert.equal(parsed.warnings.length, 1);
+      assert.match(parsed.warnings[0], /banana/);
+    });
+
+    it('passes direct timestamps through', async () => {
+      const details = await callTool('get-event-details', { eventUrl: fake.eventUrl(singleDay) }, outputSchemas.eventDetailsOutput);
+      const promptData = await callTool('generate-availability-prompt', { eventDetails: details }, outputSchemas.availabilityPromptOutput);
+
+      const parsed = await callTool('parse-availability-selections', {
+        selections: `${berlin(12)}, ${berlin(12, 15)}`,
+        promptData
+      }, outputSchemas.parsedSelectionsOutput);
+      assert.deepEqual(parsed.timestamps, [berlin(12), berlin(12, 15)]);
+    });
+  });
+
+  describe('days-of-the-week polls', () => {
+    it('reads weekdays without calendar dates', async () => {
+      const details = await callTool('get-event-details', {
+        eventUrl: fake.eventUrl(weekly),
+        timezone: 'America/Chicago'
+      }, outputSchemas.eventDetailsOutput);
+
+      assert.equal(details.eventType, 'daysOfTheWeek');
+      assert.equal(details.dateRange, 'Every week on Monday, Wednesday, Friday');
+      const { dayGroups, formattedAvailability } = details.availableTimeslots;
+      assert.deepEqual(dayGroups.map(day => [day.dayName, day.fullDate]), [['Monday', null], ['Wednesday', null], ['Friday', null]]);
+      assert.equal(formattedAvailability[0], 'Monday: 04:00 PM - 06:00 PM');
+      assert.deepEqual(details.availabilityBySlot[chicagoWeekday(1, 16)], ['Dana']);
+    });
+
+    it('goes from the prompt to saved availability', async () => {
+      const eventUrl = fake.eventUrl(weekly);
+      const details = await callTool('get-event-details', { eventUrl, timezone: 'America/Chicago' }, outputSchemas.eventDetailsOutput);
+
+      const promptData = await callTool('generate-availability-prompt', { eventDetails: details }, outputSchemas.availabilityPromptOutput);
+      assert.match(promptData.selectionPrompt, /This is a weekly poll/);
+      assert.match(promptData.selectionPrompt, /^Wednesday:\n\[d1t0\] 04:00 PM/m);
+      assert.doesNotMatch(promptData.selectionPrompt, /1970/);
+
+      const parsed = await callTool('parse-availability-selections', {
+        selections: 'Wednesday after 5pm; Friday 4-5 if needed',
+        promptData
+      }, outputSchemas.parsedSelectionsOutput);
+      assert.deepEqual(parsed.warnings, []);
+      const wednesday = [0, 15, 30, 45].map(minute => chicagoWeekday(3, 17, minute));
+      const friday = [0, 15, 30, 45].map(minute => chicagoWeekday(5, 16, minute));
+      assert.deepEqual(parsed.timestamps, [...wednesday, ...friday]);
+      assert.deepEqual(parsed.ifNeededTimestamps, friday);
+      assert.deepEqual([...new Set(parsed.timestampDetails.map(detail => detail.date))], ['Wednesday', 'Friday']);
+
+      const marked = await callTool('mark-when2meet-availability', {
+        eventUrl,
+        userName: 'Eli',
+        timestamps: parsed.timestamps,
+        ifNeededTimestamps: parsed.ifNeededTimestamps
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(marked.markedCount, 8);
+      assert.equal(marked.verification.verified, true);
+
+      const mine = await callTool('get-my-availability', { eventUrl, userName: 'Eli', timezone: 'America/Chicago' }, outputSchemas.myAvailabilityOutput);
+      assert.deepEqual(mine.timestamps, parsed.timestamps);
+      assert.match(mine.readableSelections[0], /^Wednesday: 05:00 PM/);
+    });
+
+    it('cannot compare a calendar against a weekly poll', async () => {
+      const text = await callToolError('import-calendar-availability', {
+        eventUrl: fake.eventUrl(weekly),
+        ics: 'BEGIN:VCALENDAR\nEND:VCALENDAR'
+      });
+      assert.match(text, /days-of-the-week poll/);
+    });
+  });
+
+  describe('mark-when2meet-availability', () => {
+    it('adds, removes and replaces slots', async () => {
+      const eventUrl = fake.eventUrl(singleDay);
+      const slots = [berlin(11), berlin(11, 15), berlin(11, 30)];
+
+      const added = await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Erik', timestamps: slots
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(added.markedCount, 3);
+
+      const removed = await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Erik', timestamps: [berlin(11)], mode: 'remove'
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(removed.removedCount, 1);
+      assert.equal(removed.verification.verified, true);
+
+      const replaced = await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Erik', timestamps: [berlin(11, 30), berlin(13)], mode: 'replace'
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(replaced.markedCount, 1);
+      assert.equal(replaced.removedCount, 1);
+      assert.equal(replaced.unchangedCount, 1);
+      assert.equal(replaced.verification.verified, true);
+
+      const erik = fake.getEvent(singleDay.id).people.find(person => person.name === 'Erik');
+      assert.deepEqual([...erik.slots].sort(), [berlin(11, 30), berlin(13)]);
+    });
+
+    it('reports slots that are not part of the event', async () => {
+      const marked = await callTool('mark-when2meet-availability', {
+        eventUrl: fake.eventUrl(singleDay), userName: 'Fay', timestamps: [berlin(12), berlin(18)]
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(marked.markedCount, 1);
+      assert.deepEqual(marked.failures.map(failure => failure.timestamp), [berlin(18)]);
+      assert.deepEqual(marked.verification.missing, [berlin(18)]);
+      assert.equal(marked.verification.verified, false);
+    });
+
+    it('signs in to password-protected names', async () => {
+      const eventUrl = fake.eventUrl(multiWeek);
+      const text = await callToolError('mark-when2meet-availability', {
+        eventUrl, userName: 'Bob', password: 'letmein', timestamps: [newYork(4, 9)]
+      });
+      assert.match(text, /wrong password/);
+
+      const marked = await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Bob', password: 'hunter2', timestamps: [newYork(4, 9)]
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(marked.personId, '1002');
+      assert.equal(marked.markedCount, 1);
+      assert.equal(fake.logins[fake.logins.length - 1].password, 'hunter2');
+    });
+
+    it('redacts a password from its own call\'s errors but never from results', async () => {
+      const eventUrl = fake.eventUrl(multiWeek);
+      const marked = await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Pia', password: '0000', timestamps: [newYork(4, 10)]
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(marked.resultUrl, eventUrl);
+
+      const text = await callToolError('mark-when2meet-availability', {
+        eventUrl, userName: 'Pia', password: '12345678', timestamps: [newYork(4, 10)], ifNeededTimestamps: [12345678]
+      });
+      assert.match(text, /must also be in timestamps: \[REDACTED\]/);
+
+      const details = await callTool('get-event-details', { eventUrl }, outputSchemas.eventDetailsOutput);
+      assert.equal(details.url, eventUrl);
+    });
+
+    it('requires timestamps unless replacing', async () => {
+      const text = await callToolError('mark-when2meet-availability', {
+        eventUrl: fake.eventUrl(singleDay), userName: 'Gus', timestamps: []
+      });
+      assert.match(text, /At least one timestamp/);
+    });
+  });
+
+  describe('stored credentials', () => {
+    it('signs in with a stored password without receiving it', async () => {
+      const eventUrl = fake.eventUrl(multiWeek);
+      const saved = await callTool('save-credential', { eventUrl, userName: 'bob', password: 'hunter2' }, outputSchemas.credentialOutput);
+      assert.deepEqual([saved.credential.eventKey, saved.credential.userName], ['30000001-MultiWk', 'bob']);
+      assert.ok(!fs.readFileSync(path.join(dataDirectory, 'credentials.json'), 'utf8').includes('hunter2'));
+
+      const marked = await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Bob', useStoredCredential: true, timestamps: [newYork(4, 9, 15)]
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(marked.personId, '1002');
+      assert.equal(fake.logins[fake.logins.length - 1].password, 'hunter2');
+
+      const batch = await callTool('mark-when2meet-availability-batch', {
+        jobs: [{ eventUrl, userName: 'Bob', useStoredCredential: true, timestamps: [newYork(4, 9, 30)] }],
+        verify: false
+      }, outputSchemas.batchMarkOutput);
+      assert.equal(batch.results[0].status, 'succeeded');
+
+      const listed = await callTool('list-credentials', {}, outputSchemas.credentialListOutput);
+      assert.equal(listed.enabled, true);
+      assert.deepEqual(listed.credentials.map(credential => credential.userName), ['bob']);
+      assert.ok(!JSON.stringify(listed).includes('hunter2'));
+
+      const deleted = await callTool('delete-credential', { eventUrl, userName: 'BOB' }, outputSchemas.credentialDeleteOutput);
+      assert.equal(deleted.deleted, true);
+      const text = await callToolError('mark-when2meet-availability', {
+        eventUrl, userName: 'Bob', useStoredCredential: true, timestamps: [newYork(4, 9)]
+      });
+      assert.match(text, /No password is stored for Bob/);
+    });
+
+    it('takes either a password or a stored credential', async () => {
+      const text = await callToolError('mark-when2meet-availability', {
+        eventUrl: fake.eventUrl(multiWeek), userName: 'Bob', password: 'hunter2', useStoredCredential: true, timestamps: [newYork(4, 9)]
+      });
+      assert.match(text, /either a password or useStoredCredential/);
+    });
+  });
+
+  describe('mark-when2meet-availability-batch', () => {
+    it('marks several people and events, reporting each job', async () => {
+      const batch = await callTool('mark-when2meet-availability-batch', {
+        jobs: [
+          { eventUrl: fake.eventUrl(singleDay), userName: 'Room 101', timestamps: [berlin(13), berlin(13, 15)] },
+          { eventUrl: fake.eventUrl(oddInterval), userName: 'Room 101', selection: 'Tuesday 1-2pm', timezone: 'America/Los_Angeles' },
+          { eventUrl: fake.eventUrl(multiWeek), userName: 'Bob', password: 'nope', timestamps: [newYork(4, 9)] },
+          { eventUrl: fake.eventUrl(singleDay), userName: 'Room 102', timestamps: [berlin(13), berlin(20)] },
+          { eventUrl: fake.eventUrl(singleDay), userName: 'Room 103', selection: 'Saturday' }
+        ]
+      }, outputSchemas.batchMarkOutput);
+
+      assert.deepEqual(batch.results.map(job => job.status), ['succeeded', 'succeeded', 'failed', 'partial', 'failed']);
+      assert.deepEqual([batch.succeededCount, batch.partialCount, batch.failedCount], [2, 1, 2]);
+
+      const [rooms, selection, wrongPassword, partial, noMatch] = batch.results;
+      assert.equal(rooms.result.markedCount, 2);
+      assert.equal(selection.timestamps.length, 2);
+      assert.equal(selection.result.verification.verified, true);
+      assert.match(wrongPassword.error, /wrong password/);
+      assert.deepEqual(partial.result.failures.map(failure => failure.timestamp), [berlin(20)]);
+      assert.match(noMatch.error, /did not match any time slots/);
+
+      const carolsEvent = fake.getEvent(oddInterval.id);
+      assert.deepEqual([...carolsEvent.people.find(person => person.name === 'Room 101').slots].sort(), selection.timestamps);
+    });
+
+    it('needs either timestamps or a selection for each job', async () => {
+      const batch = await callTool('mark-when2meet-availability-batch', {
+        jobs: [{ eventUrl: fake.eventUrl(singleDay), userName: 'Room 104' }],
+        verify: false
+      }, outputSchemas.batchMarkOutput);
+      assert.match(batch.results[0].error, /either timestamps or a selection/);
+    });
+
+    it('takes at most 50 jobs', async () => {
+      const job = { eventUrl: fake.eventUrl(singleDay), userName: 'Room 105', timestamps: [berlin(11)] };
+      const text = await callToolError('mark-when2meet-availability-batch', { jobs: Array(51).fill(job), verify: false });
+      assert.match(text, /At most 50 jobs/);
+      assert.ok(!fake.getEvent(singleDay.id).people.some(person => person.name === 'Room 105'));
+    });
+  });
+
+  describe('browser code paths', () => {
+    // These need a Chromium that Puppeteer can launch; they are skipped where none is available
+    let chromiumError = null;
+    const skipWithoutChromium = t => {
+      if (chromiumError) {
+        t.skip(`Chromium is not available: ${chromiumError.message.split('\n')[0]}`);
+      }
+      return Boolean(chromiumError);
+    };
+
+    before(async () => {
+      const { browserPool } = require('../when2meet-server');
+      chromiumError = await browserPool.withPage(async () => {}).then(() => null, error => error);
+    });
+
+    it('marks and removes slots with method "browser"', async t => {
+      if (skipWithoutChromium(t)) {
+        return;
+      }
+      const event = fake.addEvent({ ...singleDayEvent(), id: 30000010, key: 'Browser' });
+      const eventUrl = fake.eventUrl(event);
+
+      const marked = await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Ines', timestamps: [berlin(11), berlin(11, 15)], method: 'browser'
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(marked.markedCount, 2);
+      assert.equal(marked.verification.verified, true);
+
+      const ines = fake.getEvent(event.id).people.find(person => person.name === 'Ines');
+      assert.equal(marked.personId, String(ines.id));
+      assert.deepEqual([...ines.slots].sort(), [berlin(11), berlin(11, 15)]);
+      assert.deepEqual(fake.saves.filter(save => save.personId === String(ines.id)).map(save => save.slots), [
+        [berlin(11)], [berlin(11, 15)]
+      ]);
+
+      const removed = await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Ines', timestamps: [berlin(11)], mode: 'remove', method: 'browser'
+      }, outputSchemas.markAvailabilityOutput);
+      assert.equal(removed.removedCount, 1);
+      assert.equal(removed.verification.verified, true);
+      assert.deepEqual([...ines.slots], [berlin(11, 15)]);
+    });
+
+    it('falls back to scraping with the browser when the HTML has no grid', async t => {
+      if (skipWithoutChromium(t)) {
+        return;
+      }
+      const event = fake.addEvent({
+        ...singleDayEvent(),
+        id: 30000011,
+        key: 'Script',
+        gridByScript: true,
+        people: [{ id: 5001, name: 'Jo', slots: [berlin(12)] }]
+      });
+
+      const details = await callTool('get-event-details', {
+        eventUrl: fake.eventUrl(event), timezone: 'Europe/Berlin'
+      }, outputSchemas.eventDetailsOutput);
+      assert.equal(details.name, 'Team Lunch');
+      assert.equal(details.availableTimeslots.allTimeslots.length, 12);
+      assert.equal(details.availableTimeslots.allTimeslots[0].readableTime, 'Tuesday 11:00 AM');
+      assert.deepEqual(details.participants, [{ id: 5001, name: 'Jo', slotCount: 1 }]);
+      assert.deepEqual(details.availabilityBySlot[berlin(12)], ['Jo']);
+    });
+  });
+
+  describe('availability profiles', () => {
+    it('creates, lists, applies and deletes a profile', async () => {
+      const created = await callTool('create-availability-profile', {
+        name: 'Work',
+        weekly: 'weekdays 10-12 and 14-17, never Friday afternoons',
+        exceptions: [
+          { date: '2025-03-04', available: false, note: 'Offsite' },
+          { date: '2025-03-05', available: true, start: '09:00', end: '09:30' }
+        ],
+        timezone: 'America/New_York'
+      }, outputSchemas.profileOutput);
+      assert.equal(created.weeklyHours, 22);
+
+      const duplicate = await callToolError('create-availability-profile', { name: 'work', weekly: 'weekends' });
+      assert.match(duplicate, /already exists/);
+
+      const { profiles } = await callTool('list-availability-profiles', {}, outputSchemas.profileListOutput);
+      assert.deepEqual(profiles.map(profile => profile.name), ['Work']);
+
+      // The event runs 9-11, so each weekday has 10-11 except the 4th; the 5th also has 9-9:30
+      const applied = await callTool('apply-profile', {
+        eventUrl: fake.eventUrl(multiWeek),
+        profile: 'work'
+      }, outputSchemas.applyProfileOutput);
+      assert.equal(applied.timestamps.length, 15 * 4 - 4 + 2);
+      assert.ok(applied.timestamps.includes(newYork(5, 9, 15)));
+      assert.ok(!applied.timestamps.includes(newYork(4, 10)));
+      assert.ok(applied.timestamps.includes(newYork(14, 10, 45)));
+      assert.equal(applied.markResult, undefined);
+
+      const marked = await callTool('apply-profile', {
+        eventUrl: fake.eventUrl(multiWeek),
+        profile: 'Work',
+        userName: 'Jules'
+      }, outputSchemas.applyProfileOutput);
+      assert.equal(marked.markResult.markedCount, applied.timestamps.length);
+      assert.equal(marked.markResult.verification.verified, true);
+
+      const deleted = await callTool('delete-availability-profile', { name: 'work' }, outputSchemas.profileDeleteOutput);
+      assert.equal(deleted.deleted, true);
+      const missing = await callToolError('apply-profile', { eventUrl: fake.eventUrl(multiWeek), profile: 'Work' });
+      assert.match(missing, /no profile named/);
+    });
+
+    it('only clears availability when a profile matching nothing is confirmed', async () => {
+      const eventUrl = fake.eventUrl(singleDay);
+      await callTool('create-availability-profile', { name: 'Weekends', weekly: 'weekends', timezone: 'Europe/Berlin' }, outputSchemas.profileOutput);
+      await callTool('mark-when2meet-availability', { eventUrl, userName: 'Kim', timestamps: [berlin(12)] }, outputSchemas.markAvailabilityOutput);
+      const kim = fake.getEvent(singleDay.id).people.find(person => person.name === 'Kim');
+
+      assert.match(await callToolError('apply-profile', { eventUrl, profile: 'Weekends', userName: 'Kim' }), /doesn't match any time slots/);
+      assert.match(await callToolError('apply-profile', { eventUrl, profile: 'Weekends', userName: 'Kim', mode: 'replace' }), /pass confirmClear/);
+      assert.deepEqual([...kim.slots], [berlin(12)]);
+
+      const cleared = await callTool('apply-profile', {
+        eventUrl, profile: 'Weekends', userName: 'Kim', mode: 'replace', confirmClear: true
+      }, outputSchemas.applyProfileOutput);
+      assert.equal(cleared.markResult.removedCount, 1);
+      assert.deepEqual([...kim.slots], []);
+      await callTool('delete-availability-profile', { name: 'Weekends' }, outputSchemas.profileDeleteOutput);
+    });
+
+    it('rejects patterns and exceptions it cannot use', async () => {
+      const pattern = await callToolError('create-availability-profile', { name: 'Odd', weekly: 'whenever the moon is full' });
+      assert.match(pattern, /Could not use the weekly pattern/);
+
+      const exception = await callToolError('create-availability-profile', {
+        name: 'Odd', exceptions: [{ date: '2025-03-04', available: true, start: '9am' }]
+      });
+      assert.match(exception, /HH:MM/);
+    });
+  });
+
+  describe('if-needed preferences', () => {
+    const utcSlot = (hour, minute = 0) => Date.UTC(2025, 5, 10, hour, minute) / 1000;
+    const morning = [0, 15, 30, 45].flatMap(minute => [utcSlot(9, minute), utcSlot(10, minute)]).sort();
+    let standup;
+
+    before(() => {
+      standup = fake.addEvent({
+        name: 'Standup',
+        dates: ['2025-06-10'],
+        startHour: 9,
+        endHour: 11,
+        timeZone: 'UTC',
+        people: [{ name: 'Ann', slots: morning }, { name: 'Ben', slots: morning }]
+      });
+    });
+
+    it('parses and marks if-needed slots, and ranks them lower', async () => {
+      const eventUrl = fake.eventUrl(standup);
+      const details = await callTool('get-event-details', { eventUrl, timezone: 'UTC' }, outputSchemas.eventDetailsOutput);
+      const promptData = await callTool('generate-availability-prompt', { eventDetails: details }, outputSchemas.availabilityPromptOutput);
+      const parsed = await callTool('parse-availability-selections', {
+        selections: '10-11; 9-10 (if needed)',
+        promptData
+      }, outputSchemas.parsedSelectionsOutput);
+      assert.deepEqual(parsed.timestamps, morning);
+      assert.deepEqual(parsed.ifNeededTimestamps, morning.slice(0, 4));
+      assert.equal(parsed.timestampDetails[0].preference, 'ifNeeded');
+      assert.equal(parsed.timestampDetails[4].preference, 'preferred');
+
+      const marked = await callTool('mark-when2meet-availability', {
+        eventUrl,
+        userName: 'Cy',
+        timestamps: parsed.timestamps,
+        ifNeededTimestamps: parsed.ifNeededTimestamps
+      }, outputSchemas.markAvailabilityOutput);
+      assert.deepEqual(marked.preferences, { preferred: morning.slice(4), ifNeeded: morning.slice(0, 4) });
+
+      // When2Meet itself only stores "available"
+      assert.equal(fake.getEvent(standup.id).people.find(person => person.name === 'Cy').slots.size, 8);
+
+      const ranked = await callTool('find-best-meeting-times', { eventUrl, durationMinutes: 60 }, outputSchemas.meetingTimesOutput);
+      assert.deepEqual(ranked.windows.map(window => [window.startTimestamp, window.score, window.ifNeeded]), [
+        [utcSlot(10), 3, []],
+        [utcSlot(9), 2.5, ['Cy']]
+      ]);
+
+      const unweighted = await callTool('find-best-meeting-times', {
+        eventUrl, durationMinutes: 60, ifNeededWeight: 1
+      }, outputSchemas.meetingTimesOutput);
+      assert.equal(unweighted.windows[0].startTimestamp, utcSlot(9));
+
+      // Preferences passed in are merged with the recorded ones
+      const withInput = await callTool('find-best-meeting-times', {
+        eventUrl, durationMinutes: 60, ifNeeded: { ann: [utcSlot(10, 30)], ben: [utcSlot(10, 45)] }
+      }, outputSchemas.meetingTimesOutput);
+      assert.equal(withInput.windows[0].startTimestamp, utcSlot(9));
+      assert.deepEqual(withInput.windows[0].ifNeeded, ['Cy']);
+      assert.deepEqual(withInput.windows[1].ifNeeded, ['Ann', 'Ben']);
+    });
+
+    it('replacing availability drops earlier if-needed slots', async () => {
+      const eventUrl = fake.eventUrl(standup);
+      await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Cy', timestamps: morning, mode: 'replace', verify: false
+      }, outputSchemas.markAvailabilityOutput);
+
+      const ranked = await callTool('find-best-meeting-times', { eventUrl, durationMinutes: 120 }, outputSchemas.meetingTimesOutput);
+      assert.deepEqual(ranked.windows[0].ifNeeded, []);
+      assert.equal(ranked.windows[0].score, 3);
+    });
+
+    it('only remembers if-needed slots that were saved', async () => {
+      const eventUrl = fake.eventUrl(standup);
+      const marked = await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Dee', timestamps: [utcSlot(9), utcSlot(12)], ifNeededTimestamps: [utcSlot(9), utcSlot(12)]
+      }, outputSchemas.markAvailabilityOutput);
+
+      // 12:00 isn't on the grid, so it fails and isn't recorded
+      assert.deepEqual(marked.failures.map(failure => failure.timestamp), [utcSlot(12)]);
+      assert.deepEqual(marked.preferences, { preferred: [], ifNeeded: [utcSlot(9)] });
+    });
+
+    it('rejects if-needed slots that are not being marked', async () => {
+      const text = await callToolError('mark-when2meet-availability', {
+        eventUrl: fake.eventUrl(standup), userName: 'Cy', timestamps: [utcSlot(9)], ifNeededTimestamps: [utcSlot(10)]
+      });
+      assert.match(text, /must also be in timestamps/);
+    });
+  });
+
+  describe('find-best-meeting-times', () => {
+    it('ranks windows where the required attendees overlap', async () => {
+      const result = await callTool('find-best-meeting-times', {
+        eventUrl: fake.eventUrl(multiWeek),
+        durationMinutes: 60,
+        requiredAttendees: ['alice', 'Bob'],
+        timezone: 'America/New_York'
+      }, outputSchemas.meetingTimesOutput);
+
+      assert.equal(result.windows.length, 1);
+      assert.equal(result.windows[0].startTimestamp, newYork(3, 10));
+      assert.equal(result.windows[0].endTimestamp, newYork(3, 11));
+      assert.deepEqual(result.windows[0].available, ['Alice', 'Bob']);
+      assert.deepEqual(result.unknownAttendees, []);
+    });
+
+    it('rounds durations up to whole slots', async () => {
+      const result = await callTool('find-best-meeting-times', {
+        eventUrl: fake.eventUrl(oddInterval),
+        durationMinutes: 45,
+        requiredAttendees: ['Carol'],
+        timezone: 'America/Los_Angeles'
+      }, outputSchemas.meetingTimesOutput);
+
+      assert.equal(result.slotMinutes, 30);
+      assert.equal(result.durationMinutes, 60);
+      assert.deepEqual(result.windows.map(window => `${window.startTime} - ${window.endTime}`), ['01:00 PM - 02:00 PM', '02:00 PM - 03:00 PM']);
+      assert.ok(result.windows.every(window => window.timestamps.length === 2));
+    });
+
+    it('lists attendees who have not responded', async () => {
+      const result = await callTool('find-best-meeting-times', {
+        eventUrl: fake.eventUrl(multiWeek),
+        durationMinutes: 30,
+        requiredAttendees: ['Alice'],
+        optionalAttendees: ['Zed']
+      }, outputSchemas.meetingTimesOutput);
+
+      assert.deepEqual(result.unknownAttendees, ['Zed']);
+      assert.ok(result.windows.length > 0);
+      assert.ok(result.windows.every(window => window.available.includes('Alice')));
+    });
+  });
+
+  describe('events across midnight and with gaps', () => {
+    const utcSlot = (day, hour, minute = 0) => Date.UTC(2025, 7, day, hour, minute) / 1000;
+    const night = day => Array.from({ length: 16 }, (_, index) => utcSlot(day, 22, index * 15));
+    let lateShift;
+
+    before(() => {
+      // 10pm to 2am on two nights, without the 12:30am slot of the first night
+      const gap = utcSlot(2, 0, 30);
+      lateShift = fake.addEvent({
+        name: 'Late Shift',
+        dates: ['2025-08-01', '2025-08-02'],
+        startHour: 22,
+        endHour: 26,
+        timeZone: 'UTC',
+        people: [
+          { name: 'Nora', slots: [...night(1), ...night(2)] },
+          { name: 'Omar', slots: [...night(1).slice(4, 10), ...night(2)] }
+        ]
+      });
+      lateShift.slots = lateShift.slots.filter(slot => slot.timestamp !== gap);
+    });
+
+    it('keeps a night in one day and splits its blocks at the gap', async () => {
+      const details = await callTool('get-event-details', { eventUrl: fake.eventUrl(lateShift), timezone: 'UTC' }, outputSchemas.eventDetailsOutput);
+
+      const { dayGroups, slotMinutes } = details.availableTimeslots;
+      assert.equal(slotMinutes, 15);
+      assert.deepEqual(dayGroups.map(day => day.dayName), ['Friday', 'Saturday']);
+      assert.deepEqual(dayGroups.map(day => day.timeBlocks.map(block => `${block.startTime} - ${block.endTime}`)), [
+        ['10:00 PM - 12:30 AM', '12:45 AM - 02:00 AM'],
+        ['10:00 PM - 02:00 AM']
+      ]);
+      assert.equal(dayGroups[0].timeBlocks[0].endTimestamp, utcSlot(2, 0, 30));
+    });
+
+    it('finds windows across midnight but not across the gap', async () => {
+      const together = await callTool('find-best-meeting-times', {
+        eventUrl: fake.eventUrl(lateShift),
+        durationMinutes: 90,
+        requiredAttendees: ['Nora', 'Omar'],
+        timezone: 'UTC'
+      }, outputSchemas.meetingTimesOutput);
+      assert.equal(together.windows[0].startTimestamp, utcSlot(1, 23));
+      assert.equal(together.windows[0].endTimestamp, utcSlot(2, 0, 30));
+
+      const long = await callTool('find-best-meeting-times', {
+        eventUrl: fake.eventUrl(lateShift),
+        durationMinutes: 180,
+        requiredAttendees: ['Nora']
+      }, outputSchemas.meetingTimesOutput);
+      assert.ok(long.windows.length > 0);
+      assert.ok(long.windows.every(window => window.startTimestamp >= utcSlot(2, 22)));
+    });
+
+    it('selects a time range that runs past midnight', async () => {
+      const details = await callTool('get-event-details', { eventUrl: fake.eventUrl(lateShift), timezone: 'UTC' }, outputSchemas.eventDetailsOutput);
+      const promptData = await callTool('generate-availability-prompt', { eventDetails: details }, outputSchemas.availabilityPromptOutput);
+
+      const parsed = await callTool('parse-availability-selections', { selections: 'Friday 11pm-1am', promptData }, outputSchemas.parsedSelectionsOutput);
+      assert.deepEqual(parsed.warnings, []);
+      assert.deepEqual(parsed.timestamps, night(1).slice(4, 12).filter(timestamp => timestamp !== utcSlot(2, 0, 30)));
+    });
+  });
+
+  describe('import-calendar-availability', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:lunch-meeting',
+      'SUMMARY:Vendor call',
+      'DTSTART;TZID=Europe/Berlin:20250415T120000',
+      'DTEND;TZID=Europe/Berlin:20250415T130000',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:maybe',
+      'SUMMARY:Maybe',
+      'STATUS:TENTATIVE',
+      'DTSTART:20250415T113000Z',
+      'DURATION:PT30M',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    it('returns the free slots around busy events', async () => {
+      const result = await callTool('import-calendar-availability', {
+        eventUrl: fake.eventUrl(singleDay),
+        ics,
+        tentativeAs: 'free',
+        timezone: 'Europe/Berlin'
+      }, outputSchemas.calendarImportOutput);
+
+      assert.deepEqual(result.timestamps, [
+        berlin(11), berlin(11, 15), berlin(11, 30), berlin(11, 45),
+        berlin(13), berlin(13, 15), berlin(13, 30), berlin(13, 45)
+      ]);
+      assert.deepEqual(result.busyEvents.map(event => event.summary), ['Vendor call']);
+    });
+
+    it('applies buffers and treats tentative events as busy by default', async () => {
+      const result = await callTool('import-calendar-availability', {
+        eventUrl: fake.eventUrl(singleDay),
+        ics,
+        bufferMinutes: 15
+      }, outputSchemas.calendarImportOutput);
+
+      // 13:30 UTC tentative event blocks 13:30-14:00 Berlin, plus 15 minutes either side
+      assert.deepEqual(result.timestamps, [berlin(11), berlin(11, 15), berlin(11, 30)]);
+    });
+
+    it('needs calendar text or a file', async () => {
+      const text = await callToolError('import-calendar-availability', { eventUrl: fake.eventUrl(singleDay) });
+      assert.match(text, /ics/);
+    });
+  });
+
+  describe('create-when2meet-event', () => {
+    it('submits the new event form and returns the new event', async () => {
+      const created = await callTool('create-when2meet-event', {
+        name: 'Design Review',
+        dates: ['2025-06-03', '2025-06-02'],
+        earliestTime: '9am',
+        latestTime: '10:00',
+        timezone: 'America/Chicago'
+      }, outputSchemas.createEventOutput);
+
+      const { fields, eventId, key } = fake.createdEvents[fake.createdEvents.length - 1];
+      assert.deepEqual(fields, {
+        NewEventName: 'Design Review',
+        DateTypes: 'SpecificDates',
+        PossibleDates: '2025-06-02|2025-06-03',
+        NoEarlierThan: '9',
+        NoLaterThan: '10',
+        TimeZone: 'America/Chicago'
+      });
+      assert.equal(created.eventId, eventId);
+      assert.equal(created.eventUrl, `${process.env.WHEN2MEET_BASE_URL}?${eventId}-${key}`);
+
+      const details = await callTool('get-event-details', { eventUrl: created.eventUrl }, outputSchemas.eventDetailsOutput);
+      assert.equal(details.name, 'Design Review');
+      assert.equal(details.availableTimeslots.allTimeslots.length, 8);
+    });
+
+    it('submits days of the week', async () => {
+      await callTool('create-when2meet-event', {
+        name: 'Weekly Sync',
+        daysOfWeek: ['Friday', 'mon'],
+        earliestTime: 13,
+        latestTime: '5 pm',
+        timezone: 'UTC'
+      }, outputSchemas.createEventOutput);
+
+      const { fields } = fake.createdEvents[fake.createdEvents.length - 1];
+      assert.equal(fields.DateTypes, 'DaysOfTheWeek');
+      assert.equal(fields.PossibleDates, '1|5');
+      assert.equal(fields.NoLaterThan, '17');
+    });
+
+    it('reads midnight as the start or the end of the day', async () => {
+      await callTool('create-when2meet-event', {
+        name: 'All Day', dates: ['2025-06-02'], earliestTime: 'midnight', latestTime: 'midnight', timezone: 'UTC'
+      }, outputSchemas.createEventOutput);
+
+      const { fields } = fake.createdEvents[fake.createdEvents.length - 1];
+      assert.equal(fields.NoEarlierThan, '0');
+      assert.equal(fields.NoLaterThan, '24');
+    });
+
+    it('rejects times that are not on the hour', async () => {
+      const text = await callToolError('create-when2meet-event', {
+        name: 'Bad', dates: ['2025-06-02'], earliestTime: '9:30', latestTime: '10'
+      });
+      assert.match(text, /on the hour/);
+    });
+  });
+
+  describe('export-event', () => {
+    const utcSlot = (day, hour, minute = 0) => Date.UTC(2025, 6, day, hour, minute) / 1000;
+    const dayOne = [0, 15, 30, 45].map(minute => utcSlot(1, 9, minute));
+    const dayTwo = [0, 15, 30, 45].map(minute => utcSlot(2, 9, minute));
+    let retro;
+
+    before(() => {
+      retro = fake.addEvent({
+        name: 'Retro',
+        dates: ['2025-07-01', '2025-07-02'],
+        startHour: 9,
+        endHour: 10,
+        timeZone: 'UTC',
+        people: [{ name: 'Kim', slots: dayOne }, { name: 'Lee, Jr.', slots: [...dayOne.slice(0, 2), ...dayTwo] }]
+      });
+    });
+
+    it('exports a row per slot and a column per participant as CSV', async () => {
+      const result = await callTool('export-event', { eventUrl: fake.eventUrl(retro), format: 'csv', timezone: 'UTC' }, outputSchemas.exportEventOutput);
+
+      assert.equal(result.mimeType, 'text/csv');
+      assert.equal(result.slotCount, 8);
+      const rows = result.content.trim().split('\r\n');
+      assert.equal(rows.length, 9);
+      assert.equal(rows[0], 'timestamp,day,time,available,Kim,"Lee, Jr."');
+      assert.equal(rows[1], `${utcSlot(1, 9)},2025-07-01,09:00,2,1,1`);
+      assert.equal(rows[8], `${utcSlot(2, 9, 45)},2025-07-02,09:45,1,0,1`);
+    });
+
+    it('exports a day by time heatmap as JSON', async () => {
+      const result = await callTool('export-event', { eventUrl: fake.eventUrl(retro), format: 'json', timezone: 'UTC' }, outputSchemas.exportEventOutput);
+      const heatmap = JSON.parse(result.content);
+
+      assert.deepEqual(heatmap.participants, ['Kim', 'Lee, Jr.']);
+      assert.deepEqual(heatmap.slots[0], { timestamp: utcSlot(1, 9), day: '2025-07-01', time: '09:00', count: 2, available: ['Kim', 'Lee, Jr.'] });
+      assert.deepEqual(heatmap.matrix, {
+        days: ['2025-07-01', '2025-07-02'],
+        times: ['09:00', '09:15', '09:30', '09:45'],
+        counts: [[2, 2, 1, 1], [1, 1, 1, 1]],
+        maxCount: 2
+      });
+    });
+
+    it('writes the best windows to an ICS file as tentative events', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'when2meet-export-'));
+      try {
+        const outputPath = path.join(directory, 'exports', 'retro.ics');
+        const result = await callTool('export-event', {
+          eventUrl: fake.eventUrl(retro),
+          format: 'ics',
+          outputPath,
+          durationMinutes: 30,
+          limit: 2
+        }, outputSchemas.exportEventOutput);
+
+        assert.equal(result.path, outputPath);
+        assert.equal(result.windowCount, 2);
+        assert.equal(result.content, undefined);
+        const ics = fs.readFileSync(outputPath, 'utf8');
+        assert.equal(result.bytes, Buffer.byteLength(ics));
+        assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+        assert.match(ics, /DTSTART:20250701T090000Z\r\nDTEND:20250701T093000Z\r\nSUMMARY:Retro \(option 1\)/);
+        assert.match(ics, /STATUS:TENTATIVE/);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('get-event-changes', () => {
+    it('reports new responses since the previous snapshot', async () => {
+      const eventUrl = fake.eventUrl(oddInterval);
+      await callTool('get-event-changes', { eventUrl }, outputSchemas.eventChangesOutput);
+
+      const [firstSlot] = fake.getEvent(oddInterval.id).slots;
+      await callTool('mark-when2meet-availability', {
+        eventUrl, userName: 'Hana', timestamps: [firstSlot.timestamp]
+      }, outputSchemas.markAvailabilityOutput);
+
+      const changes = await callTool('get-event-changes', { eventUrl }, outputSchemas.eventChangesOutput);
+      assert.equal(changes.hasBaseline, true);
+      assert.deepEqual(changes.newParticipants, ['Hana']);
+      assert.deepEqual(changes.changesByPerson, [{ name: 'Hana', added: [firstSlot.timestamp], removed: [] }]);
+      assert.equal(changes.bestSlots.after.count, 2);
+      assert.equal(changes.bestSlots.changed, true);
+
+      // The next call compares with this one, so the same response isn't reported again
+      const again = await callTool('get-event-changes', { eventUrl }, outputSchemas.eventChangesOutput);
+      assert.equal(again.hasBaseline, true);
+      assert.deepEqual(again.newParticipants, []);
+      assert.deepEqual(again.changesByPerson, []);
+      assert.equal(again.bestSlots.changed, false);
+    });
+
+    it('has no baseline before the first snapshot', async () => {
+      const changes = await callTool('get-event-changes', {
+        eventUrl: fake.eventUrl(multiWeek),
+        since: '2020-01-01T00:00:00Z'
+      }, outputSchemas.eventChangesOutput);
+      assert.equal(changes.hasBaseline, false);
+    });
+  });
+
+  it('describes the tools in help', async () => {
+    const result = await client.callTool({ name: 'help', arguments: {} });
+    assert.match(result.content[0].text, /get-event-changes/);
+  });
+
+  describe('resources', () => {
+    it('reads an event and its participants', async () => {
+      const eventUri = `when2meet://event/${multiWeek.id}-${multiWeek.key}`;
+      const event = await client.readResource({ uri: eventUri });
+      assert.equal(JSON.parse(event.contents[0].text).name, 'Quarterly Planning');
+
+      const participants = await client.readResource({ uri: `${eventUri}/participants` });
+      const names = JSON.parse(participants.contents[0].text).participants.map(participant => participant.name);
+      assert.ok(names.includes('Alice') && names.includes('Bob'));
+    });
+
+    it('notifies subscribers when someone responds', async () => {
+      const { eventWatcher } = require('../when2meet-server');
+      const participantsUri = `when2meet://event/${singleDay.id}-${singleDay.key}/participants`;
+      const updates = [];
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+        updates.push(notification.params.uri);
+      });
+
+      await client.subscribeResource({ uri: participantsUri });
+      await callTool('mark-when2meet-availability', {
+        eventUrl: fake.eventUrl(singleDay), userName: 'Ivan', timestamps: [berlin(12)], verify: false
+      }, outputSchemas.markAvailabilityOutput);
+      await eventWatcher.poll();
+      await new Promise(resolve => setImmediate(resolve));
+      await client.unsubscribeResource({ uri: participantsUri });
+
+      assert.deepEqual(updates, [participantsUri]);
+    });
+  });
+
+  describe('logging', () => {
+    it('sends the log entries of a tool call to the client with its correlation ID', async () => {
+      const entries = [];
+      client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+        entries.push(notification.params);
+      });
+      await client.setLoggingLevel('info');
+
+      const result = await client.callTool({
+        name: 'mark-when2meet-availability',
+        arguments: { eventUrl: fake.eventUrl(multiWeek), userName: 'Bob', password: 'hunter2', timestamps: [newYork(4, 10)] }
+      });
+      await new Promise(resolve => setImmediate(resolve));
+      await client.setLoggingLevel('error');
+
+      const { callId } = result._meta;
+      assert.ok(callId);
+      assert.ok(entries.every(entry => entry.data.callId === callId && entry.data.tool === 'mark-when2meet-availability'));
+      assert.ok(entries.every(entry => entry.level !== 'debug'));
+      const phases = entries.filter(entry => entry.data.phase).map(entry => entry.data.phase);
+      for (const phase of ['scrape', 'login', 'save', 'verify']) {
+        assert.ok(phases.includes(phase), `${phase} is timed`);
+      }
+      entries.filter(entry => entry.data.phase).forEach(entry => assert.equal(typeof entry.data.durationMs, 'number'));
+      assert.equal(entries[entries.length - 1].data.msg, 'Tool call finished');
+      assert.ok(!JSON.stringify(entries).includes('hunter2'));
+    });
+  });
+
+  describe('prompts', () => {
+    it('embeds the event in fill-my-availability', async () => {
+      const prompt = await client.getPrompt({
+        name: 'fill-my-availability',
+        arguments: { eventUrl: fake.eventUrl(singleDay), availability: 'after noon', timezone: 'Europe/Berlin' }
+      });
+      assert.equal(prompt.messages[0].content.type, 'resource');
+      assert.equal(prompt.messages[0].content.resource.uri, `when2meet://event/${singleDay.id}-${singleDay.key}`);
+      assert.match(prompt.messages[1].content.text, /\[d0t0\] 11:00 AM/);
+      assert.match(prompt.messages[1].content.text, /My availability: after noon/);
+    });
+
+    it('summarizes the poll and who is missing', async () => {
+      const prompt = await client.getPrompt({
+        name: 'summarize-poll',
+        arguments: { eventUrl: fake.eventUrl(multiWeek), expectedAttendees: 'Alice, Bob, Zoe' }
+      });
+      assert.match(prompt.messages[1].content.text, /Still waiting on: Zoe/);
+    });
+
+    it('includes ranked windows in find-a-time-for-the-group', async () => {
+      const prompt = await client.getPrompt({
+        name: 'find-a-time-for-the-group',
+        arguments: { eventUrl: fake.eventUrl(multiWeek), durationMinutes: '60', requiredAttendees: 'Alice, Bob' }
+      });
+      assert.match(prompt.messages[1].content.text, /Best windows:\n1\. /);
+    });
+  });
+
+  describe('hosted mode', () => {
+    let hostedClient;
+
+    before(async () => {
+      const { createServer } = require('../when2meet-server');
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      hostedClient = new Client({ name: 'when2meet-hosted-tests', version: '1.0.0' });
+      await createServer({ hosted: true }).connect(serverTransport);
+      await hostedClient.connect(clientTransport);
+    });
+
+    after(() => hostedClient.close());
+
+    async function callHostedToolError(name, args) {
+      const result = await hostedClient.callTool({ name, arguments: args });
+      assert.equal(result.isError, true, `${name} should have failed`);
+      return result.content[0].text;
+    }
+
+    it('leaves out the profile and credential tools', async () => {
+      const names = (await hostedClient.listTools()).tools.map(tool => tool.name);
+      ['create-availability-profile', 'list-availability-profiles', 'delete-availability-profile', 'apply-profile',
+        'save-credential', 'list-credentials', 'delete-credential'].forEach(name => {
+        assert.ok(!names.includes(name), `${name} is not registered`);
+      });
+      assert.ok(names.includes('mark-when2meet-availability'));
+
+      const help = await hostedClient.callTool({ name: 'help', arguments: {} });
+      assert.match(help.content[0].text, /This hosted server leaves out tools 11, 12 and 14/);
+    });
+
+    it('refuses stored passwords and local files', async () => {
+      const eventUrl = fake.eventUrl(multiWeek);
+      const loginCount = fake.logins.length;
+
+      assert.match(await callHostedToolError('mark-when2meet-availability', {
+        eventUrl, userName: 'Bob', useStoredCredential: true, timestamps: [newYork(4, 9, 15)]
+      }), /useStoredCredential is not available on a hosted server/);
+      assert.match(await callHostedToolError('mark-when2meet-availability-batch', {
+        jobs: [{ eventUrl, userName: 'Bob', useStoredCredential: true, timestamps: [newYork(4, 9, 15)] }]
+      }), /useStoredCredential is not available on a hosted server/);
+      assert.equal(fake.logins.length, loginCount);
+
+      assert.match(await callHostedToolError('import-calendar-availability', {
+        eventUrl, icsPath: path.join(os.homedir(), 'calendar.ics')
+      }), /icsPath is not available on a hosted server/);
+      const outputPath = path.join(dataDirectory, 'hosted-export.csv');
+      assert.match(await callHostedToolError('export-event', { eventUrl, format: 'csv', outputPath }),
+        /outputPath is not available on a hosted server/);
+      assert.ok(!fs.existsSync(outputPath));
+    });
+  });
+});
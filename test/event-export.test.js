@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { exportCsv, exportIcs } = require('../lib/event-export');
+const { buildAvailableTimeslots } = require('../lib/event-parser');
+const { buildSlots } = require('./support/fake-when2meet');
+const { weeklyEvent } = require('./support/fixtures');
+
+// Event details for a fixture, shaped like getWhen2MeetEventDetails returns them
+function toEventDetails(fixture, availabilityBySlot = {}) {
+  const slots = (fixture.slots || buildSlots(fixture)).map(slot => ({
+    ...slot,
+    readableTime: '',
+    elementId: `GroupTime${slot.timestamp}`
+  }));
+  return {
+    name: fixture.name,
+    url: 'https://www.when2meet.com/?1-Export',
+    availableTimeslots: buildAvailableTimeslots(slots, fixture.timeZone),
+    participants: fixture.people.map(person => ({ id: person.id, name: person.name, slotCount: person.slots.length })),
+    availabilityBySlot
+  };
+}
+
+describe('exportCsv', () => {
+  it('quotes names with separators and quotes', () => {
+    const fixture = { name: 'Quotes', dates: ['2025-07-01'], startHour: 9, endHour: 10, timeZone: 'UTC', people: [{ id: 1, name: 'Sam "The Man"', slots: [] }] };
+    const csv = exportCsv(toEventDetails(fixture), 'UTC');
+    assert.equal(csv.split('\r\n')[0], 'timestamp,day,time,available,"Sam ""The Man"""');
+  });
+
+  it('keeps names that look like formulas as text', () => {
+    const people = ['=HYPERLINK("http://evil.example","x")', '+1 555', '-Dash', '@Ann', 'Bo=b'].map((name, index) => ({ id: index + 1, name, slots: [] }));
+    const fixture = { name: 'Formulas', dates: ['2025-07-01'], startHour: 9, endHour: 10, timeZone: 'UTC', people };
+    const csv = exportCsv(toEventDetails(fixture), 'UTC');
+    assert.equal(csv.split('\r\n')[0],
+      'timestamp,day,time,available,"\'=HYPERLINK(""http://evil.example"",""x"")",\'+1 555,\'-Dash,\'@Ann,Bo=b');
+  });
+
+  it('names weekdays for days-of-the-week polls', () => {
+    const csv = exportCsv(toEventDetails(weeklyEvent()), 'America/Chicago');
+    assert.match(csv.split('\r\n')[1], /^\d+,Monday,16:00,0,0$/);
+  });
+});
+
+describe('exportIcs', () => {
+  const window = (startTimestamp, endTimestamp) => ({
+    startTimestamp,
+    endTimestamp,
+    available: ['Dana'],
+    availableCount: 1,
+    ifNeeded: [],
+    unavailable: []
+  });
+
+  it('repeats windows of weekly polls from their next occurrence', () => {
+    const fixture = weeklyEvent();
+    const [monday] = fixture.slots;
+    // Wednesday, October 14, 2026 at noon UTC: the next Monday is October 19
+    const ics = exportIcs(toEventDetails(fixture), [window(monday.timestamp, monday.timestamp + 3600)], {
+      timeZone: 'America/Chicago',
+      eventKey: '30000004-Weekly',
+      now: Date.UTC(2026, 9, 14, 12) / 1000
+    });
+
+    assert.match(ics, /DTSTART;TZID=America\/Chicago:20261019T160000\r\nDURATION:PT60M\r\nRRULE:FREQ=WEEKLY\r\n/);
+    assert.match(ics, new RegExp(`UID:30000004-Weekly-${monday.timestamp}@when2meet-mcp`));
+
+    // The timezone is described in the file, with DST rules worked out from the year before
+    assert.match(ics, new RegExp([
+      'BEGIN:VTIMEZONE', 'TZID:America/Chicago',
+      'BEGIN:DAYLIGHT', 'DTSTART:20250309T020000', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+      'TZOFFSETFROM:-0600', 'TZOFFSETTO:-0500', 'END:DAYLIGHT',
+      'BEGIN:STANDARD', 'DTSTART:20251102T020000', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+      'TZOFFSETFROM:-0500', 'TZOFFSETTO:-0600', 'END:STANDARD',
+      'END:VTIMEZONE'
+    ].join('\r\n')));
+    assert.ok(ics.indexOf('END:VTIMEZONE') < ics.indexOf('BEGIN:VEVENT'));
+  });
+
+  it('describes timezones without DST and uses last-week rules where they apply', () => {
+    const fixture = weeklyEvent();
+    const [monday] = fixture.slots;
+    const exportIn = timeZone => exportIcs(toEventDetails(fixture), [window(monday.timestamp, monday.timestamp + 3600)], {
+      timeZone,
+      now: Date.UTC(2026, 9, 14, 12) / 1000
+    });
+
+    assert.match(exportIn('Asia/Tokyo'), /BEGIN:STANDARD\r\nDTSTART:19700101T000000\r\nTZOFFSETFROM:\+0900\r\nTZOFFSETTO:\+0900\r\n/);
+    const berlin = exportIn('Europe/Berlin');
+    assert.match(berlin, /DTSTART:20250330T020000\r\nRRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU\r\n/);
+    assert.match(berlin, /DTSTART:20251026T030000\r\nRRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU\r\n/);
+  });
+
+  it('leaves the timezone out when no window repeats', () => {
+    const fixture = { name: 'Kickoff', dates: ['2025-07-01'], startHour: 9, endHour: 10, timeZone: 'UTC', people: [] };
+    const ics = exportIcs(toEventDetails(fixture), [window(Date.UTC(2025, 6, 1, 9) / 1000, Date.UTC(2025, 6, 1, 10) / 1000)], { timeZone: 'UTC', now: 0 });
+    assert.doesNotMatch(ics, /VTIMEZONE/);
+    assert.match(ics, /DTSTART:20250701T090000Z\r\n/);
+  });
+
+  it('folds long lines and escapes text', () => {
+    const fixture = { name: 'Planning; phase 1, part 2', dates: ['2025-07-01'], startHour: 9, endHour: 10, timeZone: 'UTC', people: [] };
+    const longWindow = { ...window(Date.UTC(2025, 6, 1, 9) / 1000, Date.UTC(2025, 6, 1, 10) / 1000), available: Array.from({ length: 20 }, (_, index) => `Participant ${index}`) };
+    const ics = exportIcs(toEventDetails(fixture), [longWindow], { timeZone: 'UTC', now: 0 });
+
+    assert.match(ics, /SUMMARY:Planning\\; phase 1\\, part 2 \(option 1\)/);
+    assert.ok(ics.split('\r\n').every(line => line.length <= 75));
+    assert.match(ics.replace(/\r\n /g, ''), /Participant 19/);
+  });
+
+  it('folds by UTF-8 octets without splitting characters', () => {
+    const fixture = { name: 'Réunion 🗓️ équipe', dates: ['2025-07-01'], startHour: 9, endHour: 10, timeZone: 'UTC', people: [] };
+    const names = Array.from({ length: 12 }, (_, index) => `Zoë 🎉 Müller ${index}`);
+    const longWindow = { ...window(Date.UTC(2025, 6, 1, 9) / 1000, Date.UTC(2025, 6, 1, 10) / 1000), available: names };
+    const ics = exportIcs(toEventDetails(fixture), [longWindow], { timeZone: 'UTC', now: 0 });
+
+    const lines = ics.split('\r\n');
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(lines.every(line => line.isWellFormed()));
+    assert.ok(ics.replace(/\r\n /g, '').includes(names.join('\\, ')));
+  });
+});
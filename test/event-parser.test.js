@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { formatSlotDate, getEventType, inferSlotSeconds, parseEventHtml } = require('../lib/event-parser');
+const { formatShortDate } = require('../lib/timezone');
+const { renderEventPage } = require('./support/fake-when2meet');
+const { multiWeekEvent, oddIntervalEvent, weeklyEvent } = require('./support/fixtures');
+
+// Event page saved from when2meet.com, with a hidden sign-in grid next to the group grid
+const savedEventPage = fs.readFileSync(path.join(__dirname, 'fixtures', 'event-page.html'), 'utf8');
+
+// Turn a fixture into the event shape the fake server renders
+function toEvent(fixture) {
+  return {
+    ...fixture,
+    people: fixture.people.map(person => ({ ...person, slots: new Set(person.slots) }))
+  };
+}
+
+describe('parseEventHtml', () => {
+  it('reads the name, date range, slots and participants of an event page', () => {
+    const fixture = multiWeekEvent();
+    const details = parseEventHtml(renderEventPage(toEvent(fixture)), 'https://www.when2meet.com/?30000001-MultiWk', 'America/New_York');
+
+    assert.equal(details.name, 'Quarterly Planning');
+    assert.equal(details.dateRange, 'March 3 - March 21, 2025');
+    assert.equal(details.availableTimeslots.allTimeslots.length, fixture.slots.length);
+    assert.deepEqual(details.availableTimeslots.allTimeslots[0], {
+      timestamp: fixture.slots[0].timestamp,
+      readableTime: 'Monday 09:00 AM',
+      col: 0,
+      row: 0,
+      elementId: `GroupTime${fixture.slots[0].timestamp}`
+    });
+    assert.deepEqual(details.participants, [
+      { id: 1001, name: 'Alice', slotCount: 8 },
+      { id: 1002, name: 'Bob', slotCount: 12 }
+    ]);
+    assert.deepEqual(details.availabilityBySlot[fixture.slots[4].timestamp], ['Alice', 'Bob']);
+  });
+
+  it('unescapes names and entities', () => {
+    const fixture = oddIntervalEvent();
+    fixture.name = 'Q&A <Office> Hours';
+    fixture.people[0].name = "Carol O'Brien";
+    const details = parseEventHtml(renderEventPage(toEvent(fixture)), 'https://www.when2meet.com/?30000003-OddInt');
+
+    assert.equal(details.name, 'Q&A <Office> Hours');
+    assert.equal(details.participants[0].name, "Carol O'Brien");
+  });
+
+  it('keeps people who signed in under the same name apart', () => {
+    const fixture = multiWeekEvent();
+    fixture.people.push({ id: 1003, name: 'Alice', slots: fixture.people[1].slots.slice(-2) });
+    const details = parseEventHtml(renderEventPage(toEvent(fixture)), 'https://www.when2meet.com/?30000001-MultiWk', 'America/New_York');
+
+    assert.deepEqual(details.participants, [
+      { id: 1001, name: 'Alice', slotCount: 8 },
+      { id: 1002, name: 'Bob', slotCount: 12 },
+      { id: 1003, name: 'Alice (2)', slotCount: 2 }
+    ]);
+    assert.deepEqual(details.availabilityBySlot[fixture.people[1].slots[11]], ['Bob', 'Alice (2)']);
+  });
+
+  it('returns no timeslots for a page without a grid', () => {
+    const details = parseEventHtml('<html><head><title>Gone - When2Meet</title></head><body></body></html>', 'https://www.when2meet.com/?1-a');
+    assert.equal(details.availableTimeslots, null);
+    assert.deepEqual(details.participants, []);
+  });
+});
+
+describe('saved event page', () => {
+  const details = parseEventHtml(savedEventPage, 'https://www.when2meet.com/?30123456-SaVeD', 'America/Los_Angeles');
+
+  it('reads the name and the date range from the header', () => {
+    assert.equal(details.name, 'Design Review & Retro');
+    assert.equal(details.dateRange, 'Tuesday, April 8 - Wednesday, April 9, 2025 (Pacific Time)');
+    assert.equal(details.url, 'https://www.when2meet.com/?30123456-SaVeD');
+  });
+
+  it('reads the group grid only', () => {
+    const slots = details.availableTimeslots.allTimeslots;
+    assert.equal(slots.length, 8);
+    assert.ok(slots.every(slot => slot.elementId.startsWith('GroupTime')));
+    assert.deepEqual(slots[5], {
+      timestamp: 1744215300,
+      readableTime: 'Wednesday 09:15:00 AM',
+      col: 1,
+      row: 1,
+      elementId: 'GroupTime1744215300'
+    });
+  });
+
+  it('groups the slots into days and blocks in the event time zone', () => {
+    assert.deepEqual(details.availableTimeslots.dayGroups.map(day => ({
+      fullDate: day.fullDate,
+      blocks: day.timeBlocks.map(block => `${block.startTime}-${block.endTime}`)
+    })), [
+      { fullDate: 'Tuesday, Apr 8, 2025', blocks: ['09:00 AM-10:00 AM'] },
+      { fullDate: 'Wednesday, Apr 9, 2025', blocks: ['09:00 AM-10:00 AM'] }
+    ]);
+  });
+
+  it('reads the participants and who is available at each slot', () => {
+    assert.deepEqual(details.participants, [
+      { id: 77001, name: 'Priya', slotCount: 4 },
+      { id: 77002, name: "Sam O'Neil", slotCount: 3 }
+    ]);
+    assert.deepEqual(details.availabilityBySlot[1744128000], ['Priya']);
+    assert.deepEqual(details.availabilityBySlot[1744129800], ['Priya', "Sam O'Neil"]);
+    assert.deepEqual(details.availabilityBySlot[1744214400], ["Sam O'Neil"]);
+    assert.deepEqual(details.availabilityBySlot[1744217100], []);
+  });
+});
+
+describe('days-of-the-week polls', () => {
+  it('groups the slots by weekday without dates', () => {
+    const fixture = weeklyEvent();
+    const details = parseEventHtml(renderEventPage(toEvent({ ...fixture, dateRange: '' })), 'https://www.when2meet.com/?30000004-Weekly', 'America/Chicago');
+
+    assert.equal(getEventType(details.availableTimeslots.allTimeslots), 'daysOfTheWeek');
+    assert.deepEqual(details.availableTimeslots.dayGroups.map(day => [day.dayName, day.fullDate]), [
+      ['Monday', null], ['Wednesday', null], ['Friday', null]
+    ]);
+    assert.equal(formatSlotDate(fixture.slots[0].timestamp, 'America/Chicago'), 'Monday');
+  });
+
+  it('keeps calendar dates for other events', () => {
+    const fixture = multiWeekEvent();
+    assert.equal(getEventType(fixture.slots), 'specificDates');
+    assert.equal(getEventType([]), 'specificDates');
+    assert.equal(formatSlotDate(fixture.slots[0].timestamp, 'America/New_York'), formatShortDate(fixture.slots[0].timestamp, 'America/New_York'));
+  });
+});
+
+describe('inferSlotSeconds', () => {
+  it('uses the smallest gap between slots', () => {
+    const slots = [0, 1800, 5400, 86400].map(timestamp => ({ timestamp }));
+    assert.equal(inferSlotSeconds(slots), 1800);
+  });
+
+  it('falls back to 15 minutes when there is nothing to compare', () => {
+    assert.equal(inferSlotSeconds([{ timestamp: 1800 }]), 900);
+    assert.equal(inferSlotSeconds([]), 900);
+  });
+});
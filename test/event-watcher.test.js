@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventWatcher } = require('../lib/event-watcher');
+
+const EVENT_URL = 'https://www.when2meet.com/?1-abc';
+const EVENT = { eventUrl: EVENT_URL, eventUri: 'when2meet://event/1-abc', participantsUri: 'when2meet://event/1-abc/participants' };
+
+function eventDetails(availabilityBySlot) {
+  const names = [...new Set(Object.values(availabilityBySlot).flat())];
+  return {
+    participants: names.map((name, index) => ({ id: index + 1, name, slotCount: 0 })),
+    availabilityBySlot
+  };
+}
+
+// fetchEventDetails that answers when the test resolves it, counting the calls
+function deferredFetch() {
+  const pending = [];
+  const fetchEventDetails = () => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+  });
+  return { fetchEventDetails, pending };
+}
+
+describe('createEventWatcher', () => {
+  it('loads an event once for subscriptions that arrive while it is loading', async () => {
+    const { fetchEventDetails, pending } = deferredFetch();
+    const changed = [];
+    const watcher = createEventWatcher({ fetchEventDetails, onChange: uri => changed.push(uri) });
+
+    const first = watcher.subscribe(EVENT.eventUri, EVENT);
+    const second = watcher.subscribe(EVENT.participantsUri, EVENT);
+    assert.equal(pending.length, 1);
+    pending[0].resolve(eventDetails({ 100: ['Ann'] }));
+    await Promise.all([first, second]);
+
+    const poll = watcher.poll();
+    pending[1].resolve(eventDetails({ 100: ['Ann'], 200: ['Ben'] }));
+    assert.deepEqual(await poll, [EVENT.eventUri, EVENT.participantsUri]);
+    assert.deepEqual(changed, [EVENT.eventUri, EVENT.participantsUri]);
+    watcher.stop();
+  });
+
+  it('skips events that are still loading when it polls', async () => {
+    const { fetchEventDetails, pending } = deferredFetch();
+    const watcher = createEventWatcher({ fetchEventDetails, onChange: () => {} });
+
+    const subscribed = watcher.subscribe(EVENT.eventUri, EVENT);
+    assert.deepEqual(await watcher.poll(), []);
+    assert.equal(pending.length, 1);
+    pending[0].resolve(eventDetails({}));
+    await subscribed;
+    watcher.stop();
+  });
+
+  it('only reports URIs that are still subscribed', async () => {
+    const { fetchEventDetails, pending } = deferredFetch();
+    const watcher = createEventWatcher({ fetchEventDetails, onChange: () => {} });
+
+    const subscribed = Promise.all([watcher.subscribe(EVENT.eventUri, EVENT), watcher.subscribe(EVENT.participantsUri, EVENT)]);
+    pending[0].resolve(eventDetails({ 100: ['Ann'] }));
+    await subscribed;
+    watcher.unsubscribe(EVENT.participantsUri);
+
+    const poll = watcher.poll();
+    pending[1].resolve(eventDetails({ 100: ['Ann', 'Ben'] }));
+    assert.deepEqual(await poll, [EVENT.eventUri]);
+    watcher.stop();
+  });
+
+  it('fails every waiting subscription when the first load fails and retries on the next', async () => {
+    const { fetchEventDetails, pending } = deferredFetch();
+    const watcher = createEventWatcher({ fetchEventDetails, onChange: () => {} });
+
+    const first = watcher.subscribe(EVENT.eventUri, EVENT);
+    const second = watcher.subscribe(EVENT.participantsUri, EVENT);
+    pending[0].reject(new Error('Event not found'));
+    await assert.rejects(first, /Event not found/);
+    await assert.rejects(second, /Event not found/);
+
+    const retry = watcher.subscribe(EVENT.eventUri, EVENT);
+    assert.equal(pending.length, 2);
+    pending[1].resolve(eventDetails({}));
+    await retry;
+    watcher.stop();
+  });
+});
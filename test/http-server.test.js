@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+const { createHttpServer, parseAuthTokens } = require('../lib/http-server');
+
+// A small MCP server whose tool tells sessions apart
+function createServer() {
+  const server = new McpServer({ name: 'http-test', version: '1.0.0' });
+  let calls = 0;
+  server.registerTool('count', { description: 'Count calls in this session' }, async () => {
+    calls++;
+    return { content: [{ type: 'text', text: String(calls) }] };
+  });
+  return server;
+}
+
+async function startHttpServer(options = {}) {
+  const httpServer = createHttpServer({ createServer, ...options });
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  return {
+    baseUrl,
+    async close() {
+      await httpServer.closeSessions();
+      // Drop idle keep-alive connections so close() doesn't wait for them to time out
+      httpServer.closeAllConnections();
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  };
+}
+
+async function connect(transport) {
+  const client = new Client({ name: 'http-test-client', version: '1.0.0' });
+  await client.connect(transport);
+  return client;
+}
+
+const postJson = (url, body, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+  body: JSON.stringify(body)
+});
+
+describe('parseAuthTokens', () => {
+  it('splits and trims a comma-separated list', () => {
+    assert.deepEqual(parseAuthTokens(' one, two ,,'), ['one', 'two']);
+    assert.deepEqual(parseAuthTokens(undefined), []);
+  });
+});
+
+describe('HTTP server', () => {
+  let http;
+  before(async () => {
+    http = await startHttpServer();
+  });
+  after(async () => {
+    await http.close();
+  });
+
+  it('gives each Streamable HTTP client its own session', async () => {
+    const first = new StreamableHTTPClientTransport(new URL(`${http.baseUrl}/mcp`));
+    const second = new StreamableHTTPClientTransport(new URL(`${http.baseUrl}/mcp`));
+    const firstClient = await connect(first);
+    const secondClient = await connect(second);
+
+    assert.ok(first.sessionId);
+    assert.notEqual(first.sessionId, second.sessionId);
+    await firstClient.callTool({ name: 'count', arguments: {} });
+    const result = await secondClient.callTool({ name: 'count', arguments: {} });
+    assert.equal(result.content[0].text, '1');
+
+    const health = await (await fetch(`${http.baseUrl}/health`)).json();
+    assert.equal(health.sessions.streamableHttp, 2);
+
+    // Ending a session removes it
+    await first.terminateSession();
+    await firstClient.close();
+    await secondClient.close();
+    const after = await (await fetch(`${http.baseUrl}/health`)).json();
+    assert.equal(after.sessions.streamableHttp, 1);
+  });
+
+  it('rejects requests without a session and with unknown sessions', async () => {
+    const listTools = { jsonrpc: '2.0', id: 1, method: 'tools/list' };
+    const missing = await postJson(`${http.baseUrl}/mcp`, listTools);
+    assert.equal(missing.status, 400);
+
+    const unknown = await postJson(`${http.baseUrl}/mcp`, listTools, { 'Mcp-Session-Id': 'no-such-session' });
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error.message, 'Session not found');
+
+    const invalid = await fetch(`${http.baseUrl}/mcp`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error.code, -32700);
+  });
+
+  it('closes sessions that stay idle', async () => {
+    const idle = await startHttpServer({ sessionIdleMs: 100 });
+    try {
+      const streamable = new StreamableHTTPClientTransport(new URL(`${idle.baseUrl}/mcp`));
+      const streamableClient = await connect(streamable);
+      const sseClient = await connect(new SSEClientTransport(new URL(`${idle.baseUrl}/sse`)));
+      let health = await (await fetch(`${idle.baseUrl}/health`)).json();
+      assert.deepEqual(health.sessions, { streamableHttp: 1, sse: 1 });
+
+      await new Promise(resolve => setTimeout(resolve, 400));
+      health = await (await fetch(`${idle.baseUrl}/health`)).json();
+      assert.deepEqual(health.sessions, { streamableHttp: 0, sse: 0 });
+      const expired = await postJson(`${idle.baseUrl}/mcp`, { jsonrpc: '2.0', id: 1, method: 'tools/list' }, {
+        'Mcp-Session-Id': streamable.sessionId
+      });
+      assert.equal(expired.status, 404);
+
+      await streamableClient.close();
+      await sseClient.close();
+    } finally {
+      await idle.close();
+    }
+  });
+
+  it('serves the legacy SSE transport', async () => {
+    const client = await connect(new SSEClientTransport(new URL(`${http.baseUrl}/sse`)));
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name), ['count']);
+    await client.close();
+  });
+});
+
+describe('HTTP server with authentication', () => {
+  let http;
+  before(async () => {
+    http = await startHttpServer({ authTokens: ['secret-token', 'other-token'] });
+  });
+  after(async () => {
+    await http.close();
+  });
+
+  it('rejects MCP requests without a valid token', async () => {
+    const initialize = {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+    };
+    const missing = await postJson(`${http.baseUrl}/mcp`, initialize);
+    assert.equal(missing.status, 401);
+    assert.match(missing.headers.get('www-authenticate'), /^Bearer/);
+
+    const wrong = await postJson(`${http.baseUrl}/mcp`, initialize, { Authorization: 'Bearer wrong' });
+    assert.equal(wrong.status, 401);
+
+    const sse = await fetch(`${http.baseUrl}/sse`);
+    assert.equal(sse.status, 401);
+  });
+
+  it('accepts a bearer token or an X-API-Key header', async () => {
+    for (const headers of [{ Authorization: 'Bearer secret-token' }, { 'X-API-Key': 'secret-token' }]) {
+      const client = await connect(new StreamableHTTPClientTransport(new URL(`${http.baseUrl}/mcp`), { requestInit: { headers } }));
+      const result = await client.callTool({ name: 'count', arguments: {} });
+      assert.equal(result.content[0].text, '1');
+      await client.close();
+    }
+  });
+
+  it('only lets the token that opened a session use it', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(`${http.baseUrl}/mcp`), {
+      requestInit: { headers: { Authorization: 'Bearer secret-token' } }
+    });
+    const client = await connect(transport);
+    const listTools = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+
+    const other = await postJson(`${http.baseUrl}/mcp`, listTools, {
+      Authorization: 'Bearer other-token',
+      'Mcp-Session-Id': transport.sessionId
+    });
+    assert.equal(other.status, 403);
+    const ended = await fetch(`${http.baseUrl}/mcp`, {
+      method: 'DELETE',
+      headers: { 'X-API-Key': 'other-token', 'Mcp-Session-Id': transport.sessionId }
+    });
+    assert.equal(ended.status, 403);
+
+    // The session is still there for its own token
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name), ['count']);
+    await client.close();
+  });
+
+  it('keeps /health public', async () => {
+    const response = await fetch(`${http.baseUrl}/health`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'ok');
+  });
+});
@@ -0,0 +1,167 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getBusyIntervals, parseDuration } = require('../lib/ical');
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n');
+const utc = (...args) => Date.UTC(...args) / 1000;
+
+describe('getBusyIntervals', () => {
+  it('keeps local times of weekly events across a DST change', () => {
+    const text = calendar(
+      'BEGIN:VEVENT',
+      'UID:standup',
+      'SUMMARY:Standup',
+      'DTSTART;TZID=America/New_York:20250303T093000',
+      'DTEND;TZID=America/New_York:20250303T100000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO',
+      'END:VEVENT'
+    );
+    const busy = getBusyIntervals(text, { rangeStart: utc(2025, 2, 1), rangeEnd: utc(2025, 2, 15) });
+
+    assert.deepEqual(busy.map(interval => interval.start), [utc(2025, 2, 3, 14, 30), utc(2025, 2, 10, 13, 30)]);
+    assert.ok(busy.every(interval => interval.end - interval.start === 1800));
+  });
+
+  it('applies COUNT, EXDATE and RECURRENCE-ID overrides', () => {
+    const text = calendar(
+      'BEGIN:VEVENT',
+      'UID:daily',
+      'SUMMARY:Daily',
+      'DTSTART:20250401T090000Z',
+      'DURATION:PT1H',
+      'RRULE:FREQ=DAILY;COUNT=4',
+      'EXDATE:20250402T090000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:daily',
+      'SUMMARY:Daily (moved)',
+      'RECURRENCE-ID:20250403T090000Z',
+      'DTSTART:20250403T150000Z',
+      'DTEND:20250403T160000Z',
+      'END:VEVENT'
+    );
+    const busy = getBusyIntervals(text, { rangeStart: utc(2025, 3, 1), rangeEnd: utc(2025, 3, 30) });
+
+    assert.deepEqual(busy.map(interval => [interval.start, interval.summary]).sort((a, b) => a[0] - b[0]), [
+      [utc(2025, 3, 1, 9), 'Daily'],
+      [utc(2025, 3, 3, 15), 'Daily (moved)'],
+      [utc(2025, 3, 4, 9), 'Daily']
+    ]);
+  });
+
+  it('expands monthly rules with ordinal weekdays', () => {
+    const text = calendar(
+      'BEGIN:VEVENT',
+      'DTSTART:20250114T170000Z',
+      'DTEND:20250114T180000Z',
+      'RRULE:FREQ=MONTHLY;BYDAY=2TU;UNTIL=20250430T000000Z',
+      'END:VEVENT'
+    );
+    const busy = getBusyIntervals(text, { rangeStart: utc(2025, 0, 1), rangeEnd: utc(2025, 11, 31) });
+
+    assert.deepEqual(busy.map(interval => interval.start), [
+      utc(2025, 0, 14, 17), utc(2025, 1, 11, 17), utc(2025, 2, 11, 17), utc(2025, 3, 8, 17)
+    ]);
+  });
+
+  it('skips cancelled and transparent events and can treat tentative ones as free', () => {
+    const event = (uid, extra) => [
+      'BEGIN:VEVENT', `UID:${uid}`, 'DTSTART:20250401T090000Z', 'DTEND:20250401T100000Z', extra, 'END:VEVENT'
+    ];
+    const text = calendar(
+      ...event('cancelled', 'STATUS:CANCELLED'),
+      ...event('transparent', 'TRANSP:TRANSPARENT'),
+      ...event('tentative', 'STATUS:TENTATIVE')
+    );
+    const range = { rangeStart: utc(2025, 3, 1), rangeEnd: utc(2025, 3, 2) };
+
+    assert.equal(getBusyIntervals(text, range).length, 1);
+    assert.equal(getBusyIntervals(text, { ...range, tentativeAs: 'free' }).length, 0);
+  });
+
+  it('reads floating and all-day times in the given timezone', () => {
+    const text = calendar(
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20250415',
+      'END:VEVENT'
+    );
+    const busy = getBusyIntervals(text, { rangeStart: utc(2025, 3, 14), rangeEnd: utc(2025, 3, 17), timeZone: 'Europe/Berlin' });
+
+    assert.deepEqual(busy.map(interval => [interval.start, interval.end]), [[utc(2025, 3, 14, 22), utc(2025, 3, 15, 22)]]);
+  });
+
+  it('expands daily and weekly rules that started decades before the range', () => {
+    const text = calendar(
+      'BEGIN:VEVENT',
+      'UID:lunch',
+      'DTSTART;TZID=Europe/London:19900102T120000',
+      'DTEND;TZID=Europe/London:19900102T130000',
+      'RRULE:FREQ=DAILY',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:review',
+      'DTSTART;TZID=Europe/London:19900105T160000',
+      'DURATION:PT1H',
+      'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=FR',
+      'END:VEVENT'
+    );
+    const busy = getBusyIntervals(text, { rangeStart: utc(2025, 3, 14), rangeEnd: utc(2025, 3, 26) });
+
+    assert.equal(busy.filter(interval => interval.start % 86400 === 11 * 3600).length, 12);
+    // Every other Friday from January 5, 1990
+    assert.deepEqual(busy.filter(interval => interval.start % 86400 === 15 * 3600).map(interval => interval.start), [
+      utc(2025, 3, 25, 15)
+    ]);
+  });
+
+  it('treats the span of rules that repeat within a day as busy', () => {
+    const text = calendar(
+      'BEGIN:VEVENT',
+      'SUMMARY:On call check-ins',
+      'DTSTART:20250414T090000Z',
+      'DURATION:PT15M',
+      'RRULE:FREQ=HOURLY;INTERVAL=2;COUNT=4',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20250415T080000Z',
+      'DURATION:PT5M',
+      'RRULE:FREQ=MINUTELY;INTERVAL=30;UNTIL=20250415T100000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20250416T080000Z',
+      'DURATION:PT1H',
+      'RRULE:FREQ=SOMETIMES',
+      'END:VEVENT'
+    );
+    const busy = getBusyIntervals(text, { rangeStart: utc(2025, 3, 14), rangeEnd: utc(2025, 3, 17) });
+
+    // 9:00, 11:00, 13:00 and 15:00, each 15 minutes long
+    assert.deepEqual(busy.map(interval => [interval.start, interval.end]), [
+      [utc(2025, 3, 14, 9), utc(2025, 3, 14, 15, 15)],
+      [utc(2025, 3, 15, 8), utc(2025, 3, 15, 10, 5)],
+      [utc(2025, 3, 16, 8), utc(2025, 3, 17)]
+    ]);
+    assert.equal(busy[0].summary, 'On call check-ins');
+  });
+
+  it('ends rules that hit no day in some periods at the end of the range', () => {
+    const text = calendar(
+      'BEGIN:VEVENT',
+      'DTSTART:20240201T090000Z',
+      'DURATION:PT1H',
+      'RRULE:FREQ=YEARLY;BYMONTHDAY=30',
+      'END:VEVENT'
+    );
+
+    // February never has a 30th
+    assert.deepEqual(getBusyIntervals(text, { rangeStart: utc(2025, 0, 1), rangeEnd: utc(2025, 11, 31) }), []);
+  });
+});
+
+describe('parseDuration', () => {
+  it('parses ISO 8601 durations', () => {
+    assert.equal(parseDuration('PT1H30M'), 90 * 60 * 1000);
+    assert.equal(parseDuration('P1D'), 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration('-PT15M'), -15 * 60 * 1000);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../lib/logger');
+const { addSecret } = require('../lib/redact');
+
+// A logger writing to an array of parsed entries
+function captureLogger(options = {}) {
+  const lines = [];
+  const stream = { write: text => lines.push(JSON.parse(text)) };
+  const logger = createLogger({ stream, now: () => new Date(Date.UTC(2025, 0, 1)), ...options });
+  return { logger, lines };
+}
+
+describe('createLogger', () => {
+  it('writes JSON lines at or above its level', () => {
+    const { logger, lines } = captureLogger({ level: 'warning' });
+    logger.info('hidden');
+    logger.error('Failed', { url: 'https://example.com', error: new Error('boom') });
+
+    assert.deepEqual(lines, [{
+      time: '2025-01-01T00:00:00.000Z',
+      level: 'error',
+      logger: 'when2meet',
+      msg: 'Failed',
+      url: 'https://example.com',
+      error: 'boom'
+    }]);
+  });
+
+  it('adds context fields and forwards entries to the client in context', async () => {
+    const { logger, lines } = captureLogger({ level: 'error' });
+    const forwarded = [];
+    await logger.runWithContext({ callId: 'call-1', notify: (level, entry) => forwarded.push([level, entry]) }, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      logger.debug('Deep inside');
+    });
+    logger.debug('Outside');
+
+    assert.deepEqual(lines, []);
+    assert.equal(forwarded.length, 1);
+    assert.deepEqual([forwarded[0][0], forwarded[0][1].msg, forwarded[0][1].callId], ['debug', 'Deep inside', 'call-1']);
+  });
+
+  it('times phases, including failed ones', async () => {
+    const { logger, lines } = captureLogger();
+    assert.equal(await logger.time('scrape', async () => 42, { url: 'u' }), 42);
+    await assert.rejects(logger.time('save', async () => {
+      throw new Error('rejected');
+    }), /rejected/);
+
+    assert.deepEqual(lines.map(entry => [entry.level, entry.msg, entry.phase]), [
+      ['info', 'scrape finished', 'scrape'],
+      ['warning', 'save failed', 'save']
+    ]);
+    assert.equal(typeof lines[0].durationMs, 'number');
+    assert.equal(lines[1].error, 'rejected');
+  });
+
+  it('redacts secrets', () => {
+    const { logger, lines } = captureLogger();
+    addSecret('pa55word-xyz');
+    logger.info('Signing in with pa55word-xyz', { body: 'name=Sam&password=pa55word-xyz' });
+    assert.ok(!JSON.stringify(lines).includes('pa55word-xyz'));
+  });
+
+  it('falls back to info for unknown levels', () => {
+    const { logger, lines } = captureLogger({ level: 'verbose' });
+    assert.equal(logger.getLevel(), 'info');
+    assert.match(lines[0].msg, /Unknown log level "verbose"/);
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { addSecret, redact, redactDeep, redactError, withSecrets } = require('../lib/redact');
+
+describe('redact', () => {
+  it('replaces registered secrets', () => {
+    addSecret('s3cret-pass');
+    assert.equal(redact('Signed in with s3cret-pass twice: s3cret-pass'), 'Signed in with [REDACTED] twice: [REDACTED]');
+    assert.equal(redactError(new Error('bad s3cret-pass')), 'bad [REDACTED]');
+  });
+
+  it('keeps secrets registered in a call to that call', async () => {
+    const redactedInCall = await withSecrets(async () => {
+      addSecret('call-pass-1');
+      await new Promise(resolve => setImmediate(resolve));
+      return redact('call-pass-1 and s3cret-pass');
+    });
+    assert.equal(redactedInCall, '[REDACTED] and [REDACTED]');
+    assert.equal(redact('call-pass-1'), 'call-pass-1');
+    assert.equal(withSecrets(() => redact('call-pass-1')), 'call-pass-1');
+  });
+
+  it('ignores secrets too short to tell apart from ordinary text', () => {
+    addSecret('a1');
+    assert.equal(redact('a1 b2'), 'a1 b2');
+  });
+
+  it('masks password fields and tokens', () => {
+    assert.equal(redact('name=Sam&password=abc&_='), 'name=Sam&password=[REDACTED]&_=');
+    assert.equal(redact('{"password":"xyz"}'), '{"password":"[REDACTED]"}');
+    assert.equal(redact('Authorization: Bearer abc.def-123'), 'Authorization: Bearer [REDACTED]');
+    assert.equal(redact('X-API-Key: k3y'), 'X-API-Key: [REDACTED]');
+    assert.equal(redact('Sign in failed: wrong password'), 'Sign in failed: wrong password');
+  });
+
+  it('redacts every string of structured values', () => {
+    assert.deepEqual(redactDeep({ list: ['s3cret-pass', 1], nested: { error: 'password: x' }, flag: true }), {
+      list: ['[REDACTED]', 1],
+      nested: { error: 'password: [REDACTED]' },
+      flag: true
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { z } = require('zod');
+const outputSchemas = require('../lib/schemas');
+const { startTestServer } = require('./support/test-server');
+const { weeklyEvent } = require('./support/fixtures');
+
+// Output schema of each tool, by tool name
+const TOOL_SCHEMAS = {
+  'get-event-details': 'eventDetailsOutput',
+  'generate-availability-prompt': 'availabilityPromptOutput',
+  'parse-availability-selections': 'parsedSelectionsOutput',
+  'mark-when2meet-availability': 'markAvailabilityOutput',
+  'mark-when2meet-availability-batch': 'batchMarkOutput',
+  'get-my-availability': 'myAvailabilityOutput',
+  'find-best-meeting-times': 'meetingTimesOutput',
+  'import-calendar-availability': 'calendarImportOutput',
+  'create-when2meet-event': 'createEventOutput',
+  'get-event-changes': 'eventChangesOutput',
+  'create-availability-profile': 'profileOutput',
+  'list-availability-profiles': 'profileListOutput',
+  'delete-availability-profile': 'profileDeleteOutput',
+  'apply-profile': 'applyProfileOutput',
+  'export-event': 'exportEventOutput',
+  'save-credential': 'credentialOutput',
+  'list-credentials': 'credentialListOutput',
+  'delete-credential': 'credentialDeleteOutput'
+};
+
+describe('output schemas', () => {
+  it('are zod shapes', () => {
+    Object.entries(outputSchemas).forEach(([name, shape]) => {
+      assert.ok(Object.keys(shape).length > 0, `${name} has fields`);
+      Object.entries(shape).forEach(([key, field]) => {
+        assert.ok(field instanceof z.ZodType, `${name}.${key} is a zod type`);
+      });
+    });
+  });
+
+  it('are each used by a tool', () => {
+    assert.deepEqual(Object.values(TOOL_SCHEMAS).sort(), Object.keys(outputSchemas).sort());
+  });
+
+  it('reject results with missing or unknown fields', () => {
+    const createEvent = z.object(outputSchemas.createEventOutput).strict();
+    const result = { eventUrl: 'https://www.when2meet.com/?1-a', eventId: '1', timezone: 'UTC' };
+
+    assert.deepEqual(createEvent.parse(result), result);
+    assert.throws(() => createEvent.parse({ eventUrl: result.eventUrl, timezone: 'UTC' }));
+    assert.throws(() => createEvent.parse({ ...result, eventKey: '1-a' }));
+  });
+});
+
+describe('tool output schemas over MCP', () => {
+  let harness;
+  let client;
+  let fake;
+
+  before(async () => {
+    harness = await startTestServer();
+    ({ client, fake } = harness);
+  });
+
+  after(() => harness.close());
+
+  it('lists each tool with the JSON schema of its output', async () => {
+    const { tools } = await client.listTools();
+    const listed = Object.fromEntries(tools.map(tool => [tool.name, tool.outputSchema]));
+
+    Object.entries(TOOL_SCHEMAS).forEach(([toolName, schemaName]) => {
+      const jsonSchema = listed[toolName];
+      const shape = outputSchemas[schemaName];
+      assert.ok(jsonSchema, `${toolName} has an output schema`);
+      assert.equal(jsonSchema.type, 'object');
+      assert.deepEqual(Object.keys(jsonSchema.properties).sort(), Object.keys(shape).sort(), `${toolName} lists the fields of ${schemaName}`);
+      assert.deepEqual(
+        [...(jsonSchema.required || [])].sort(),
+        Object.keys(shape).filter(key => !shape[key].isOptional()).sort(),
+        `${toolName} lists the required fields of ${schemaName}`
+      );
+    });
+    assert.equal(listed.help, undefined);
+  });
+
+  it('returns structuredContent matching the schema next to the text content', async () => {
+    const event = fake.addEvent(weeklyEvent());
+    const result = await client.callTool({
+      name: 'get-event-details',
+      arguments: { eventUrl: fake.eventUrl(event), timezone: 'America/Chicago' }
+    });
+
+    assert.ok(!result.isError);
+    assert.equal(result.content[0].type, 'text');
+    assert.deepEqual(z.object(outputSchemas.eventDetailsOutput).strict().parse(result.structuredContent), result.structuredContent);
+    assert.equal(result.structuredContent.eventType, 'daysOfTheWeek');
+  });
+
+  it('returns error results without structuredContent', async () => {
+    const result = await client.callTool({
+      name: 'get-event-details',
+      arguments: { eventUrl: 'https://example.com/?1-a' }
+    });
+
+    assert.equal(result.isError, true);
+    assert.equal(result.structuredContent, undefined);
+    assert.match(result.content[0].text, /not a When2Meet URL/);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSelections } = require('../lib/selection-parser');
+const { buildAvailableTimeslots } = require('../lib/event-parser');
+const { buildSlots } = require('./support/fake-when2meet');
+const { getLocalMinutes, getWeekday } = require('../lib/timezone');
+
+const timeZone = 'America/Chicago';
+// Monday, April 7 to Sunday, April 13, 2025, 8am to 6pm
+const dates = ['2025-04-07', '2025-04-08', '2025-04-09', '2025-04-10', '2025-04-11', '2025-04-12', '2025-04-13'];
+const slots = buildSlots({ dates, startHour: 8, endHour: 18, timeZone })
+  .map(slot => ({ ...slot, readableTime: '', elementId: `GroupTime${slot.timestamp}` }));
+const { dayGroups } = buildAvailableTimeslots(slots, timeZone);
+
+// Selected timestamps, checking that everything was understood
+function select(selections) {
+  const { timestamps, warnings } = parseSelections(selections, { dayGroups, slotLookup: {}, timeZone });
+  assert.deepEqual(warnings, []);
+  return timestamps;
+}
+
+// Hours selected on each weekday, with weekday 0 = Sunday
+function hoursByWeekday(timestamps) {
+  const hours = {};
+  timestamps.forEach(timestamp => {
+    const weekday = getWeekday(timestamp, timeZone);
+    hours[weekday] = (hours[weekday] || 0) + 0.25;
+  });
+  return hours;
+}
+
+describe('parseSelections', () => {
+  it('reads bare hours as working hours', () => {
+    const timestamps = select('Monday 9-5');
+    assert.equal(timestamps.length, 32);
+    assert.equal(getLocalMinutes(timestamps[0], timeZone), 9 * 60);
+  });
+
+  it('reads 24-hour times', () => {
+    const timestamps = select('Tuesday 14-17:30');
+    assert.equal(timestamps.length, 14);
+    assert.equal(getLocalMinutes(timestamps[0], timeZone), 14 * 60);
+    assert.equal(getLocalMinutes(timestamps[timestamps.length - 1], timeZone), 17 * 60 + 15);
+  });
+
+  it('subtracts negative clauses, including "never" and plural periods', () => {
+    assert.deepEqual(hoursByWeekday(select('weekdays 10-12 and 14-17, never Friday afternoons')), {
+      1: 5, 2: 5, 3: 5, 4: 5, 5: 2
+    });
+    assert.deepEqual(hoursByWeekday(select('weekends, not mornings')), { 0: 6, 6: 6 });
+  });
+
+  it('returns slots only covered by if-needed clauses separately', () => {
+    const { timestamps, ifNeeded } = parseSelections('weekdays 9-5, Saturday morning if needed, maybe Monday 8-9', {
+      dayGroups, slotLookup: {}, timeZone
+    });
+    assert.deepEqual(hoursByWeekday(timestamps), { 1: 9, 2: 8, 3: 8, 4: 8, 5: 8, 6: 4 });
+    assert.deepEqual(hoursByWeekday(ifNeeded), { 1: 1, 6: 4 });
+
+    // A slot any plain clause covers stays preferred
+    const overlap = parseSelections('Monday 9-12 if needed, Monday 10-11', { dayGroups, slotLookup: {}, timeZone });
+    assert.equal(overlap.timestamps.length, 12);
+    assert.equal(overlap.ifNeeded.length, 8);
+  });
+
+  it('warns about text it does not understand', () => {
+    const { timestamps, warnings } = parseSelections('Monday 9-10 if possible', { dayGroups, slotLookup: {}, timeZone });
+    assert.equal(timestamps.length, 4);
+    assert.equal(warnings.length, 1);
+  });
+
+  it('runs ranges that end after midnight into the next morning of the same day', () => {
+    // Friday and Saturday nights, 8pm to 2am
+    const nightSlots = buildSlots({ dates: ['2025-04-11', '2025-04-12'], startHour: 20, endHour: 26, timeZone })
+      .map(slot => ({ ...slot, readableTime: '', elementId: `GroupTime${slot.timestamp}` }));
+    const nights = buildAvailableTimeslots(nightSlots, timeZone).dayGroups;
+
+    const { timestamps, warnings } = parseSelections('Friday 11pm-1am', { dayGroups: nights, slotLookup: {}, timeZone });
+    assert.deepEqual(warnings, []);
+    assert.equal(timestamps.length, 8);
+    assert.equal(getLocalMinutes(timestamps[0], timeZone), 23 * 60);
+    assert.equal(getWeekday(timestamps[7], timeZone), 6);
+    assert.equal(getLocalMinutes(timestamps[7], timeZone), 45);
+  });
+});
+
+describe('selection grammar', () => {
+  it('reads "Tuesday after 2pm"', () => {
+    const timestamps = select('Tuesday after 2pm');
+    assert.deepEqual(hoursByWeekday(timestamps), { 2: 4 });
+    assert.equal(getLocalMinutes(timestamps[0], timeZone), 14 * 60);
+  });
+
+  it('reads "all of Wed except 12–1" with an en dash or a hyphen', () => {
+    const timestamps = select('all of Wed except 12–1');
+    assert.deepEqual(hoursByWeekday(timestamps), { 3: 9 });
+    assert.ok(timestamps.every(timestamp => getLocalMinutes(timestamp, timeZone) < 12 * 60 || getLocalMinutes(timestamp, timeZone) >= 13 * 60));
+    assert.deepEqual(select('all of Wed except 12-1'), timestamps);
+  });
+
+  it('reads "weekdays 9-5"', () => {
+    assert.deepEqual(hoursByWeekday(select('weekdays 9-5')), { 1: 8, 2: 8, 3: 8, 4: 8, 5: 8 });
+  });
+
+  it('reads "not Friday" on its own as every other slot', () => {
+    assert.deepEqual(hoursByWeekday(select('not Friday')), { 0: 10, 1: 10, 2: 10, 3: 10, 4: 10, 6: 10 });
+  });
+
+  it('reads "before" with an abbreviated day', () => {
+    assert.deepEqual(hoursByWeekday(select('Tue before 10am')), { 2: 2 });
+  });
+
+  it('warns about unknown words and keeps the clauses it understood', () => {
+    const { timestamps, warnings } = parseSelections('Monday 9-5, blah', { dayGroups, slotLookup: {}, timeZone });
+    assert.equal(timestamps.length, 32);
+    assert.deepEqual(warnings, ['Could not understand "blah"']);
+
+    assert.deepEqual(parseSelections('Funday 9-5', { dayGroups, slotLookup: {}, timeZone }).warnings, [
+      'Could not understand "funday 9 - 5"'
+    ]);
+  });
+
+  it('warns about codes that match no slot', () => {
+    const { timestamps, warnings } = parseSelections('d99t1, day9', { dayGroups, slotLookup: {}, timeZone });
+    assert.deepEqual(timestamps, []);
+    assert.deepEqual(warnings, ['"d99t1" does not match any time slot', '"day9" does not match any time slot']);
+  });
+});
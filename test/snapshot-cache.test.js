@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSnapshotCache, diffSnapshots } = require('../lib/snapshot-cache');
+
+function eventDetails(availabilityBySlot) {
+  const names = [...new Set(Object.values(availabilityBySlot).flat())];
+  return {
+    name: 'Standup',
+    dateRange: 'April 1, 2025',
+    url: 'https://www.when2meet.com/?1-abc',
+    availableTimeslots: { allTimeslots: [{ timestamp: 100 }, { timestamp: 1000 }] },
+    participants: names.map((name, index) => ({ id: index + 1, name, slotCount: 0 })),
+    availabilityBySlot
+  };
+}
+
+describe('createSnapshotCache', () => {
+  it('reuses snapshots within the TTL and only stores changes', async () => {
+    const cache = createSnapshotCache({ ttlSeconds: 60 });
+
+    await cache.record('1-abc', eventDetails({ 100: ['Ann'] }), 1000);
+    assert.ok(await cache.getFresh('1-abc', 1059));
+    assert.equal(await cache.getFresh('1-abc', 1060), null);
+
+    await cache.record('1-abc', eventDetails({ 100: ['Ann'] }), 1100);
+    assert.equal((await cache.history('1-abc')).length, 1);
+    assert.ok(await cache.getFresh('1-abc', 1120));
+
+    await cache.expire('1-abc');
+    assert.equal(await cache.getFresh('1-abc', 1120), null);
+
+    await cache.record('1-abc', eventDetails({ 100: ['Ann', 'Ben'] }), 1200);
+    const history = await cache.history('1-abc');
+    assert.deepEqual(history.map(snapshot => snapshot.takenAt), [1000, 1200]);
+    assert.equal((await cache.findBefore('1-abc', 1199)).takenAt, 1000);
+    assert.equal(await cache.findBefore('1-abc', 999), null);
+  });
+
+  it('keeps snapshots in a directory between cache instances', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'when2meet-cache-'));
+    try {
+      await createSnapshotCache({ directory }).record('1-abc', eventDetails({ 100: ['Ann'] }), 1000);
+      const history = await createSnapshotCache({ directory }).history('1-abc');
+      assert.equal(history.length, 1);
+      assert.deepEqual(history[0].availabilityBySlot, { 100: ['Ann'] });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('drops the oldest snapshots beyond the limit', async () => {
+    const cache = createSnapshotCache({ maxSnapshots: 2 });
+    for (let time = 1; time <= 3; time++) {
+      await cache.record('1-abc', eventDetails({ 100: Array(time).fill('Ann').map((name, index) => `${name}${index}`) }), time);
+    }
+    assert.deepEqual((await cache.history('1-abc')).map(snapshot => snapshot.takenAt), [2, 3]);
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('reports participant changes, per-person slots and the best slots', () => {
+    const before = { participants: [{ name: 'Ann' }, { name: 'Ben' }], availabilityBySlot: { 100: ['Ann', 'Ben'], 1000: ['Ann'] } };
+    const after = { participants: [{ name: 'Ann' }, { name: 'Cat' }], availabilityBySlot: { 100: ['Ann'], 1000: ['Ann', 'Cat'] } };
+
+    assert.deepEqual(diffSnapshots(before, after), {
+      newParticipants: ['Cat'],
+      removedParticipants: ['Ben'],
+      changesByPerson: [
+        { name: 'Ben', added: [], removed: [100] },
+        { name: 'Cat', added: [1000], removed: [] }
+      ],
+      bestSlots: {
+        before: { count: 2, timestamps: [100] },
+        after: { count: 2, timestamps: [1000] },
+        changed: true
+      }
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { createFakeWhen2Meet } = require('./support/fake-when2meet');
+const { singleDayEvent } = require('./support/fixtures');
+
+describe('stdio transport', () => {
+  let fake;
+  let event;
+  let dataDirectory;
+  before(async () => {
+    fake = createFakeWhen2Meet();
+    await fake.start();
+    event = fake.addEvent(singleDayEvent());
+    dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'when2meet-stdio-'));
+  });
+  after(async () => {
+    await fake.stop();
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+  });
+
+  it('keeps stdout for JSON-RPC and logs JSON lines to stderr', async () => {
+    const transport = new StdioClientTransport({
+      command: process.execPath,
+      args: [path.join(__dirname, '..', 'when2meet-server.js'), '--transport', 'stdio'],
+      env: {
+        ...process.env,
+        WHEN2MEET_ALLOWED_HOSTS: fake.host,
+        WHEN2MEET_LOG_LEVEL: 'debug',
+        WHEN2MEET_PROFILES_FILE: path.join(dataDirectory, 'profiles.json')
+      },
+      stderr: 'pipe'
+    });
+    let stderr = '';
+    transport.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    const client = new Client({ name: 'stdio-test', version: '1.0.0' });
+    await client.connect(transport);
+
+    const result = await client.callTool({ name: 'get-event-details', arguments: { eventUrl: fake.eventUrl(event) } });
+    await client.close();
+
+    assert.ok(!result.isError);
+    assert.equal(result.structuredContent.name, event.name);
+    const entries = stderr.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(entries[0].transport, 'stdio');
+    const callEntries = entries.filter(entry => entry.callId === result._meta.callId);
+    assert.deepEqual(callEntries.map(entry => entry.msg), ['Tool call started', 'scrape finished', 'Tool call finished']);
+    assert.equal(callEntries[1].method, 'http');
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Fake When2Meet server
+ *
+ * A local stand-in for when2meet.com used by the tests. It serves event pages with the same
+ * markup the real site uses (sign-in form, YouGridSlots, GroupGridSlots and the inline script
+ * that defines TimeOfSlot, PeopleNames, PeopleIDs and AvailableAtSlot), implements the
+ * ProcessLogin.php, SaveTimes.php and SaveNewEvent.php endpoints, and records every request
+ * so tests can check what was sent. The pages' own script signs in and saves clicked slots
+ * like the real one, so the browser code paths can run against them too.
+ */
+
+const http = require('http');
+const { formatTime, getDayName, zonedTimeToTimestamp } = require('../../lib/timezone');
+
+// Days-of-the-week polls are laid out on the first week of 1970, which starts on Sunday, January 4
+const WEEKLY_DATES = ['1970-01-04', '1970-01-05', '1970-01-06', '1970-01-07', '1970-01-08', '1970-01-09', '1970-01-10'];
+
+/**
+ * Build the slots of an event grid: one column per date, one row per interval between the hours.
+ *
+ * @param {object} options - dates (YYYY-MM-DD), startHour, endHour, timeZone and intervalMinutes (default 15)
+ * @returns {object[]} Slots with timestamp, col and row
+ */
+function buildSlots({ dates, startHour, endHour, timeZone, intervalMinutes = 15 }) {
+  const slots = [];
+  dates.forEach((date, col) => {
+    const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+    let row = 0;
+    for (let minutes = startHour * 60; minutes < endHour * 60; minutes += intervalMinutes) {
+      slots.push({
+        timestamp: zonedTimeToTimestamp({ year, month, day, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone),
+        col,
+        row: row++
+      });
+    }
+  });
+  return slots;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeScript(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+// Sign in and save clicked slots the way the real page script does, with synchronous requests so
+// a click has been handled by the time the browser reports it done
+const PAGE_SCRIPT = `
+function PostForm(endpoint, fields) {
+  var request = new XMLHttpRequest();
+  request.open('POST', endpoint, false);
+  request.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+  request.send(Object.keys(fields).map(function (key) {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(fields[key]);
+  }).join('&'));
+  return request.responseText;
+}
+function ProcessLogin() {
+  var response = PostForm('ProcessLogin.php', {
+    id: EventID,
+    name: document.getElementById('name').value,
+    password: document.getElementById('password').value,
+    _: ''
+  });
+  if (/^[0-9]+$/.test(response)) {
+    UserID = parseInt(response, 10);
+    document.getElementById('SignIn').style.display = 'none';
+    document.getElementById('YouGrid').style.display = 'block';
+  }
+}
+var Dragging = null;
+document.addEventListener('mousedown', function (event) {
+  var slot = event.target;
+  if (!UserID || !slot.id || slot.id.indexOf('YouTime') !== 0) {
+    return;
+  }
+  var timestamp = parseInt(slot.getAttribute('data-time'), 10);
+  var people = AvailableAtSlot[TimeOfSlot.indexOf(timestamp)];
+  Dragging = { timestamp: timestamp, available: people.indexOf(UserID) === -1 };
+});
+document.addEventListener('mouseup', function () {
+  if (!Dragging) {
+    return;
+  }
+  var change = Dragging;
+  Dragging = null;
+  PostForm('SaveTimes.php', {
+    person: UserID,
+    event: EventID,
+    slots: String(change.timestamp),
+    availability: change.available ? '1' : '0',
+    ChangeToAvailable: String(change.available),
+    _: ''
+  });
+  var people = AvailableAtSlot[TimeOfSlot.indexOf(change.timestamp)];
+  if (change.available) {
+    people.push(UserID);
+  } else {
+    people.splice(people.indexOf(UserID), 1);
+  }
+});
+`;
+
+// Build the group grid in the browser instead of the HTML, so only the browser code path can read it
+const GRID_SCRIPT = `
+GridSlots.forEach(function (slot) {
+  var element = document.createElement('div');
+  element.id = 'GroupTime' + slot[0];
+  element.setAttribute('data-time', slot[0]);
+  element.setAttribute('data-col', slot[1]);
+  element.setAttribute('data-row', slot[2]);
+  element.setAttribute('onmouseover', 'ShowSlot(' + slot[0] + ',"' + slot[3] + '");');
+  document.getElementById('GroupGridSlots').appendChild(element);
+});
+`;
+
+/**
+ * Render an event page the way When2Meet does.
+ *
+ * @param {object} event - Fake event; with gridByScript, the group grid is only built by the page script
+ * @returns {string} HTML
+ */
+function renderEventPage(event) {
+  const readable = timestamp => `${getDayName(timestamp, event.timeZone)} ${formatTime(timestamp, event.timeZone)}`;
+  const slotDivs = prefix => event.slots.map(slot =>
+    `<div id="${prefix}Time${slot.timestamp}" data-time="${slot.timestamp}" data-col="${slot.col}" data-row="${slot.row}" ` +
+    `style="background: #ffdede" onmouseover="ShowSlot(${slot.timestamp},&quot;${escapeHtml(readable(slot.timestamp))}&quot;);"></div>`
+  ).join('\n');
+
+  const script = [
+    `var EventID = ${event.id};`,
+    'var TimeOfSlot = new Array(); var AvailableAtSlot = new Array();',
+    'var PeopleNames = new Array(); var PeopleIDs = new Array(); var UserID = 0;',
+    ...event.slots.map((slot, index) => `TimeOfSlot[${index}]=${slot.timestamp};AvailableAtSlot[${index}] = new Array();`),
+    ...event.people.map((person, index) => `PeopleNames[${index}] = '${escapeScript(person.name)}';PeopleIDs[${index}] = ${person.id};`),
+    ...event.slots.flatMap((slot, index) => event.people
+      .filter(person => person.slots.has(slot.timestamp))
+      .map(person => `AvailableAtSlot[${index}].push(${person.id});`)),
+    PAGE_SCRIPT
+  ];
+  if (event.gridByScript) {
+    const gridSlots = event.slots.map(slot => [slot.timestamp, slot.col, slot.row, readable(slot.timestamp)]);
+    script.push(`var GridSlots = ${JSON.stringify(gridSlots)};`, GRID_SCRIPT);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head><title>${escapeHtml(event.name)} - When2Meet</title></head>
+<body>
+<div id="NewEventNameDiv"><h1>${escapeHtml(event.name)}</h1></div>
+<div class="dateHeader">${escapeHtml(event.dateRange)}</div>
+<div id="SignIn">
+  <form onsubmit="return false;">
+    Your Name: <input type="text" id="name" name="name">
+    Password (optional): <input type="password" id="password" name="password">
+    <input type="button" value="Sign In" onclick="ProcessLogin()">
+  </form>
+</div>
+<div id="YouGrid"><div id="YouGridSlots">
+${slotDivs('You')}
+</div></div>
+<div id="GroupGrid"><div id="GroupGridSlots">
+${event.gridByScript ? '' : slotDivs('Group')}
+</div></div>
+<script type="text/javascript">
+${script.join('\n')}
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Create a fake When2Meet server. Call start() before use and stop() afterwards.
+ *
+ * @returns {object} start, stop, addEvent, getEvent, eventUrl and the recorded logins, saves and createdEvents
+ */
+function createFakeWhen2Meet() {
+  const events = new Map();
+  const logins = [];
+  const saves = [];
+  const createdEvents = [];
+  const requests = [];
+  let nextEventId = 20000000;
+  let nextPersonId = 90000000;
+  let baseUrl = null;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const form = new URLSearchParams(body);
+      requests.push({ method: req.method, path: url.pathname, search: url.search, form: Object.fromEntries(form) });
+
+      const send = (status, text, type = 'text/html') => {
+        res.writeHead(status, { 'Content-Type': `${type}; charset=UTF-8` });
+        res.end(text);
+      };
+
+      if (req.method === 'GET' && url.pathname === '/') {
+        const match = url.search.match(/^\?(\d+)-([A-Za-z0-9]+)/);
+        const event = match && events.get(match[1]);
+        if (!event || event.key !== match[2]) {
+          return send(404, '<html><body>Event not found</body></html>');
+        }
+        return send(200, renderEventPage(event));
+      }
+
+      if (req.method === 'POST' && url.pathname === '/ProcessLogin.php') {
+        const event = events.get(form.get('id'));
+        logins.push(Object.fromEntries(form));
+        if (!event) {
+          return send(200, 'Event not found', 'text/plain');
+        }
+
+        let person = event.people.find(candidate => candidate.name === form.get('name'));
+        if (person && person.password && person.password !== form.get('password')) {
+          return send(200, 'Wrong Password', 'text/plain');
+        }
+        if (!person) {
+          person = { id: nextPersonId++, name: form.get('name'), password: form.get('password') || '', slots: new Set() };
+          event.people.push(person);
+        }
+        return send(200, String(person.id), 'text/plain');
+      }
+
+      if (req.method === 'POST' && url.pathname === '/SaveTimes.php') {
+        const event = events.get(form.get('event'));
+        const person = event && event.people.find(candidate => String(candidate.id) === form.get('person'));
+        const slots = (form.get('slots') || '').split(',').filter(Boolean).map(slot => parseInt(slot, 10));
+        const available = form.get('ChangeToAvailable') === 'true';
+        saves.push({ eventId: form.get('event'), personId: form.get('person'), slots, available });
+
+        if (!person) {
+          return send(200, 'Error: invalid person', 'text/plain');
+        }
+        slots.forEach(timestamp => {
+          if (available) {
+            person.slots.add(timestamp);
+          } else {
+            person.slots.delete(timestamp);
+          }
+        });
+        return send(200, '', 'text/plain');
+      }
+
+      if (req.method === 'POST' && url.pathname === '/SaveNewEvent.php') {
+        const fields = Object.fromEntries(form);
+        const possibleDates = (fields.PossibleDates || '').split('|').filter(Boolean);
+        const dates = fields.DateTypes === 'DaysOfTheWeek'
+          ? possibleDates.map(day => WEEKLY_DATES[parseInt(day, 10)])
+          : possibleDates;
+
+        const event = addEvent({
+          name: fields.NewEventName,
+          dates,
+          startHour: parseInt(fields.NoEarlierThan, 10),
+          endHour: parseInt(fields.NoLaterThan, 10),
+          timeZone: fields.TimeZone
+        });
+        createdEvents.push({ fields, eventId: event.id, key: event.key });
+        return send(200, `<html><body onload="window.location='./?${event.id}-${event.key}'"></body></html>`);
+      }
+
+      send(404, 'Not found', 'text/plain');
+    });
+  });
+
+  /**
+   * Add an event.
+   *
+   * @param {object} fixture - name, dates (YYYY-MM-DD), startHour, endHour, timeZone, optional
+   *   intervalMinutes, dateRange, id, key, gridByScript, and people ({ name, password, slots: timestamps })
+   * @returns {object} The fake event
+   */
+  function addEvent(fixture) {
+    const id = String(fixture.id || nextEventId++);
+    const event = {
+      id,
+      key: fixture.key || `Fake${id.slice(-4)}`,
+      name: fixture.name,
+      dateRange: fixture.dateRange || `${fixture.dates[0]} to ${fixture.dates[fixture.dates.length - 1]}`,
+      timeZone: fixture.timeZone,
+      slots: fixture.slots || buildSlots(fixture),
+      gridByScript: Boolean(fixture.gridByScript),
+      people: (fixture.people || []).map(person => ({
+        id: person.id || nextPersonId++,
+        name: person.name,
+        password: person.password || '',
+        slots: new Set(person.slots || [])
+      }))
+    };
+    events.set(id, event);
+    return event;
+  }
+
+  return {
+    logins,
+    saves,
+    createdEvents,
+    requests,
+    addEvent,
+
+    /**
+     * Start listening on a random local port.
+     *
+     * @returns {string} Base URL of the fake site
+     */
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/`;
+      return baseUrl;
+    },
+
+    async stop() {
+      await new Promise(resolve => server.close(resolve));
+    },
+
+    get host() {
+      return new URL(baseUrl).host;
+    },
+
+    getEvent(id) {
+      return events.get(String(id));
+    },
+
+    eventUrl(event) {
+      return `${baseUrl}?${event.id}-${event.key}`;
+    }
+  };
+}
+
+module.exports = {
+  WEEKLY_DATES,
+  buildSlots,
+  createFakeWhen2Meet,
+  renderEventPage
+};
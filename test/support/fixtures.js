@@ -0,0 +1,102 @@
+/**
+ * Event fixtures for the fake When2Meet server
+ *
+ * Each function returns a fresh fixture so tests can change the events they add.
+ */
+
+const { WEEKLY_DATES, buildSlots } = require('./fake-when2meet');
+
+// Weekdays from Monday, March 3 to Friday, March 21, 2025; US clocks change on Sunday, March 9
+const MULTI_WEEK_DATES = [
+  '2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07',
+  '2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13', '2025-03-14',
+  '2025-03-17', '2025-03-18', '2025-03-19', '2025-03-20', '2025-03-21'
+];
+
+/**
+ * Three weeks of weekdays, 9-11am in New York, across the start of daylight saving time.
+ * Alice has the first Monday; Bob (password "hunter2") has 10-11 on the first Monday and all of the second.
+ */
+function multiWeekEvent() {
+  const timeZone = 'America/New_York';
+  const slots = buildSlots({ dates: MULTI_WEEK_DATES, startHour: 9, endHour: 11, timeZone });
+  const dayOf = col => slots.filter(slot => slot.col === col).map(slot => slot.timestamp);
+
+  return {
+    id: 30000001,
+    key: 'MultiWk',
+    name: 'Quarterly Planning',
+    dateRange: 'March 3 - March 21, 2025',
+    timeZone,
+    slots,
+    people: [
+      { id: 1001, name: 'Alice', slots: dayOf(0) },
+      { id: 1002, name: 'Bob', password: 'hunter2', slots: [...dayOf(0).slice(4), ...dayOf(5)] }
+    ]
+  };
+}
+
+/**
+ * One day, 11am-2pm in Berlin, nobody has responded yet.
+ */
+function singleDayEvent() {
+  return {
+    id: 30000002,
+    key: 'OneDay',
+    name: 'Team Lunch',
+    dateRange: 'Tuesday, April 15, 2025',
+    dates: ['2025-04-15'],
+    startHour: 11,
+    endHour: 14,
+    timeZone: 'Europe/Berlin',
+    people: []
+  };
+}
+
+/**
+ * Two days of 30-minute slots, 1-5pm in Los Angeles. Carol has the first afternoon until 3pm.
+ */
+function oddIntervalEvent() {
+  const timeZone = 'America/Los_Angeles';
+  const slots = buildSlots({ dates: ['2025-05-05', '2025-05-06'], startHour: 13, endHour: 17, timeZone, intervalMinutes: 30 });
+
+  return {
+    id: 30000003,
+    key: 'OddInt',
+    name: 'Office Hours',
+    dateRange: 'May 5 - May 6, 2025',
+    timeZone,
+    slots,
+    people: [
+      { id: 1003, name: 'Carol', slots: slots.filter(slot => slot.col === 0 && slot.row < 4).map(slot => slot.timestamp) }
+    ]
+  };
+}
+
+/**
+ * A days-of-the-week poll for Monday, Wednesday and Friday, 4-6pm in Chicago. Dana has Monday.
+ */
+function weeklyEvent() {
+  const timeZone = 'America/Chicago';
+  const dates = [WEEKLY_DATES[1], WEEKLY_DATES[3], WEEKLY_DATES[5]];
+  const slots = buildSlots({ dates, startHour: 16, endHour: 18, timeZone });
+
+  return {
+    id: 30000004,
+    key: 'Weekly',
+    name: 'Book Club',
+    dates,
+    timeZone,
+    slots,
+    people: [
+      { id: 1004, name: 'Dana', slots: slots.filter(slot => slot.col === 0).map(slot => slot.timestamp) }
+    ]
+  };
+}
+
+module.exports = {
+  multiWeekEvent,
+  oddIntervalEvent,
+  singleDayEvent,
+  weeklyEvent
+};
@@ -0,0 +1,58 @@
+/**
+ * MCP test harness
+ *
+ * Starts the fake When2Meet server, points the MCP server at it and connects an in-memory MCP client.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createFakeWhen2Meet } = require('./fake-when2meet');
+
+/**
+ * Start the fake site and an MCP client connected to the When2Meet MCP server.
+ * The server module is loaded once per test file, so call this once (in a before hook).
+ *
+ * @returns {object} client, fake (the fake When2Meet server) and close()
+ */
+async function startTestServer() {
+  const fake = createFakeWhen2Meet();
+  const baseUrl = await fake.start();
+
+  process.env.WHEN2MEET_ALLOWED_HOSTS = fake.host;
+  process.env.WHEN2MEET_BASE_URL = baseUrl;
+  // Always read the fake site so tests see their own changes
+  process.env.WHEN2MEET_CACHE_TTL = '0';
+  // Keep availability profiles out of the home directory
+  const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'when2meet-test-'));
+  process.env.WHEN2MEET_PROFILES_FILE = path.join(dataDirectory, 'profiles.json');
+  process.env.WHEN2MEET_CREDENTIALS_FILE = path.join(dataDirectory, 'credentials.json');
+  process.env.WHEN2MEET_CREDENTIAL_KEY = 'test credential key';
+  // Keep test output readable; tests that check logs raise the level for their MCP session
+  process.env.WHEN2MEET_LOG_LEVEL = 'error';
+
+  const { createServer, browserPool, eventWatcher } = require('../../when2meet-server');
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'when2meet-tests', version: '1.0.0' });
+  await createServer().connect(serverTransport);
+  await client.connect(clientTransport);
+
+  return {
+    client,
+    fake,
+    dataDirectory,
+    async close() {
+      await client.close();
+      eventWatcher.stop();
+      await browserPool.shutdown();
+      await fake.stop();
+      fs.rmSync(dataDirectory, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  startTestServer
+};
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAvailableTimeslots } = require('../lib/event-parser');
+const { parseSelections } = require('../lib/selection-parser');
+const { formatDate, formatTime, getDateKey, getDayName, getLocalMinutes, zonedTimeToTimestamp } = require('../lib/timezone');
+
+// Saturday, March 8 to Monday, March 10, 2025, 6am to 8pm in Los Angeles; clocks spring forward on the Sunday.
+// Slots after 4pm (5pm from Sunday) fall on the next day in UTC.
+const dstTimeZone = 'America/Los_Angeles';
+const dstSlots = [8, 9, 10].flatMap((day, col) => Array.from({ length: 56 }, (_, row) => {
+  const timestamp = Date.UTC(2025, 2, day, day === 8 ? 14 : 13, row * 15) / 1000;
+  return { timestamp, readableTime: '', col, row, elementId: `GroupTime${timestamp}` };
+}));
+
+describe('zonedTimeToTimestamp', () => {
+  it('converts wall-clock times on both sides of a DST change', () => {
+    assert.equal(zonedTimeToTimestamp({ year: 2025, month: 3, day: 7, hour: 9 }, 'America/New_York'), Date.UTC(2025, 2, 7, 14) / 1000);
+    assert.equal(zonedTimeToTimestamp({ year: 2025, month: 3, day: 10, hour: 9 }, 'America/New_York'), Date.UTC(2025, 2, 10, 13) / 1000);
+  });
+
+  it('shifts times skipped by the spring-forward gap forward', () => {
+    const timestamp = zonedTimeToTimestamp({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, 'America/Los_Angeles');
+    assert.equal(timestamp, Date.UTC(2025, 2, 9, 10, 30) / 1000);
+    assert.equal(formatTime(timestamp, 'America/Los_Angeles'), '03:30 AM');
+  });
+
+  it('resolves times repeated by the fall-back overlap to the first occurrence', () => {
+    const timestamp = zonedTimeToTimestamp({ year: 2025, month: 11, day: 2, hour: 1, minute: 30 }, 'America/Los_Angeles');
+    assert.equal(timestamp, Date.UTC(2025, 10, 2, 8, 30) / 1000);
+  });
+
+  it('handles timezones east of UTC across midnight', () => {
+    const timestamp = zonedTimeToTimestamp({ year: 2025, month: 4, day: 15, hour: 0, minute: 15 }, 'Asia/Tokyo');
+    assert.equal(timestamp, Date.UTC(2025, 3, 14, 15, 15) / 1000);
+    assert.equal(getDateKey(timestamp, 'Asia/Tokyo'), '2025-04-15');
+  });
+});
+
+describe('formatting across a DST change', () => {
+  it('formats the same wall-clock time before and after the change', () => {
+    const before = Date.UTC(2025, 2, 7, 14) / 1000;
+    const after = Date.UTC(2025, 2, 10, 13) / 1000;
+    assert.equal(formatTime(before, 'America/New_York'), '09:00 AM');
+    assert.equal(formatTime(after, 'America/New_York'), '09:00 AM');
+    assert.equal(formatDate(after, 'America/New_York'), 'Monday, Mar 10, 2025');
+  });
+
+  it('formats evening times on their local date, not the UTC one', () => {
+    const sundayEvening = Date.UTC(2025, 2, 10, 2, 30) / 1000;
+    assert.equal(formatTime(sundayEvening, dstTimeZone), '07:30 PM');
+    assert.equal(getDayName(sundayEvening, dstTimeZone), 'Sunday');
+    assert.equal(getDateKey(sundayEvening, dstTimeZone), '2025-03-09');
+    assert.equal(getDateKey(sundayEvening, 'UTC'), '2025-03-10');
+  });
+});
+
+describe('day grouping across a DST change', () => {
+  it('groups slots by local date with the same local hours every day', () => {
+    const { dayGroups } = buildAvailableTimeslots(dstSlots, dstTimeZone);
+    assert.deepEqual(dayGroups.map(day => ({
+      fullDate: day.fullDate,
+      slots: day.slots.length,
+      blocks: day.timeBlocks.map(block => `${block.startTime}-${block.endTime}`)
+    })), [
+      { fullDate: 'Saturday, Mar 8, 2025', slots: 56, blocks: ['06:00 AM-08:00 PM'] },
+      { fullDate: 'Sunday, Mar 9, 2025', slots: 56, blocks: ['06:00 AM-08:00 PM'] },
+      { fullDate: 'Monday, Mar 10, 2025', slots: 56, blocks: ['06:00 AM-08:00 PM'] }
+    ]);
+  });
+});
+
+describe('morning, afternoon and evening across a DST change', () => {
+  const { dayGroups } = buildAvailableTimeslots(dstSlots, dstTimeZone);
+  const localRange = timestamps => [
+    getLocalMinutes(timestamps[0], dstTimeZone) / 60,
+    getLocalMinutes(timestamps[timestamps.length - 1], dstTimeZone) / 60 + 0.25
+  ];
+
+  it('uses local hours on both sides of the change', () => {
+    [0, 1, 2].forEach(day => {
+      const select = code => parseSelections(code, { dayGroups, slotLookup: {}, timeZone: dstTimeZone });
+      const morning = select(`morning${day}`);
+      const afternoon = select(`afternoon${day}`);
+      const evening = select(`evening${day}`);
+
+      assert.deepEqual(morning.warnings, []);
+      assert.deepEqual(localRange(morning.timestamps), [6, 12]);
+      assert.deepEqual(localRange(afternoon.timestamps), [12, 17]);
+      assert.deepEqual(localRange(evening.timestamps), [17, 20]);
+      assert.equal(morning.timestamps.length + afternoon.timestamps.length + evening.timestamps.length, 56);
+    });
+  });
+
+  it('uses local hours in phrases too', () => {
+    const { timestamps } = parseSelections('Sunday evening', { dayGroups, slotLookup: {}, timeZone: dstTimeZone });
+    assert.equal(timestamps.length, 12);
+    assert.ok(timestamps.every(timestamp => getDateKey(timestamp, dstTimeZone) === '2025-03-09'));
+    assert.equal(timestamps[0], Date.UTC(2025, 2, 10, 0) / 1000);
+  });
+});
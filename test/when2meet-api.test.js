@@ -0,0 +1,230 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createEvent, groupConsecutiveSlots, login, saveTimes } = require('../lib/when2meet-api');
+
+/**
+ * A stand-in for When2Meet's SaveNewEvent.php, ProcessLogin.php and SaveTimes.php that records every
+ * form it gets. It knows one event, 30000001, where Bob (1002) signs in with a password.
+ */
+function createStubServer() {
+  const people = [{ id: 1002, name: 'Bob', password: 'hunter2', slots: new Set() }];
+  const requests = [];
+  let nextEventId = 30000002;
+  let nextPersonId = 90000000;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const path = new URL(req.url, 'http://localhost').pathname;
+      const form = Object.fromEntries(new URLSearchParams(body));
+      requests.push({ path, form });
+      const send = (status, text) => {
+        res.writeHead(status, { 'Content-Type': 'text/plain; charset=UTF-8' });
+        res.end(text);
+      };
+
+      if (req.method === 'POST' && path === '/ProcessLogin.php') {
+        if (form.id !== '30000001') {
+          return send(200, 'Event not found');
+        }
+        let person = people.find(candidate => candidate.name === form.name);
+        if (person && person.password && person.password !== form.password) {
+          return send(200, 'Wrong Password');
+        }
+        if (!person) {
+          person = { id: nextPersonId++, name: form.name, password: form.password, slots: new Set() };
+          people.push(person);
+        }
+        return send(200, String(person.id));
+      }
+
+      if (req.method === 'POST' && path === '/SaveTimes.php') {
+        const person = form.event === '30000001' && people.find(candidate => String(candidate.id) === form.person);
+        if (!person) {
+          return send(200, 'Error: invalid person');
+        }
+        form.slots.split(',').map(Number).forEach(timestamp => {
+          if (form.ChangeToAvailable === 'true') {
+            person.slots.add(timestamp);
+          } else {
+            person.slots.delete(timestamp);
+          }
+        });
+        return send(200, '');
+      }
+
+      if (req.method === 'POST' && path === '/SaveNewEvent.php') {
+        const eventId = nextEventId++;
+        return send(200, `<html><body onload="window.location='./?${eventId}-New${eventId % 10000}'"></body></html>`);
+      }
+
+      send(404, 'Not found');
+    });
+  });
+
+  return {
+    people,
+    requests,
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      return `http://127.0.0.1:${server.address().port}/`;
+    },
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('direct save path', () => {
+  const stub = createStubServer();
+  const run = [1743512400, 1743513300, 1743514200];
+  let eventUrl;
+
+  before(async () => {
+    eventUrl = `${await stub.start()}?30000001-MultiWk`;
+  });
+
+  after(() => stub.stop());
+
+  const lastRequest = () => stub.requests[stub.requests.length - 1];
+
+  it('signs in with the event ID, name and password the page sends', async () => {
+    assert.equal(await login(eventUrl, 'Bob', 'hunter2'), '1002');
+    assert.deepEqual(lastRequest(), {
+      path: '/ProcessLogin.php',
+      form: { id: '30000001', name: 'Bob', password: 'hunter2', _: '' }
+    });
+  });
+
+  it('creates a participant for a new name', async () => {
+    const personId = await login(eventUrl, 'Dana');
+    assert.match(personId, /^\d+$/);
+    assert.equal(stub.people.find(person => person.name === 'Dana').id, Number(personId));
+    assert.equal(lastRequest().form.password, '');
+  });
+
+  it('rejects a wrong password', async () => {
+    await assert.rejects(login(eventUrl, 'Bob', 'letmein'), /Sign in failed: wrong password/);
+  });
+
+  it('rejects an unexpected sign-in response', async () => {
+    const missingEventUrl = eventUrl.replace('30000001', '39999999');
+    await assert.rejects(login(missingEventUrl, 'Bob'), /unexpected response "Event not found"/);
+  });
+
+  it('posts a run of slots as available and then as unavailable', async () => {
+    const personId = await login(eventUrl, 'Alice');
+    const alice = stub.people.find(person => person.name === 'Alice');
+
+    assert.deepEqual(await saveTimes(eventUrl, personId, run, true), { success: true });
+    assert.deepEqual(lastRequest(), {
+      path: '/SaveTimes.php',
+      form: {
+        person: personId,
+        event: '30000001',
+        slots: run.join(','),
+        availability: '111',
+        ChangeToAvailable: 'true',
+        _: ''
+      }
+    });
+    assert.ok(run.every(timestamp => alice.slots.has(timestamp)));
+
+    assert.deepEqual(await saveTimes(eventUrl, personId, run, false), { success: true });
+    assert.equal(lastRequest().form.availability, '000');
+    assert.ok(run.every(timestamp => !alice.slots.has(timestamp)));
+  });
+
+  it('reports a save When2Meet rejects', async () => {
+    const result = await saveTimes(eventUrl, '12345', [run[0]]);
+    assert.deepEqual(result, { success: false, error: 'When2Meet rejected the save: Error: invalid person' });
+  });
+
+  it('reports an HTTP error', async () => {
+    const result = await saveTimes(eventUrl.replace('/?', '/missing/?'), '1002', [run[0]]);
+    assert.deepEqual(result, { success: false, error: 'When2Meet responded with 404' });
+  });
+});
+
+describe('createEvent', () => {
+  const stub = createStubServer();
+  const savedEnv = {};
+
+  before(async () => {
+    const baseUrl = await stub.start();
+    ['WHEN2MEET_BASE_URL', 'WHEN2MEET_ALLOWED_HOSTS'].forEach(name => {
+      savedEnv[name] = process.env[name];
+    });
+    process.env.WHEN2MEET_BASE_URL = baseUrl;
+    process.env.WHEN2MEET_ALLOWED_HOSTS = new URL(baseUrl).host;
+  });
+
+  after(async () => {
+    Object.entries(savedEnv).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+    await stub.stop();
+  });
+
+  const newEvent = { name: 'Offsite', dateType: 'DaysOfTheWeek', possibleDates: [1], earliestHour: 9, latestHour: 17, timeZone: 'UTC' };
+
+  it('submits the new event form and follows the redirect to the new event', async () => {
+    const created = await createEvent({
+      name: 'Offsite',
+      dateType: 'SpecificDates',
+      possibleDates: ['2025-06-02', '2025-06-03'],
+      earliestHour: 0,
+      latestHour: 24,
+      timeZone: 'Europe/Berlin'
+    });
+
+    assert.deepEqual(stub.requests[stub.requests.length - 1], {
+      path: '/SaveNewEvent.php',
+      form: {
+        NewEventName: 'Offsite',
+        DateTypes: 'SpecificDates',
+        PossibleDates: '2025-06-02|2025-06-03',
+        NoEarlierThan: '0',
+        NoLaterThan: '24',
+        TimeZone: 'Europe/Berlin'
+      }
+    });
+    assert.deepEqual(created, { eventId: '30000002', eventUrl: `${process.env.WHEN2MEET_BASE_URL}?30000002-New2` });
+  });
+
+  it('rejects a base URL that is not When2Meet or an allowed host', async () => {
+    const allowedHosts = process.env.WHEN2MEET_ALLOWED_HOSTS;
+    const requestCount = stub.requests.length;
+    process.env.WHEN2MEET_ALLOWED_HOSTS = '';
+    try {
+      await assert.rejects(createEvent(newEvent), /not a When2Meet URL/);
+    } finally {
+      process.env.WHEN2MEET_ALLOWED_HOSTS = allowedHosts;
+    }
+    assert.equal(stub.requests.length, requestCount);
+  });
+
+  it('reports a response without a new event', async () => {
+    const baseUrl = process.env.WHEN2MEET_BASE_URL;
+    process.env.WHEN2MEET_BASE_URL = `${baseUrl}missing/`;
+    try {
+      await assert.rejects(createEvent(newEvent), /Creating the event failed: When2Meet responded with 404/);
+    } finally {
+      process.env.WHEN2MEET_BASE_URL = baseUrl;
+    }
+  });
+});
+
+describe('groupConsecutiveSlots', () => {
+  it('splits sorted, unique timestamps into runs of consecutive slots', () => {
+    assert.deepEqual(groupConsecutiveSlots([1800, 0, 900, 900, 3600, 7200]), [[0, 900, 1800], [3600], [7200]]);
+    assert.deepEqual(groupConsecutiveSlots([0, 1800, 3600], 1800), [[0, 1800, 3600]]);
+    assert.deepEqual(groupConsecutiveSlots([]), []);
+  });
+});
@@ -5,844 +5,3330 @@
  * It allows clients to extract event details, select time slots, and mark availability on When2Meet websites.
  */
 
-const { McpServer } = require("@modelcontextprotocol/sdk/server/mcp.js");
+const { McpServer, ResourceTemplate } = require("@modelcontextprotocol/sdk/server/mcp.js");
 const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
-const { HttpServerTransport } = require("@modelcontextprotocol/sdk/server/http.js");
 const puppeteer = require("puppeteer");
+const { SetLevelRequestSchema, SubscribeRequestSchema, UnsubscribeRequestSchema } = require("@modelcontextprotocol/sdk/types.js");
 const { z } = require("zod");
+const {
+  buildAvailableTimeslots,
+  buildGroupAvailability,
+  formatSlotDate,
+  getEventType,
+  inferSlotSeconds,
+  parseEventHtml
+} = require("./lib/event-parser");
+const {
+  assertWhen2MeetUrl,
+  createEvent,
+  getEventKey,
+  getEventUrl,
+  groupConsecutiveSlots,
+  login,
+  saveTimes
+} = require("./lib/when2meet-api");
+const { assertTimeZone, formatShortDate, formatTime } = require("./lib/timezone");
+const { parseSelections } = require("./lib/selection-parser");
+const { getBusyIntervals } = require("./lib/ical");
+const outputSchemas = require("./lib/schemas");
+const { createEventWatcher } = require("./lib/event-watcher");
+const { createSnapshotCache, diffSnapshots } = require("./lib/snapshot-cache");
+const { createBrowserPool } = require("./lib/browser-pool");
+const { createProfileStore, resolveProfile, validateProfile } = require("./lib/availability-profiles");
+const { createPreferenceStore } = require("./lib/preference-store");
+const { exportCsv, exportHeatmap, exportIcs } = require("./lib/event-export");
+const { createHttpServer, parseAuthTokens } = require("./lib/http-server");
+const { createCredentialStore } = require("./lib/credential-store");
+const { addSecret, redact, redactError, withSecrets } = require("./lib/redact");
+const { createLogger, isLevelEnabled } = require("./lib/logger");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 
-// Create MCP server
-const server = new McpServer({
-  name: "when2meet-availability-helper",
-  version: "1.0.0",
-  description: "MCP server for interacting with When2Meet scheduling services"
+// JSON lines on stderr, at WHEN2MEET_LOG_LEVEL (debug, info, notice, warning, error, ...; default info).
+// Inside a tool call, entries also go to the client as notifications/message.
+const logger = createLogger({ level: process.env.WHEN2MEET_LOG_LEVEL || "info" });
+
+// Reuse recent scrapes of an event. WHEN2MEET_CACHE_TTL sets how many seconds a snapshot is reused
+// (default 60, 0 to always reload); WHEN2MEET_CACHE_DIR keeps snapshots on disk as JSON so
+// get-event-changes can compare against earlier runs of the server.
+const snapshotCache = createSnapshotCache({
+  ttlSeconds: process.env.WHEN2MEET_CACHE_TTL !== undefined ? parseInt(process.env.WHEN2MEET_CACHE_TTL, 10) || 0 : 60,
+  directory: process.env.WHEN2MEET_CACHE_DIR || undefined
+});
+
+// One long-lived browser shared by the Puppeteer code paths. WHEN2MEET_BROWSER_PAGES limits how many
+// pages are open at once (default 2); WHEN2MEET_BROWSER_QUEUE_TIMEOUT and WHEN2MEET_BROWSER_TASK_TIMEOUT
+// (seconds) limit how long a request waits for a page and how long it may use one.
+const browserTaskTimeoutMs = (parseInt(process.env.WHEN2MEET_BROWSER_TASK_TIMEOUT, 10) || 120) * 1000;
+
+// Most jobs one mark-when2meet-availability-batch call takes; they run one after another
+const MAX_BATCH_JOBS = 50;
+const browserPool = createBrowserPool({
+  launch: () => puppeteer.launch({
+    headless: true,
+    defaultViewport: null,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'] // For running in various environments
+  }),
+  maxPages: parseInt(process.env.WHEN2MEET_BROWSER_PAGES, 10) || 2,
+  queueTimeoutMs: (parseInt(process.env.WHEN2MEET_BROWSER_QUEUE_TIMEOUT, 10) || 30) * 1000,
+  taskTimeoutMs: browserTaskTimeoutMs
+});
+
+// Named availability profiles, stored in WHEN2MEET_PROFILES_FILE (default ~/.when2meet-mcp/profiles.json)
+const profileStore = createProfileStore({
+  filePath: process.env.WHEN2MEET_PROFILES_FILE || path.join(os.homedir(), ".when2meet-mcp", "profiles.json")
+});
+
+// When2Meet passwords, encrypted with WHEN2MEET_CREDENTIAL_KEY and stored in WHEN2MEET_CREDENTIALS_FILE
+// (default ~/.when2meet-mcp/credentials.json). Without a key the store is disabled.
+const credentialStore = createCredentialStore({
+  filePath: process.env.WHEN2MEET_CREDENTIALS_FILE || path.join(os.homedir(), ".when2meet-mcp", "credentials.json"),
+  passphrase: process.env.WHEN2MEET_CREDENTIAL_KEY || undefined
+});
+
+// Tools that keep data on this machine for whoever runs the server, left out when serving remote clients:
+// profiles and stored passwords are shared by every session
+const LOCAL_TOOLS = new Set([
+  "create-availability-profile", "list-availability-profiles", "delete-availability-profile", "apply-profile",
+  "save-credential", "list-credentials", "delete-credential"
+]);
+
+// Resource URI -> servers (one per client session) subscribed to it
+const resourceSubscribers = new Map();
+
+// Poll subscribed events and tell the subscribed sessions when their resources change.
+// WHEN2MEET_POLL_INTERVAL sets the polling interval in seconds (default 60).
+const eventWatcher = createEventWatcher({
+  fetchEventDetails: eventUrl => getWhen2MeetEventDetails(eventUrl, { fresh: true }),
+  onChange: uri => {
+    (resourceSubscribers.get(uri) || []).forEach(subscriber => {
+      subscriber.server.sendResourceUpdated({ uri }).catch(() => {});
+    });
+  },
+  intervalMs: (parseInt(process.env.WHEN2MEET_POLL_INTERVAL, 10) || 60) * 1000,
+  onError: (error, eventUrl) => logger.warning("Polling a subscribed event failed", { eventUrl, error })
 });
 
 /**
- * Tool: get-event-details
- * Extracts event information from a When2Meet URL including name, dates, and available time slots.
- * 
- * @param {string} eventUrl - The full URL of the When2Meet event
- * @returns Event name, date range, and available time slots with timestamps
+ * Helper function to subscribe a session's server to a resource URI
  */
-server.tool(
-  "get-event-details",
-  { 
-    eventUrl: z.string().url("Please provide a valid When2Meet URL")
-  },
-  async ({ eventUrl }) => {
-    try {
-      // Validate URL is from when2meet
-      if (!eventUrl.includes("when2meet.com")) {
-        throw new Error("The provided URL is not a When2Meet URL");
-      }
-      
-      const eventDetails = await getWhen2MeetEventDetails(eventUrl);
-      
-      // Create a more detailed content response
-      let contentText = `Event: ${eventDetails.name}\nDates: ${eventDetails.dateRange}\n`;
-      
-      // Add formatted availability information if available
+async function subscribeResource(server, uri) {
+  await eventWatcher.subscribe(uri, parseEventResourceUri(uri));
+  if (!resourceSubscribers.has(uri)) {
+    resourceSubscribers.set(uri, new Set());
+  }
+  resourceSubscribers.get(uri).add(server);
+}
 
-      
-      
-      // Directly unravel all the data needed by generate-availability-prompt
-      // const result = {
-      //   content: [{
-      //     type: "text",
-      //     text: contentText
-      //   }],
-      //   name: eventDetails.name,
-      //   dateRange: eventDetails.dateRange,
-      //   url: eventDetails.url
-      // };
-      
-      // // Add timeslot data directly to the top level
-      // if (eventDetails.availableTimeslots) {
-      //   result.availableTimeslots = eventDetails.availableTimeslots;
-      //   result.dayGroups = eventDetails.availableTimeslots.dayGroups;
-      //   result.allTimeslots = eventDetails.availableTimeslots.allTimeslots;
-      //   result.formattedAvailability = eventDetails.availableTimeslots.formattedAvailability;
-      // }
-
-      // Convert eventDetails object to a string before returning
-      const eventDetailsString = JSON.stringify(eventDetails);
-
-      // Directly unravel all the data needed by generate-availability-prompt
-      const result = {
-        content: [{
-          type: "text",
-          text: eventDetailsString
-        }],
-        eventDetailsString: eventDetailsString
-      };
+/**
+ * Helper function to unsubscribe a session's server from a resource URI; the URI stops being
+ * polled once no session is subscribed to it
+ */
+function unsubscribeResource(server, uri) {
+  const subscribers = resourceSubscribers.get(uri);
+  if (!subscribers) {
+    return;
+  }
+  subscribers.delete(server);
+  if (subscribers.size === 0) {
+    resourceSubscribers.delete(uri);
+    eventWatcher.unsubscribe(uri);
+  }
+}
 
-      return result;
-    } catch (error) {
-      return {
-        content: [{
-          type: "text",
-          text: `Error retrieving event details: ${error.message || "Unknown error"}`
-        }],
-        error: true,
-        errorMessage: error.message || "Unknown error"
+/**
+ * Helper function to drop every subscription of a session's server when its session closes
+ */
+function dropSubscriptions(server) {
+  [...resourceSubscribers.keys()].forEach(uri => unsubscribeResource(server, uri));
+}
+
+/**
+ * Create an MCP server with all the When2Meet tools, resources and prompts. Each client session
+ * gets its own server; they share the snapshot cache, browser pool, profiles and preferences.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.hosted] - Serving remote clients over HTTP: leave out the profile and credential
+ *   tools and refuse options that read local files or stored passwords (default false)
+ * @returns {McpServer} A server ready to be connected to a transport
+ */
+function createServer({ hosted = false } = {}) {
+  const server = new McpServer({
+    name: "when2meet-availability-helper",
+    version: "1.0.0",
+    description: "MCP server for interacting with When2Meet scheduling services"
+  });
+
+  // Lowest level of the log entries this session's client gets, set with logging/setLevel
+  let clientLogLevel = logger.getLevel();
+
+  // eventKey -> { snapshot, checkedAt } of this session's last get-event-changes call for the event
+  const changeChecks = new Map();
+
+  // "If needed" slots marked in this session, which When2Meet itself can't store
+  const preferenceStore = createPreferenceStore();
+
+  // Refuse an option that reads or writes this machine's files or stored passwords when serving remote clients
+  const assertLocalOption = (used, option) => {
+    if (hosted && used) {
+      throw new Error(`${option} is not available on a hosted server`);
+    }
+  };
+
+  // Give every tool call a correlation ID for its log entries, log its duration, and keep the passwords
+  // it handles and the tokens out of its logs and error messages. A hosted server skips the LOCAL_TOOLS.
+  const registerTool = server.registerTool.bind(server);
+  server.registerTool = (name, config, handler) => hosted && LOCAL_TOOLS.has(name) ? undefined :
+    registerTool(name, config, async (...args) => {
+      const extra = args[args.length - 1];
+      const callId = crypto.randomUUID();
+      const notify = (level, entry) => {
+        if (isLevelEnabled(level, clientLogLevel)) {
+          extra.sendNotification({ method: "notifications/message", params: { level, logger: entry.logger, data: entry } })
+            .catch(() => {});
+        }
       };
+
+      return withSecrets(() => logger.runWithContext({ callId, tool: name, notify }, async () => {
+        const started = Date.now();
+        logger.debug("Tool call started");
+        const result = redactToolResult(await handler(...args));
+        logger.log(result.isError ? "warning" : "info", "Tool call finished", {
+          durationMs: Date.now() - started,
+          isError: Boolean(result.isError)
+        });
+        return { ...result, _meta: { ...result._meta, callId } };
+      }));
+    });
+
+  /**
+   * Tool: get-event-details
+   * Extracts event information from a When2Meet URL including name, dates, available time slots,
+   * and the availability other participants have already entered.
+   * 
+   * @param {string} eventUrl - The full URL of the When2Meet event
+   * @param {string} timezone - Optional IANA timezone for day grouping and time labels
+   * @returns Event name, date range, available time slots with timestamps, participants and per-slot availability
+   */
+  server.registerTool(
+    "get-event-details",
+    {
+      description: "Extract the name, dates, time slots and everyone's availability from a When2Meet event URL",
+      inputSchema: { 
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.eventDetailsOutput
+    },
+    async ({ eventUrl, timezone }) => {
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        assertTimeZone(timezone);
+
+        const eventDetails = await getWhen2MeetEventDetails(eventUrl, { timeZone: timezone });
+        if (timezone) {
+          eventDetails.timezone = timezone;
+        }
+
+        // Return the event details as structured content, with a JSON copy for clients that only read text
+        const result = {
+          content: [{
+            type: "text",
+            text: JSON.stringify(eventDetails)
+          }],
+          structuredContent: eventDetails
+        };
+
+        return result;
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error retrieving event details: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
     }
-  }
-);
+  );
 
-/**
- * Tool: generate-availability-prompt
- * Creates a structured selection prompt with all available time slots and their timestamps.
- * 
- * @param {object} eventDetails - Event details from get-event-details tool
- * @returns Formatted prompt with time slot codes and timestamp information
- */
-server.tool(
-  "generate-availability-prompt",
-  {
-    eventDetails: z.object({
-      name: z.string(),
-      dateRange: z.string(),
-      timeSlots: z.array(z.any()).optional(),
-      availableTimeslots: z.record(z.any()).optional()
-    })
-  },
-  async ({ eventDetails }) => {
-    try {
-      // Check if we have available time slots data
-      if (!eventDetails.availableTimeslots || !eventDetails.availableTimeslots.dayGroups) {
-        throw new Error("Event details are missing time slot information");
+  /**
+   * Tool: generate-availability-prompt
+   * Creates a structured selection prompt with all available time slots and their timestamps.
+   * 
+   * @param {object} eventDetails - Event details from get-event-details tool
+   * @param {string} timezone - Optional IANA timezone; defaults to the one used for get-event-details
+   * @returns Formatted prompt with time slot codes and timestamp information
+   */
+  server.registerTool(
+    "generate-availability-prompt",
+    {
+      description: "Build a selection prompt with a code and timestamp for every time slot of an event",
+      inputSchema: {
+        eventDetails: z.object({
+          name: z.string(),
+          dateRange: z.string(),
+          timezone: z.string().optional(),
+          timeSlots: z.array(z.any()).optional(),
+          availableTimeslots: z.record(z.any()).optional()
+        }),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.availabilityPromptOutput
+    },
+    async ({ eventDetails, timezone }) => {
+      try {
+        const promptData = buildAvailabilityPrompt(eventDetails, timezone);
+
+        return {
+          content: [{
+            type: "text",
+            text: promptData.selectionPrompt
+          }],
+          structuredContent: promptData
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error generating availability prompt: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
       }
-      
-      const days = eventDetails.availableTimeslots.dayGroups;
-      const allSlots = eventDetails.availableTimeslots.allTimeslots;
-      
-      // Generate a formatted selection prompt for each day
-      const dayPrompts = days.map((day, dayIndex) => {
-        // Create a header for the day
-        const dayHeader = `${day.fullDate} (${day.dayName}):\n`;
-        
-        // Get all time slots for this day
-        const daySlots = day.slots.sort((a, b) => a.timestamp - b.timestamp);
-        
-        // Group time slots into 15-minute blocks
-        const timeSlotGroups = [];
-        for (let i = 0; i < daySlots.length; i++) {
-          const slot = daySlots[i];
-          const date = new Date(slot.timestamp * 1000);
-          const formattedTime = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-          
-          timeSlotGroups.push({
-            id: `d${dayIndex}t${i}`,
-            timestamp: slot.timestamp,
-            time: formattedTime,
-            readableTime: slot.readableTime
-          });
+    }
+  );
+
+  /**
+   * Tool: parse-availability-selections
+   * Converts selection codes, natural-language phrases or direct timestamps into actual When2Meet timestamps.
+   * Handles multiple selection formats including day codes, time-of-day patterns, phrases such as
+   * "weekdays 9-5, not Friday", and direct timestamps.
+   * 
+   * @param {string} selections - User's selections (space or comma separated)
+   * @param {object} promptData - Data from generate-availability-prompt tool
+   * @param {string} timezone - Optional IANA timezone for morning/afternoon/evening and labels
+   * @returns Array of UTC timestamps, human-readable formatted times and warnings for unparsed fragments
+   */
+  server.registerTool(
+    "parse-availability-selections",
+    {
+      description: "Turn slot codes, phrases such as \"weekdays 9-5, not Friday\" or timestamps into When2Meet timestamps",
+      inputSchema: {
+        selections: z.string(),
+        promptData: z.object({
+          dayGroups: z.array(z.any()),
+          slotLookup: z.record(z.number()).optional(),
+          timezone: z.string().optional()
+        }),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.parsedSelectionsOutput
+    },
+    async ({ selections, promptData, timezone }) => {
+      try {
+        const { dayGroups, slotLookup } = promptData;
+        const timeZone = timezone || promptData.timezone;
+        assertTimeZone(timeZone);
+        const selectedTimestamps = [];
+        const ifNeeded = new Set();
+        const warnings = [];
+
+        // Check if the user entered direct timestamps (comma-separated numbers)
+        if (selections.match(/^\s*\d{6,}\s*,\s*\d{6,}/)) {
+          // Parse comma-separated timestamps
+          const timestampStrings = selections.split(',').map(s => s.trim());
+          for (const tsStr of timestampStrings) {
+            const timestamp = parseInt(tsStr, 10);
+            if (!isNaN(timestamp)) {
+              selectedTimestamps.push(timestamp);
+            }
+          }
+        } else {
+          // Parse slot codes and natural-language phrases
+          const parsed = parseSelections(selections, { dayGroups, slotLookup, timeZone });
+          selectedTimestamps.push(...parsed.timestamps);
+          parsed.ifNeeded.forEach(timestamp => ifNeeded.add(timestamp));
+          warnings.push(...parsed.warnings);
         }
-        
-        // Format the time slots for this day
-        const timeSlotOptions = timeSlotGroups.map(slot => 
-          `[${slot.id}] ${slot.time} (${slot.timestamp})`
-        ).join('\n');
-        
-        return `${dayHeader}${timeSlotOptions}\n`;
-      }).join('\n');
-      
-      // Build the complete prompt
-      const selectionPrompt = `
-Please select your available time slots for: ${eventDetails.name}
 
-Enter the IDs of the time slots you're available for (e.g., d0t0 d1t2 d2t1):
-${dayPrompts}
+        // Remove duplicates
+        const uniqueTimestamps = [...new Set(selectedTimestamps)];
 
-You can also use these shorthand options:
-- To select all time slots for a day, enter: day{n} (e.g., day0 for the first day)
-- To select all morning slots (before noon), enter: morning{n} (e.g., morning0)
-- To select all afternoon slots (noon-5pm), enter: afternoon{n} (e.g., afternoon0)
-- To select all evening slots (after 5pm), enter: evening{n} (e.g., evening0)
+        // Generate human-readable format of selected times
+        const readableSelections = [];
+        const timestampDetails = [];
 
-Or if you prefer, you can directly enter UTC timestamps separated by commas:
-1744549200, 1744550100, 1744550100
+        // Create detailed timestamp information
+        uniqueTimestamps.forEach(timestamp => {
+          // Find the slot in the original data to get its readable format
+          let readableTime = formatTime(timestamp, timeZone);
+          let originalFormat = null;
 
-Enter your selections (using any of the formats above):
-`;
-      
-      // Create slot lookup tables for efficient parsing
-      const slotLookup = {};
-      days.forEach((day, dayIndex) => {
-        day.slots.forEach((slot, slotIndex) => {
-          const slotId = `d${dayIndex}t${slotIndex}`;
-          slotLookup[slotId] = slot.timestamp;
+          for (const day of dayGroups) {
+            const matchingSlot = day.slots.find(slot => slot.timestamp === timestamp);
+            if (matchingSlot) {
+              originalFormat = matchingSlot.readableTime;
+              break;
+            }
+          }
+
+          timestampDetails.push({
+            timestamp,
+            date: formatSlotDate(timestamp, timeZone),
+            time: readableTime,
+            originalFormat,
+            preference: ifNeeded.has(timestamp) ? "ifNeeded" : "preferred"
+          });
         });
-      });
-      
-      return {
-        content: [{
-          type: "text",
-          text: selectionPrompt
-        }],
-        dayGroups: days,
-        slotLookup,
-        selectionPrompt
-      };
-    } catch (error) {
-      return {
-        content: [{
-          type: "text",
-          text: `Error generating availability prompt: ${error.message || "Unknown error"}`
-        }],
-        error: true,
-        errorMessage: error.message || "Unknown error"
-      };
-    }
-  }
-);
 
-/**
- * Tool: parse-availability-selections
- * Converts selection codes or direct timestamps into actual When2Meet timestamps.
- * Handles multiple selection formats including day codes, time-of-day patterns, and direct timestamps.
- * 
- * @param {string} selections - User's selections (space or comma separated)
- * @param {object} promptData - Data from generate-availability-prompt tool
- * @returns Array of UTC timestamps and human-readable formatted times
- */
-server.tool(
-  "parse-availability-selections",
-  {
-    selections: z.string(),
-    promptData: z.object({
-      dayGroups: z.array(z.any()),
-      slotLookup: z.record(z.number()).optional()
-    })
-  },
-  async ({ selections, promptData }) => {
-    try {
-      const { dayGroups, slotLookup } = promptData;
-      const selectedTimestamps = [];
-      
-      // Check if the user entered direct timestamps (comma-separated numbers)
-      if (selections.match(/^\s*\d+\s*,\s*\d+/)) {
-        // Parse comma-separated timestamps
-        const timestampStrings = selections.split(',').map(s => s.trim());
-        for (const tsStr of timestampStrings) {
-          const timestamp = parseInt(tsStr, 10);
-          if (!isNaN(timestamp)) {
-            selectedTimestamps.push(timestamp);
+        // Group by date
+        const groupedByDate = {};
+        timestampDetails.forEach(detail => {
+          if (!groupedByDate[detail.date]) {
+            groupedByDate[detail.date] = [];
           }
+          groupedByDate[detail.date].push(detail);
+        });
+
+        // Format grouped timestamps
+        Object.keys(groupedByDate).forEach(date => {
+          const times = groupedByDate[date]
+            .map(detail => detail.preference === "ifNeeded" ? `${detail.time} (if needed)` : detail.time)
+            .join(', ');
+          readableSelections.push(`${date}: ${times}`);
+        });
+
+        let text = `Selected ${uniqueTimestamps.length} time slots` +
+          `${ifNeeded.size > 0 ? ` (${ifNeeded.size} only if needed)` : ''}:\n${readableSelections.join('\n')}`;
+        if (warnings.length > 0) {
+          text += `\n\nWarnings:\n${warnings.map(warning => `- ${warning}`).join('\n')}`;
         }
-      } else {
-        // Parse the selections string (space-separated codes)
-        const selectionParts = selections.trim().split(/\s+/);
-        
-        for (const selection of selectionParts) {
-          // Check if it's a specific time slot (e.g., d0t2)
-          const slotMatch = selection.match(/^d(\d+)t(\d+)$/i);
-          if (slotMatch && slotLookup) {
-            const slotId = selection.toLowerCase();
-            if (slotLookup[slotId]) {
-              selectedTimestamps.push(slotLookup[slotId]);
-            }
-            continue;
+
+        // Return both the timestamps and their details
+        return {
+          content: [{
+            type: "text",
+            text
+          }],
+          structuredContent: {
+            timestamps: uniqueTimestamps,
+            ifNeededTimestamps: [...ifNeeded].sort((a, b) => a - b),
+            timestampDetails,
+            readableSelections,
+            warnings
           }
-          
-          // Check if it's an entire day (e.g., day0)
-          const dayMatch = selection.match(/^day(\d+)$/i);
-          if (dayMatch) {
-            const dayIndex = parseInt(dayMatch[1], 10);
-            
-            if (dayGroups[dayIndex]) {
-              const allDayTimestamps = [];
-              dayGroups[dayIndex].slots.forEach(slot => {
-                allDayTimestamps.push(slot.timestamp);
-              });
-              selectedTimestamps.push(...allDayTimestamps);
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error parsing selections: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: mark-when2meet-availability
+   * Marks selected time slots as available on a When2Meet event.
+   * By default signs in and posts to When2Meet's save endpoint directly; the "browser" method
+   * uses browser automation to log in and click on time slots instead.
+   * 
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {string} userName - Name to use for the When2Meet login
+   * @param {string} password - Optional password if the event requires it
+   * @param {boolean} useStoredCredential - Optional; sign in with the password stored with save-credential instead
+   * @param {number[]} timestamps - Array of UTC timestamps to mark
+   * @param {number[]} ifNeededTimestamps - Optional timestamps among them you'd rather not meet in; When2Meet
+   *   saves them as available, and the ranking tools weight them lower
+   * @param {string} mode - Optional "add" (default), "remove" or "replace"
+   * @param {string} method - Optional "direct" (default) or "browser"
+   * @param {boolean} verify - Optional; reload the event afterwards and compare saved slots (default true)
+   * @returns Number of added, removed and unchanged time slots, per-slot results, preferences, verification diff and result URL
+   */
+  server.registerTool(
+    "mark-when2meet-availability",
+    {
+      description: "Add, remove or replace your available time slots on a When2Meet event",
+      inputSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        userName: z.string().min(1, "Username is required"),
+        password: z.string().optional(),
+        useStoredCredential: z.boolean().optional(),
+        timestamps: z.array(z.number()),
+        ifNeededTimestamps: z.array(z.number()).optional(),
+        mode: z.enum(["add", "remove", "replace"]).optional(),
+        method: z.enum(["direct", "browser"]).optional(),
+        verify: z.boolean().optional()
+      },
+      outputSchema: outputSchemas.markAvailabilityOutput
+    },
+    async ({ eventUrl, userName, password, useStoredCredential = false, timestamps, ifNeededTimestamps = [], mode = "add", method = "direct", verify = true }) => {
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        assertLocalOption(useStoredCredential, "useStoredCredential");
+        password = await resolvePassword(eventUrl, userName, password, useStoredCredential);
+
+        // An empty replace clears all of the user's availability
+        if (timestamps.length === 0 && mode !== "replace") {
+          throw new Error("At least one timestamp is required");
+        }
+        assertIfNeededSubset(timestamps, ifNeededTimestamps);
+
+        const result = method === "browser"
+          ? await markWhen2MeetAvailability(eventUrl, userName, password, timestamps, mode)
+          : await saveWhen2MeetAvailability(eventUrl, userName, password, timestamps, mode);
+        await expireCachedEvent(eventUrl);
+
+        let text = `Successfully marked ${result.markedCount} time slots as available, ` +
+          `removed ${result.removedCount} and left ${result.unchangedCount} unchanged.`;
+        if (result.failures.length > 0) {
+          text += `\nFailed to mark ${result.failures.length} time slots:\n` +
+            result.failures.map(failure => `  ${failure.timestamp}: ${failure.error}`).join('\n');
+        }
+
+        // Reload the event and compare what was requested with what When2Meet saved
+        if (verify) {
+          result.verification = await verifySavedAvailability(eventUrl, userName, result.personId, timestamps, mode);
+
+          if (mode === "remove") {
+            text += `\nVerified ${timestamps.length - result.verification.saved.length} of ${timestamps.length} requested time slots were removed.`;
+            if (result.verification.saved.length > 0) {
+              text += `\nStill saved: ${result.verification.saved.join(', ')}`;
+            }
+          } else {
+            text += `\nVerified ${result.verification.saved.length} of ${timestamps.length} requested time slots were saved.`;
+            if (result.verification.missing.length > 0) {
+              text += `\nNot saved: ${result.verification.missing.join(', ')}`;
+            }
+            if (mode === "replace" && result.verification.extra.length > 0) {
+              text += `\nStill saved but not requested: ${result.verification.extra.join(', ')}`;
             }
-            continue;
           }
-          
-          // Check if it's a time of day (morning, afternoon, evening)
-          const timeOfDayMatch = selection.match(/^(morning|afternoon|evening)(\d+)$/i);
-          if (timeOfDayMatch) {
-            const timeOfDay = timeOfDayMatch[1].toLowerCase();
-            const dayIndex = parseInt(timeOfDayMatch[2], 10);
-            
-            if (dayGroups[dayIndex]) {
-              const day = dayGroups[dayIndex];
-              const filteredSlots = day.slots.filter(slot => {
-                const date = new Date(slot.timestamp * 1000);
-                const hour = date.getHours();
-                
-                if (timeOfDay === 'morning') {
-                  return hour >= 6 && hour < 12; // 6am to 11:59am
-                } else if (timeOfDay === 'afternoon') {
-                  return hour >= 12 && hour < 17; // 12pm to 4:59pm
-                } else if (timeOfDay === 'evening') {
-                  return hour >= 17; // 5pm onwards
-                }
-                return false;
-              });
-              
-              filteredSlots.forEach(slot => {
-                selectedTimestamps.push(slot.timestamp);
-              });
+        }
+        result.preferences = recordPreferences(preferenceStore, eventUrl, userName, { mode, timestamps, ifNeeded: ifNeededTimestamps }, result);
+
+        return {
+          content: [{
+            type: "text", 
+            text
+          }],
+          structuredContent: result
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text", 
+            text: `Error marking availability: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: get-my-availability
+   * Reads back the time slots a participant has saved on a When2Meet event.
+   *
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {string} userName - Name the participant signed in with
+   * @param {string} timezone - Optional IANA timezone for the human-readable times
+   * @returns Saved timestamps and human-readable times grouped by date
+   */
+  server.registerTool(
+    "get-my-availability",
+    {
+      description: "Read back the time slots a participant has saved on a When2Meet event",
+      inputSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        userName: z.string().min(1, "Username is required"),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.myAvailabilityOutput
+    },
+    async ({ eventUrl, userName, timezone }) => {
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        assertTimeZone(timezone);
+
+        const eventDetails = await getWhen2MeetEventDetails(eventUrl);
+        const saved = getParticipantAvailability(eventDetails, userName);
+
+        if (!saved.participant) {
+          return {
+            content: [{
+              type: "text",
+              text: `${userName} has not responded to ${eventDetails.name} yet.`
+            }],
+            structuredContent: {
+              found: false,
+              timestamps: []
             }
+          };
+        }
+
+        // Group the saved times by date
+        const readableSelections = describeTimestampsByDate(saved.timestamps, timezone);
+
+        return {
+          content: [{
+            type: "text",
+            text: `${saved.participant.name} has ${saved.timestamps.length} time slots saved:\n${readableSelections.join('\n')}`
+          }],
+          structuredContent: {
+            found: true,
+            participant: saved.participant,
+            timestamps: saved.timestamps,
+            readableSelections
           }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error reading availability: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: find-best-meeting-times
+   * Ranks contiguous windows of the event by how many participants are available for the whole window.
+   *
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {number} durationMinutes - Length of the meeting in minutes
+   * @param {string[]} requiredAttendees - Optional names that must be available for the whole window
+   * @param {string[]} optionalAttendees - Optional names that are nice to have
+   * @param {number} minAttendees - Optional minimum number of available attendees
+   * @param {number} limit - Optional maximum number of windows to return
+   * @param {object} ifNeeded - Optional participant name -> timestamps they are only available in if needed,
+   *   on top of the ones marked through this server
+   * @param {number} ifNeededWeight - Optional weight (0-1) of an attendee who is only available if needed (default 0.5)
+   * @param {string} timezone - Optional IANA timezone for dates and times
+   * @returns Ranked windows with who is in, who is only in if needed and who is out of each one
+   */
+  server.registerTool(
+    "find-best-meeting-times",
+    {
+      description: "Rank meeting windows of a given length by how many participants are available",
+      inputSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        durationMinutes: z.number().int().positive("Duration must be a positive number of minutes"),
+        requiredAttendees: z.array(z.string()).optional(),
+        optionalAttendees: z.array(z.string()).optional(),
+        minAttendees: z.number().int().min(0).optional(),
+        limit: z.number().int().positive().optional(),
+        ifNeeded: z.record(z.array(z.number())).optional(),
+        ifNeededWeight: z.number().min(0).max(1).optional(),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.meetingTimesOutput
+    },
+    async ({ eventUrl, durationMinutes, requiredAttendees, optionalAttendees, minAttendees, limit, ifNeeded, ifNeededWeight, timezone }) => {
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        assertTimeZone(timezone);
+
+        const eventDetails = await getWhen2MeetEventDetails(eventUrl, { timeZone: timezone });
+        const result = findBestMeetingTimes(eventDetails, {
+          durationMinutes,
+          requiredAttendees,
+          optionalAttendees,
+          minAttendees,
+          limit,
+          ifNeeded: { ...getRecordedPreferences(preferenceStore, eventUrl), ...ifNeeded },
+          ifNeededWeight,
+          timeZone: timezone
+        });
+
+        // Summarize each window on its own line
+        const windowLines = result.windows.map((window, index) => {
+          const missing = window.unavailable.length > 0 ? ` (missing: ${window.unavailable.join(', ')})` : '';
+          const ifNeededNote = window.ifNeeded.length > 0 ? ` (if needed: ${window.ifNeeded.join(', ')})` : '';
+          return `${index + 1}. ${window.date} ${window.startTime} - ${window.endTime}: ` +
+            `${window.availableCount}/${result.attendeeCount} available${ifNeededNote}${missing}`;
+        });
+
+        let text = result.windows.length > 0
+          ? `Best ${result.durationMinutes}-minute windows for ${eventDetails.name}:\n${windowLines.join('\n')}`
+          : `No ${result.durationMinutes}-minute windows match the requested attendees for ${eventDetails.name}.`;
+
+        if (result.durationMinutes !== durationMinutes) {
+          text += `\n\n${durationMinutes} minutes was rounded up to whole ${result.slotMinutes}-minute slots.`;
+        }
+
+        if (result.unknownAttendees.length > 0) {
+          text += `\n\nThese attendees have not responded to the poll: ${result.unknownAttendees.join(', ')}`;
         }
+
+        return {
+          content: [{
+            type: "text",
+            text
+          }],
+          structuredContent: result
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error finding meeting times: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
       }
-      
-      // Remove duplicates
-      const uniqueTimestamps = [...new Set(selectedTimestamps)];
-      
-      // Generate human-readable format of selected times
-      const readableSelections = [];
-      const timestampDetails = [];
-      
-      // Create detailed timestamp information
-      uniqueTimestamps.forEach(timestamp => {
-        const date = new Date(timestamp * 1000);
-        
-        // Find the slot in the original data to get its readable format
-        let readableTime = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        let originalFormat = null;
-        
-        for (const day of dayGroups) {
-          const matchingSlot = day.slots.find(slot => slot.timestamp === timestamp);
-          if (matchingSlot) {
-            originalFormat = matchingSlot.readableTime;
-            break;
+    }
+  );
+
+  /**
+   * Tool: import-calendar-availability
+   * Works out free time in a When2Meet event from an iCalendar (.ics) file, expanding recurring events.
+   *
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {string} ics - Optional ICS text
+   * @param {string} icsPath - Optional path to a local .ics file (used when ics is not given)
+   * @param {number} bufferMinutes - Optional minutes to keep free before and after each busy event
+   * @param {string} tentativeAs - Optional "busy" (default) or "free" for tentative events
+   * @param {string} timezone - Optional IANA timezone for floating calendar times and the human-readable times
+   * @returns Free slot timestamps ready for mark-when2meet-availability, grouped by date, and the busy events found
+   */
+  server.registerTool(
+    "import-calendar-availability",
+    {
+      description: "Find your free time slots in a When2Meet event from an iCalendar (.ics) file",
+      inputSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        ics: z.string().optional(),
+        icsPath: z.string().optional(),
+        bufferMinutes: z.number().int().min(0).optional(),
+        tentativeAs: z.enum(["busy", "free"]).optional(),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.calendarImportOutput
+    },
+    async ({ eventUrl, ics, icsPath, bufferMinutes = 0, tentativeAs = "busy", timezone }) => {
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        assertTimeZone(timezone);
+
+        if (!ics && !icsPath) {
+          throw new Error("Provide either ics (calendar text) or icsPath (path to a .ics file)");
+        }
+        assertLocalOption(icsPath, "icsPath");
+        const calendarText = ics || await fs.promises.readFile(icsPath, 'utf8');
+
+        const eventDetails = await getWhen2MeetEventDetails(eventUrl, { timeZone: timezone });
+        if (!eventDetails.availableTimeslots) {
+          throw new Error("No time slots found in the event");
+        }
+        if (eventDetails.eventType === 'daysOfTheWeek') {
+          throw new Error(`${eventDetails.name} is a days-of-the-week poll with no dates to compare a calendar against; ` +
+            `describe your usual week with parse-availability-selections instead`);
+        }
+
+        const result = findFreeSlots(eventDetails, calendarText, { bufferMinutes, tentativeAs, timeZone: timezone });
+
+        // Group the free times by date
+        const readableSelections = describeTimestampsByDate(result.timestamps, timezone);
+
+        const busyEvents = result.busyIntervals.map(interval => ({
+          ...interval,
+          readable: `${formatShortDate(interval.start, timezone)} ${formatTime(interval.start, timezone)} - ` +
+            `${formatShortDate(interval.end, timezone)} ${formatTime(interval.end, timezone)}` +
+            (interval.summary ? ` ${interval.summary}` : '')
+        }));
+
+        return {
+          content: [{
+            type: "text",
+            text: `Found ${result.timestamps.length} free time slots out of ${result.totalSlots} in ${eventDetails.name} ` +
+              `(${busyEvents.length} busy calendar events overlap the event):\n${readableSelections.join('\n')}\n\n` +
+              `Pass the timestamps to mark-when2meet-availability to save them.`
+          }],
+          structuredContent: {
+            timestamps: result.timestamps,
+            readableSelections,
+            busyEvents
+          }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error importing calendar: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: create-when2meet-event
+   * Creates a new When2Meet poll for specific dates or days of the week.
+   *
+   * @param {string} name - Event name
+   * @param {string[]} dates - Specific dates as YYYY-MM-DD (or use daysOfWeek)
+   * @param {string[]} daysOfWeek - Day names such as "Monday" for a weekly poll (or use dates)
+   * @param {string|number} earliestTime - Earliest time of day, e.g. "9am", "09:00" or 9
+   * @param {string|number} latestTime - Latest time of day, e.g. "5pm", "17:00" or 17
+   * @param {string} timezone - Optional IANA timezone of the poll (defaults to the server's)
+   * @returns The new event's URL and ID
+   */
+  server.registerTool(
+    "create-when2meet-event",
+    {
+      description: "Create a new When2Meet poll for specific dates or days of the week",
+      inputSchema: {
+        name: z.string().min(1, "Event name is required"),
+        dates: z.array(z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Dates must be YYYY-MM-DD")).optional(),
+        daysOfWeek: z.array(z.string()).optional(),
+        earliestTime: z.union([z.string(), z.number()]),
+        latestTime: z.union([z.string(), z.number()]),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.createEventOutput
+    },
+    async ({ name, dates, daysOfWeek, earliestTime, latestTime, timezone }) => {
+      try {
+        assertTimeZone(timezone);
+        const form = buildNewEventForm({ name, dates, daysOfWeek, earliestTime, latestTime, timeZone: timezone });
+        const created = await createEvent(form);
+
+        const when = form.dateType === 'SpecificDates'
+          ? form.possibleDates.join(', ')
+          : daysOfWeek.join(', ');
+
+        return {
+          content: [{
+            type: "text",
+            text: `Created "${name}" (${when}, ${form.earliestHour}:00 - ${form.latestHour}:00 ${form.timeZone}): ${created.eventUrl}`
+          }],
+          structuredContent: {
+            eventUrl: created.eventUrl,
+            eventId: created.eventId,
+            timezone: form.timeZone
           }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error creating event: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: get-event-changes
+   * Compares an event with an earlier snapshot to show who responded and what changed since then.
+   *
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {string} since - Optional point in time to compare with: an ISO date/time, a UTC timestamp,
+   *   "yesterday" or a relative time such as "24h", "2d" or "90m". Defaults to the previous call for the event
+   *   in this session, or to the previous snapshot on the first call
+   * @param {string} timezone - Optional IANA timezone for the human-readable times
+   * @returns New and removed participants, slots added or removed per person and how the best slots changed
+   */
+  server.registerTool(
+    "get-event-changes",
+    {
+      description: "Show who responded and whose availability changed since an earlier snapshot of a When2Meet event",
+      inputSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        since: z.string().optional(),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.eventChangesOutput
+    },
+    async ({ eventUrl, since, timezone }) => {
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        assertTimeZone(timezone);
+
+        const eventKey = getEventKey(eventUrl);
+        const sinceTime = since !== undefined ? parseSince(since) : null;
+
+        // Always compare against the event as it is right now
+        await getWhen2MeetEventDetails(eventUrl, { fresh: true });
+        const snapshots = await snapshotCache.history(eventKey);
+        const current = snapshots[snapshots.length - 1];
+        let previous;
+        let comparedAt;
+        if (sinceTime !== null) {
+          previous = await snapshotCache.findBefore(eventKey, sinceTime);
+          comparedAt = previous && previous.takenAt;
+        } else {
+          // Pick up where this session's last call left off, so each change is reported once
+          const lastCheck = changeChecks.get(eventKey);
+          previous = lastCheck ? lastCheck.snapshot : snapshots[snapshots.length - 2] || null;
+          comparedAt = lastCheck ? lastCheck.checkedAt : previous && previous.takenAt;
+          changeChecks.set(eventKey, { snapshot: current, checkedAt: Math.floor(Date.now() / 1000) });
         }
-        
-        timestampDetails.push({
-          timestamp,
-          date: date.toLocaleDateString(),
-          time: readableTime,
-          originalFormat
+
+        const describeTime = time => `${formatSlotDate(time, timezone)} ${formatTime(time, timezone)}`;
+
+        if (!previous) {
+          return {
+            content: [{
+              type: "text",
+              text: `No snapshot of ${current.name} from ${sinceTime !== null ? `before ${describeTime(sinceTime)}` : 'an earlier check'} ` +
+                `is stored yet. The current responses have been saved, so ask again later to see what changed.`
+            }],
+            structuredContent: {
+              hasBaseline: false,
+              currentSnapshotAt: current.takenAt,
+              newParticipants: [],
+              removedParticipants: [],
+              changesByPerson: []
+            }
+          };
+        }
+
+        const changes = diffSnapshots(previous, current);
+        const lines = [];
+        if (changes.newParticipants.length > 0) {
+          lines.push(`New responses: ${changes.newParticipants.join(', ')}`);
+        }
+        if (changes.removedParticipants.length > 0) {
+          lines.push(`Removed: ${changes.removedParticipants.join(', ')}`);
+        }
+        changes.changesByPerson
+          .filter(change => !changes.newParticipants.includes(change.name) && !changes.removedParticipants.includes(change.name))
+          .forEach(change => {
+            lines.push(`${change.name}: added ${change.added.length} and removed ${change.removed.length} time slots`);
+          });
+        if (changes.bestSlots.changed) {
+          const describeBest = best => best.timestamps.length > 0
+            ? `${best.count} ${best.count === 1 ? 'person' : 'people'} at ${describeTime(best.timestamps[0])}` +
+              `${best.timestamps.length > 1 ? ` (and ${best.timestamps.length - 1} other slots)` : ''}`
+            : 'nobody available';
+          lines.push(`Best slot changed from ${describeBest(changes.bestSlots.before)} to ${describeBest(changes.bestSlots.after)}`);
+        }
+
+        return {
+          content: [{
+            type: "text",
+            text: `Changes to ${current.name} since ${describeTime(comparedAt)}:\n` +
+              (lines.length > 0 ? lines.join('\n') : 'Nothing has changed.')
+          }],
+          structuredContent: {
+            hasBaseline: true,
+            previousSnapshotAt: previous.takenAt,
+            currentSnapshotAt: current.takenAt,
+            ...changes
+          }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error getting event changes: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: mark-when2meet-availability-batch
+   * Marks availability for several people or events in one call, e.g. the same times on each week's
+   * poll of a recurring meeting, or entries on behalf of several room resources. Jobs run one after
+   * another; with the "browser" method they share one browser page. A failing job is reported and
+   * the remaining jobs still run.
+   *
+   * @param {object[]} jobs - eventUrl, userName, optional password or useStoredCredential, timestamps (with optional ifNeededTimestamps)
+   *   or a selection expression (anything parse-availability-selections understands), optional mode and optional timezone
+   * @param {string} timezone - Optional IANA timezone for selection expressions of jobs without their own
+   * @param {string} method - Optional "direct" (default) or "browser"
+   * @param {boolean} verify - Optional; reload each event afterwards and compare saved slots (default true)
+   * @returns Status, timestamps and mark results of every job, plus how many succeeded, partly succeeded or failed
+   */
+  server.registerTool(
+    "mark-when2meet-availability-batch",
+    {
+      description: "Mark availability for several people or When2Meet events in one call, with a result per job",
+      inputSchema: {
+        jobs: z.array(z.object({
+          eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+          userName: z.string().min(1, "Username is required"),
+          password: z.string().optional(),
+          useStoredCredential: z.boolean().optional(),
+          timestamps: z.array(z.number()).optional(),
+          ifNeededTimestamps: z.array(z.number()).optional(),
+          selection: z.string().optional(),
+          mode: z.enum(["add", "remove", "replace"]).optional(),
+          timezone: z.string().optional()
+        })).min(1, "At least one job is required").max(MAX_BATCH_JOBS, `At most ${MAX_BATCH_JOBS} jobs can run in one batch`),
+        timezone: z.string().optional(),
+        method: z.enum(["direct", "browser"]).optional(),
+        verify: z.boolean().optional()
+      },
+      outputSchema: outputSchemas.batchMarkOutput
+    },
+    async ({ jobs, timezone, method = "direct", verify = true }) => {
+      try {
+        assertTimeZone(timezone);
+        assertLocalOption(jobs.some(job => job.useStoredCredential), "useStoredCredential");
+
+        const results = await runAvailabilityJobs(jobs, { timezone, method, verify, preferenceStore });
+        const countStatus = status => results.filter(jobResult => jobResult.status === status).length;
+
+        const lines = results.map(jobResult => {
+          const label = `${jobResult.index + 1}. ${jobResult.userName} on ${jobResult.eventUrl}`;
+          if (jobResult.status === "failed") {
+            return `${label}: failed - ${jobResult.error}`;
+          }
+          const { markedCount, removedCount, unchangedCount, failures, verification } = jobResult.result;
+          let line = `${label}: marked ${markedCount}, removed ${removedCount}, left ${unchangedCount} unchanged`;
+          if (failures.length > 0) {
+            line += `, ${failures.length} failed`;
+          }
+          if (verification && !verification.verified) {
+            line += `, verification found ${verification.missing.length} missing and ${verification.extra.length} extra`;
+          }
+          return line + jobResult.warnings.map(warning => `\n   Warning: ${warning}`).join('');
         });
-      });
-      
-      // Group by date
-      const groupedByDate = {};
-      timestampDetails.forEach(detail => {
-        if (!groupedByDate[detail.date]) {
-          groupedByDate[detail.date] = [];
+
+        return {
+          content: [{
+            type: "text",
+            text: `Ran ${results.length} jobs: ${countStatus("succeeded")} succeeded, ` +
+              `${countStatus("partial")} partly succeeded and ${countStatus("failed")} failed.\n${lines.join('\n')}`
+          }],
+          structuredContent: {
+            results,
+            succeededCount: countStatus("succeeded"),
+            partialCount: countStatus("partial"),
+            failedCount: countStatus("failed")
+          }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error marking availability: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: create-availability-profile
+   * Saves a named availability profile that apply-profile can fill into any event.
+   *
+   * @param {string} name - Profile name, e.g. "work"
+   * @param {string} weekly - Optional weekly pattern in the selection language of parse-availability-selections,
+   *   e.g. "weekdays 10-12 and 14-17, never Friday afternoons"
+   * @param {object[]} exceptions - Optional one-off changes: date (YYYY-MM-DD), available (true to add, false
+   *   to remove), optional start and end (HH:MM, default the whole day) and an optional note
+   * @param {string} timezone - Optional IANA timezone the pattern and exceptions are written in
+   * @param {string} description - Optional description
+   * @param {boolean} replace - Optional; overwrite a profile with the same name (default false)
+   * @returns The stored profile and how many hours a week the weekly pattern covers
+   */
+  server.registerTool(
+    "create-availability-profile",
+    {
+      description: "Save a named availability profile (weekly pattern plus one-off exceptions) to fill into any event",
+      inputSchema: {
+        name: z.string().trim().min(1, "Profile name is required"),
+        weekly: z.string().optional(),
+        exceptions: z.array(z.object({
+          date: z.string(),
+          available: z.boolean(),
+          start: z.string().optional(),
+          end: z.string().optional(),
+          note: z.string().optional()
+        })).optional(),
+        timezone: z.string().optional(),
+        description: z.string().optional(),
+        replace: z.boolean().optional()
+      },
+      outputSchema: outputSchemas.profileOutput
+    },
+    async ({ name, weekly, exceptions = [], timezone, description, replace = false }) => {
+      try {
+        assertTimeZone(timezone);
+        if (!weekly && exceptions.length === 0) {
+          throw new Error("Provide a weekly pattern, exceptions or both");
         }
-        groupedByDate[detail.date].push(detail);
-      });
-      
-      // Format grouped timestamps
-      Object.keys(groupedByDate).forEach(date => {
-        const times = groupedByDate[date].map(detail => detail.time).join(', ');
-        readableSelections.push(`${date}: ${times}`);
-      });
-      
-      // Return both the timestamps and their details
-      return {
-        content: [{
-          type: "text",
-          text: `Selected ${uniqueTimestamps.length} time slots:\n${readableSelections.join('\n')}`
-        }],
-        timestamps: uniqueTimestamps,
-        timestampDetails,
-        readableSelections
-      };
-    } catch (error) {
-      return {
-        content: [{
-          type: "text",
-          text: `Error parsing selections: ${error.message || "Unknown error"}`
-        }],
-        error: true,
-        errorMessage: error.message || "Unknown error",
-        timestamps: []
-      };
+
+        const profile = { name, weekly, exceptions, timezone, description, updatedAt: new Date().toISOString() };
+        const weeklyHours = validateProfile(profile);
+        await profileStore.save(profile, { replace });
+
+        return {
+          content: [{
+            type: "text",
+            text: `Saved profile "${name}": ${weekly ? `"${weekly}" (${weeklyHours} hours a week)` : 'no weekly pattern'}` +
+              `${exceptions.length > 0 ? ` with ${exceptions.length} exceptions` : ''}` +
+              `${timezone ? ` in ${timezone}` : ''}.`
+          }],
+          structuredContent: {
+            profile,
+            weeklyHours
+          }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error creating profile: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
     }
-  }
-);
+  );
 
-/**
- * Tool: mark-when2meet-availability
- * Marks selected time slots as available on a When2Meet event.
- * Uses browser automation to log in and click on time slots.
- * 
- * @param {string} eventUrl - The When2Meet URL
- * @param {string} userName - Name to use for the When2Meet login
- * @param {string} password - Optional password if the event requires it
- * @param {number[]} timestamps - Array of UTC timestamps to mark as available
- * @returns Number of successfully marked time slots and result URL
- */
-server.tool(
-  "mark-when2meet-availability",
-  {
-    eventUrl: z.string().url("Please provide a valid When2Meet URL"),
-    userName: z.string().min(1, "Username is required"),
-    password: z.string().optional(),
-    timestamps: z.array(z.number()).min(1, "At least one timestamp is required")
-  },
-  async ({ eventUrl, userName, password, timestamps }) => {
-    try {
-      // Validate URL is from when2meet
-      if (!eventUrl.includes("when2meet.com")) {
-        throw new Error("The provided URL is not a When2Meet URL");
+  /**
+   * Tool: list-availability-profiles
+   * Lists the saved availability profiles.
+   *
+   * @returns All profiles, sorted by name
+   */
+  server.registerTool(
+    "list-availability-profiles",
+    {
+      description: "List the saved availability profiles",
+      inputSchema: {},
+      outputSchema: outputSchemas.profileListOutput
+    },
+    async () => {
+      try {
+        const profiles = await profileStore.list();
+        const lines = profiles.map(profile =>
+          `- ${profile.name}: ${profile.weekly || 'no weekly pattern'}` +
+          `${profile.exceptions.length > 0 ? ` (${profile.exceptions.length} exceptions)` : ''}` +
+          `${profile.timezone ? ` [${profile.timezone}]` : ''}` +
+          `${profile.description ? ` - ${profile.description}` : ''}`
+        );
+
+        return {
+          content: [{
+            type: "text",
+            text: profiles.length > 0
+              ? `Availability profiles:\n${lines.join('\n')}`
+              : "No availability profiles saved yet. Create one with create-availability-profile."
+          }],
+          structuredContent: {
+            profiles
+          }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error listing profiles: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
       }
-      
-      const result = await markWhen2MeetAvailability(eventUrl, userName, password, timestamps);
-      
-      return {
-        content: [{
-          type: "text", 
-          text: `Successfully marked ${result.markedCount} time slots as available.`
-        }],
-        ...result
-      };
-    } catch (error) {
-      return {
-        content: [{
-          type: "text", 
-          text: `Error marking availability: ${error.message || "Unknown error"}`
-        }],
-        error: true,
-        errorMessage: error.message || "Unknown error"
-      };
     }
-  }
-);
+  );
+
+  /**
+   * Tool: delete-availability-profile
+   * Deletes a saved availability profile.
+   *
+   * @param {string} name - Profile name
+   * @returns Whether a profile was deleted
+   */
+  server.registerTool(
+    "delete-availability-profile",
+    {
+      description: "Delete a saved availability profile",
+      inputSchema: {
+        name: z.string().trim().min(1, "Profile name is required")
+      },
+      outputSchema: outputSchemas.profileDeleteOutput
+    },
+    async ({ name }) => {
+      try {
+        const deleted = await profileStore.remove(name);
+        return {
+          content: [{
+            type: "text",
+            text: deleted ? `Deleted profile "${name}".` : `There is no profile named "${name}".`
+          }],
+          structuredContent: {
+            name,
+            deleted
+          }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error deleting profile: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: apply-profile
+   * Resolves a saved availability profile against an event's time slots and returns the timestamps,
+   * or marks them directly when a userName is given.
+   *
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {string} profile - Profile name
+   * @param {string} userName - Optional; mark the slots under this name instead of only returning them
+   * @param {string} password - Optional password for userName
+   * @param {boolean} useStoredCredential - Optional; sign in with the password stored with save-credential instead
+   * @param {string} mode - Optional "add" (default), "remove" or "replace" when marking
+   * @param {boolean} confirmClear - Optional; let "replace" clear all of userName's availability when the profile
+   *   matches no slots of the event
+   * @param {boolean} verify - Optional; reload the event after marking and compare saved slots (default true)
+   * @param {string} timezone - Optional IANA timezone for the human-readable times (default the profile's)
+   * @returns Matching timestamps, human-readable times, warnings and the mark result if the slots were marked
+   */
+  server.registerTool(
+    "apply-profile",
+    {
+      description: "Resolve a saved availability profile against a When2Meet event, and optionally mark the slots",
+      inputSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        profile: z.string().trim().min(1, "Profile name is required"),
+        userName: z.string().min(1).optional(),
+        password: z.string().optional(),
+        useStoredCredential: z.boolean().optional(),
+        mode: z.enum(["add", "remove", "replace"]).optional(),
+        confirmClear: z.boolean().optional(),
+        verify: z.boolean().optional(),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.applyProfileOutput
+    },
+    async ({ eventUrl, profile: profileName, userName, password, useStoredCredential = false, mode = "add", confirmClear = false, verify = true, timezone }) => {
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        assertTimeZone(timezone);
+
+        const profile = await profileStore.get(profileName);
+        if (!profile) {
+          throw new Error(`There is no profile named "${profileName}"`);
+        }
+
+        const eventDetails = await getWhen2MeetEventDetails(eventUrl);
+        if (!eventDetails.availableTimeslots) {
+          throw new Error("Event details are missing time slot information");
+        }
+        const { timestamps, ifNeeded, warnings } = resolveProfile(profile, eventDetails.availableTimeslots.allTimeslots);
+        const readableTimeZone = timezone || profile.timezone;
+        const readableSelections = describeTimestampsByDate(timestamps, readableTimeZone);
+
+        let text = `Profile "${profile.name}" matches ${timestamps.length} time slots of ${eventDetails.name}:\n` +
+          readableSelections.join('\n');
+        if (ifNeeded.length > 0) {
+          text += `\n${ifNeeded.length} of them only if needed.`;
+        }
+        const structuredContent = {
+          profile: profile.name,
+          timestamps,
+          ifNeededTimestamps: ifNeeded,
+          readableSelections,
+          warnings
+        };
+
+        if (userName) {
+          // Replacing with nothing clears all of the user's availability, so it has to be asked for
+          if (timestamps.length === 0 && !(mode === "replace" && confirmClear)) {
+            throw new Error(`Profile "${profile.name}" doesn't match any time slots of this event` +
+              (mode === "replace" ? `; pass confirmClear to clear all of ${userName}'s availability` : ""));
+          }
+          const signInPassword = await resolvePassword(eventUrl, userName, password, useStoredCredential);
+          const result = await saveWhen2MeetAvailability(eventUrl, userName, signInPassword, timestamps, mode);
+          await expireCachedEvent(eventUrl);
+          if (verify) {
+            result.verification = await verifySavedAvailability(eventUrl, userName, result.personId, timestamps, mode);
+          }
+          result.preferences = recordPreferences(preferenceStore, eventUrl, userName, { mode, timestamps, ifNeeded }, result);
+
+          text += `\nMarked ${result.markedCount}, removed ${result.removedCount} and left ${result.unchangedCount} unchanged for ${userName}.`;
+          if (result.failures.length > 0) {
+            text += `\nFailed to change ${result.failures.length} time slots.`;
+          }
+          if (result.verification && !result.verification.verified) {
+            text += `\nVerification found ${result.verification.missing.length} missing and ${result.verification.extra.length} extra time slots.`;
+          }
+          structuredContent.markResult = result;
+        }
+
+        if (warnings.length > 0) {
+          text += `\n\nWarnings:\n${warnings.map(warning => `- ${warning}`).join('\n')}`;
+        }
+
+        return {
+          content: [{
+            type: "text",
+            text
+          }],
+          structuredContent
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error applying profile: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: export-event
+   * Exports an event's availability as CSV (a row per slot, a column per participant), a JSON heatmap
+   * (available count per slot and a day × time matrix) or ICS (the best meeting windows as tentative events).
+   *
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {string} format - "csv", "json" or "ics"
+   * @param {string} outputPath - Optional local file to write; without it the export is returned inline
+   * @param {number} durationMinutes - Optional meeting length for the ICS windows (default 60)
+   * @param {number} limit - Optional number of ICS windows (default 5)
+   * @param {string} timezone - Optional IANA timezone for days, times and weekly ICS events
+   * @returns The export, or the path it was written to, with its size
+   */
+  server.registerTool(
+    "export-event",
+    {
+      description: "Export an event's availability as CSV, a JSON heatmap or an ICS file of the best meeting windows",
+      inputSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        format: z.enum(["csv", "json", "ics"]),
+        outputPath: z.string().optional(),
+        durationMinutes: z.number().int().positive("Duration must be a positive number of minutes").optional(),
+        limit: z.number().int().positive().optional(),
+        timezone: z.string().optional()
+      },
+      outputSchema: outputSchemas.exportEventOutput
+    },
+    async ({ eventUrl, format, outputPath, durationMinutes = 60, limit = 5, timezone }) => {
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        assertTimeZone(timezone);
+        assertLocalOption(outputPath, "outputPath");
+
+        const eventDetails = await getWhen2MeetEventDetails(eventUrl, { timeZone: timezone });
+        if (!eventDetails.availableTimeslots) {
+          throw new Error("No time slots found in the event");
+        }
+        const slotCount = eventDetails.availableTimeslots.allTimeslots.length;
+
+        let data;
+        let windowCount;
+        if (format === "csv") {
+          data = exportCsv(eventDetails, timezone);
+        } else if (format === "json") {
+          data = JSON.stringify(exportHeatmap(eventDetails, timezone), null, 2);
+        } else {
+          const { windows } = findBestMeetingTimes(eventDetails, {
+            durationMinutes,
+            limit,
+            ifNeeded: getRecordedPreferences(preferenceStore, eventUrl),
+            timeZone: timezone
+          });
+          windowCount = windows.length;
+          data = exportIcs(eventDetails, windows, { timeZone: timezone, eventKey: getPreferenceKey(eventUrl) });
+        }
+
+        const mimeType = { csv: "text/csv", json: "application/json", ics: "text/calendar" }[format];
+        const structuredContent = { format, mimeType, bytes: Buffer.byteLength(data), slotCount };
+        if (windowCount !== undefined) {
+          structuredContent.windowCount = windowCount;
+        }
+
+        if (!outputPath) {
+          structuredContent.content = data;
+          return {
+            content: [{
+              type: "text",
+              text: data
+            }],
+            structuredContent
+          };
+        }
+
+        structuredContent.path = path.resolve(outputPath);
+        await fs.promises.mkdir(path.dirname(structuredContent.path), { recursive: true });
+        await fs.promises.writeFile(structuredContent.path, data);
+
+        const exported = windowCount !== undefined ? `${windowCount} meeting windows` : `${slotCount} time slots`;
+        return {
+          content: [{
+            type: "text",
+            text: `Exported ${exported} of ${eventDetails.name} as ${format.toUpperCase()} to ${structuredContent.path} ` +
+              `(${structuredContent.bytes} bytes).`
+          }],
+          structuredContent
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error exporting event: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: save-credential
+   * Stores a When2Meet password, encrypted, so the marking tools can sign in with
+   * useStoredCredential instead of receiving the password.
+   *
+   * @param {string} eventUrl - The When2Meet URL the password belongs to
+   * @param {string} userName - Name the password belongs to
+   * @param {string} password - Password to store
+   * @returns The event key, user name and time of the stored credential
+   */
+  server.registerTool(
+    "save-credential",
+    {
+      description: "Store a When2Meet password (encrypted) so other tools can use it without receiving it",
+      inputSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        userName: z.string().trim().min(1, "Username is required"),
+        password: z.string().min(1, "Password is required")
+      },
+      outputSchema: outputSchemas.credentialOutput
+    },
+    async ({ eventUrl, userName, password }) => {
+      addSecret(password);
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        if (!credentialStore.enabled) {
+          throw new Error("Stored credentials are disabled; set WHEN2MEET_CREDENTIAL_KEY to enable them");
+        }
+
+        const credential = await credentialStore.save(getEventKey(eventUrl), userName, password);
+        return {
+          content: [{
+            type: "text",
+            text: `Stored the password for ${credential.userName} on ${credential.eventKey}. ` +
+              `Pass useStoredCredential: true instead of the password to sign in with it.`
+          }],
+          structuredContent: {
+            credential
+          }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error storing credential: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: list-credentials
+   * Lists the stored credentials, without their passwords.
+   *
+   * @returns Whether the store is enabled and the event key, user name and time of each credential
+   */
+  server.registerTool(
+    "list-credentials",
+    {
+      description: "List the stored When2Meet credentials (event and user name, never the password)",
+      inputSchema: {},
+      outputSchema: outputSchemas.credentialListOutput
+    },
+    async () => {
+      try {
+        const credentials = credentialStore.enabled ? await credentialStore.list() : [];
+        let text;
+        if (!credentialStore.enabled) {
+          text = "Stored credentials are disabled; set WHEN2MEET_CREDENTIAL_KEY to enable them.";
+        } else if (credentials.length === 0) {
+          text = "No credentials stored yet. Store one with save-credential.";
+        } else {
+          text = `Stored credentials:\n${credentials.map(credential =>
+            `- ${credential.userName} on ${credential.eventKey} (saved ${credential.savedAt})`).join('\n')}`;
+        }
+
+        return {
+          content: [{
+            type: "text",
+            text
+          }],
+          structuredContent: {
+            enabled: credentialStore.enabled,
+            credentials
+          }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error listing credentials: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: delete-credential
+   * Deletes a stored password.
+   *
+   * @param {string} eventUrl - The When2Meet URL the password belongs to
+   * @param {string} userName - Name the password belongs to
+   * @returns Whether a credential was deleted
+   */
+  server.registerTool(
+    "delete-credential",
+    {
+      description: "Delete a stored When2Meet password",
+      inputSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        userName: z.string().trim().min(1, "Username is required")
+      },
+      outputSchema: outputSchemas.credentialDeleteOutput
+    },
+    async ({ eventUrl, userName }) => {
+      try {
+        // Validate URL is from when2meet
+        assertWhen2MeetUrl(eventUrl);
+        const eventKey = getEventKey(eventUrl);
+        const deleted = await credentialStore.remove(eventKey, userName);
+
+        return {
+          content: [{
+            type: "text",
+            text: deleted
+              ? `Deleted the stored password for ${userName} on ${eventKey}.`
+              : `There is no stored password for ${userName} on ${eventKey}.`
+          }],
+          structuredContent: {
+            eventKey,
+            userName,
+            deleted
+          }
+        };
+      } catch (error) {
+        return {
+          content: [{
+            type: "text",
+            text: `Error deleting credential: ${error.message || "Unknown error"}`
+          }],
+          isError: true
+        };
+      }
+    }
+  );
+
+  /**
+   * Tool: help
+   * Provides information about the available tools and how to use them.
+   * 
+   * @returns Description of all available tools
+   */
+  server.registerTool(
+    "help",
+    {
+      description: "Describe the available tools and how to use them",
+      inputSchema: {}
+    },
+    async () => {
+      return {
+        content: [{
+          type: "text",
+          text: `When2Meet MCP Server - Available Tools:
+
+1. get-event-details
+   - Extracts information from a When2Meet URL
+   - Input: eventUrl (string), timezone (optional IANA name, e.g. America/Los_Angeles)
+   - Output: Event name, event type (specific dates or days of the week), date range, available time slots, participants and who is available in each slot
+
+2. generate-availability-prompt
+   - Creates a structured prompt for selecting time slots
+   - Input: eventDetails (object from get-event-details), timezone (optional)
+   - Output: Selection prompt with time slot codes and timestamps
+
+3. parse-availability-selections
+   - Converts selection codes or phrases like "weekdays 9-5, not Friday; Saturday morning if needed" to actual timestamps
+   - Input: selections (string), promptData (object), timezone (optional)
+   - Output: Array of timestamps, the ones only available if needed, human-readable times and warnings for anything not understood
+
+4. mark-when2meet-availability
+   - Marks selected time slots as available on When2Meet (or removes/replaces them)
+   - Input: eventUrl, userName, password or useStoredCredential (optional), timestamps, ifNeededTimestamps (optional), mode (optional: "add", "remove" or "replace"), method (optional: "direct" or "browser")
+   - Output: Number of marked slots, per-slot results, preferred and if-needed slots, verification against the saved slots and result URL
+
+5. find-best-meeting-times
+   - Ranks contiguous windows by how many participants can attend
+   - Input: eventUrl, durationMinutes, requiredAttendees (optional), optionalAttendees (optional), minAttendees (optional), limit (optional), ifNeeded (optional), ifNeededWeight (optional, default 0.5)
+   - Output: Ranked windows with available, if-needed and unavailable attendees
+
+6. get-my-availability
+   - Reads back the time slots a participant has saved
+   - Input: eventUrl, userName
+   - Output: Saved timestamps and human-readable times
+
+7. import-calendar-availability
+   - Finds your free time in the event from an iCalendar (.ics) file, including recurring events
+   - Input: eventUrl, ics (calendar text) or icsPath (file path), bufferMinutes (optional), tentativeAs (optional: "busy" or "free"), timezone (optional)
+   - Output: Free slot timestamps ready for mark-when2meet-availability and the busy events found
+
+8. create-when2meet-event
+   - Creates a new When2Meet poll
+   - Input: name, dates (YYYY-MM-DD list) or daysOfWeek (day names), earliestTime, latestTime (e.g. "9am", "17:00"), timezone (optional)
+   - Output: The new event URL
+
+9. get-event-changes
+   - Shows who responded and whose availability changed since an earlier snapshot
+   - Input: eventUrl, since (optional: ISO date/time, "yesterday" or e.g. "24h"; defaults to the previous call), timezone (optional)
+   - Output: New participants, slots added or removed per person and changes in the best slot
+
+10. mark-when2meet-availability-batch
+   - Marks availability for several people or events in one call
+   - Input: jobs (up to 50, each with eventUrl, userName, password or useStoredCredential, timestamps or selection, mode, timezone), timezone (optional), method (optional), verify (optional)
+   - Output: Status and mark results per job, with counts of succeeded, partial and failed jobs
+
+11. create-availability-profile / list-availability-profiles / delete-availability-profile
+   - Manages named availability profiles: a weekly pattern such as "weekdays 10-12 and 14-17, never Friday afternoons" plus one-off exceptions
+   - Input: name, weekly (optional), exceptions (optional: date, available, start, end), timezone (optional), replace (optional)
+   - Output: The stored profile and the hours a week it covers, all profiles, or whether one was deleted
+
+12. apply-profile
+   - Resolves a profile against an event, and marks the slots when a userName is given
+   - Input: eventUrl, profile, userName (optional), password or useStoredCredential (optional), mode (optional, default "add"), confirmClear (optional, lets "replace" clear everything when nothing matches), verify (optional), timezone (optional)
+   - Output: Matching timestamps, human-readable times and the mark result
+
+13. export-event
+   - Exports an event as CSV (a row per slot, a column per participant), a JSON heatmap or an ICS file of the best meeting windows
+   - Input: eventUrl, format ("csv", "json" or "ics"), outputPath (optional, otherwise inline), durationMinutes and limit (optional, for ICS), timezone (optional)
+   - Output: The export or the path it was written to
+
+14. save-credential, list-credentials and delete-credential
+   - Store When2Meet passwords encrypted (needs WHEN2MEET_CREDENTIAL_KEY), so the marking tools can take useStoredCredential: true instead of a password
+   - Input: eventUrl and userName (plus password for save-credential)
+   - Output: The stored credential (never its password), the list of stored credentials or whether one was deleted
+
+Example workflow:
+1. Get event details with get-event-details
+2. Generate selection prompt with generate-availability-prompt
+3. Convert selections to timestamps with parse-availability-selections
+4. Mark availability with mark-when2meet-availability
+
+Prompts for guided workflows: fill-my-availability, find-a-time-for-the-group and summarize-poll` +
+            (hosted ? "\n\nThis hosted server leaves out tools 11, 12 and 14 and doesn't take useStoredCredential, icsPath or outputPath." : "")
+        }]
+      };
+    }
+  );
+
+  /**
+   * Resource: when2meet://event/{eventKey}
+   * The full details of a When2Meet event. eventKey is the part of the event URL after the
+   * question mark, e.g. 12345-AbCdE for https://www.when2meet.com/?12345-AbCdE
+   *
+   * @returns Event details as JSON, in the same shape get-event-details returns
+   */
+  server.registerResource(
+    "event",
+    new ResourceTemplate("when2meet://event/{eventKey}", { list: undefined }),
+    {
+      description: "Name, dates, time slots and everyone's availability for a When2Meet event",
+      mimeType: "application/json"
+    },
+    async uri => {
+      const eventDetails = await getWhen2MeetEventDetails(parseEventResourceUri(uri.href).eventUrl);
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: "application/json",
+          text: JSON.stringify(eventDetails)
+        }]
+      };
+    }
+  );
+
+  /**
+   * Resource: when2meet://event/{eventKey}/participants
+   * Who has responded to a When2Meet event and how many slots each person marked.
+   *
+   * @returns Event name, URL and participants as JSON
+   */
+  server.registerResource(
+    "event-participants",
+    new ResourceTemplate("when2meet://event/{eventKey}/participants", { list: undefined }),
+    {
+      description: "Who has responded to a When2Meet event and how many time slots each person marked",
+      mimeType: "application/json"
+    },
+    async uri => {
+      const eventDetails = await getWhen2MeetEventDetails(parseEventResourceUri(uri.href).eventUrl);
+      return {
+        contents: [{
+          uri: uri.href,
+          mimeType: "application/json",
+          text: JSON.stringify({
+            name: eventDetails.name,
+            url: eventDetails.url,
+            participantCount: eventDetails.participants.length,
+            participants: eventDetails.participants
+          })
+        }]
+      };
+    }
+  );
+
+  server.server.registerCapabilities({ resources: { subscribe: true }, logging: {} });
+
+  server.server.setRequestHandler(SetLevelRequestSchema, async request => {
+    clientLogLevel = request.params.level;
+    return {};
+  });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+    await subscribeResource(server, request.params.uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    unsubscribeResource(server, request.params.uri);
+    return {};
+  });
+
+  // A closed session no longer receives notifications
+  server.server.onclose = () => dropSubscriptions(server);
+  /**
+   * Prompt: fill-my-availability
+   * Starts a guided workflow for filling in a poll: embeds the event and the selection grammar,
+   * then walks through parse-availability-selections and mark-when2meet-availability.
+   *
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {string} userName - Optional name to fill the poll in as
+   * @param {string} availability - Optional description of when the user is free
+   * @param {string} timezone - Optional IANA timezone for the slot times
+   * @returns Messages with the event details and step-by-step instructions
+   */
+  server.registerPrompt(
+    "fill-my-availability",
+    {
+      description: "Fill in your availability on a When2Meet poll, using slot codes or phrases like \"weekdays after 2pm\"",
+      argsSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        userName: z.string().optional(),
+        availability: z.string().optional(),
+        timezone: z.string().optional()
+      }
+    },
+    async ({ eventUrl, userName, availability, timezone }) => {
+      assertWhen2MeetUrl(eventUrl);
+      assertTimeZone(timezone);
+
+      const eventDetails = await getWhen2MeetEventDetails(eventUrl, { timeZone: timezone });
+      if (timezone) {
+        eventDetails.timezone = timezone;
+      }
+      const { selectionPrompt } = buildAvailabilityPrompt(eventDetails, timezone);
+
+      const who = userName ? `"${userName}"` : "me (ask for my name if you need it)";
+      const firstStep = availability
+        ? `1. My availability: ${availability}\n   Turn it into selections using the grammar above.`
+        : "1. Ask me when I'm available and turn my answer into selections using the grammar above.";
+
+      return {
+        description: `Fill in availability for ${eventDetails.name}`,
+        messages: [
+          eventResourceMessage(eventUrl, eventDetails),
+          {
+            role: "user",
+            content: {
+              type: "text",
+              text: `Help me fill in the When2Meet poll "${eventDetails.name}" (${eventUrl}) as ${who}. ` +
+                `The event details are attached.\n${selectionPrompt}\n` +
+                `${firstStep}\n` +
+                "2. Call generate-availability-prompt with the attached event details" +
+                `${timezone ? ` and timezone "${timezone}"` : ''}, then call parse-availability-selections with ` +
+                "the selections and its dayGroups, slotLookup and timezone as promptData.\n" +
+                "3. Show me the readable times and any warnings, and ask me to confirm.\n" +
+                "4. Once I confirm, call mark-when2meet-availability with the timestamps."
+            }
+          }
+        ]
+      };
+    }
+  );
+
+  /**
+   * Prompt: find-a-time-for-the-group
+   * Embeds the event, the group's availability and the best ranked windows, and asks the model to
+   * recommend a meeting time.
+   *
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {string} durationMinutes - Optional meeting length in minutes (default 60)
+   * @param {string} requiredAttendees - Optional comma-separated names that must attend
+   * @param {string} timezone - Optional IANA timezone for dates and times
+   * @returns Messages with the event details, ranked windows and instructions
+   */
+  server.registerPrompt(
+    "find-a-time-for-the-group",
+    {
+      description: "Recommend a meeting time from the responses to a When2Meet poll",
+      argsSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        durationMinutes: z.string().optional(),
+        requiredAttendees: z.string().optional(),
+        timezone: z.string().optional()
+      }
+    },
+    async ({ eventUrl, durationMinutes = "60", requiredAttendees, timezone }) => {
+      assertWhen2MeetUrl(eventUrl);
+      assertTimeZone(timezone);
+
+      const duration = parseInt(durationMinutes, 10);
+      if (!(duration > 0)) {
+        throw new Error("durationMinutes must be a positive number of minutes");
+      }
+      const required = splitNames(requiredAttendees);
+
+      const eventDetails = await getWhen2MeetEventDetails(eventUrl, { timeZone: timezone });
+      const result = findBestMeetingTimes(eventDetails, {
+        durationMinutes: duration,
+        requiredAttendees: required,
+        ifNeeded: getRecordedPreferences(preferenceStore, eventUrl),
+        timeZone: timezone
+      });
+
+      const windowLines = result.windows.map((window, index) => {
+        const missing = window.unavailable.length > 0 ? ` (missing: ${window.unavailable.join(', ')})` : '';
+        const ifNeededNote = window.ifNeeded.length > 0 ? ` (if needed: ${window.ifNeeded.join(', ')})` : '';
+        return `${index + 1}. ${window.date} ${window.startTime} - ${window.endTime}: ` +
+          `${window.availableCount}/${result.attendeeCount} available${ifNeededNote}${missing}`;
+      });
+
+      let text = `Find a ${duration}-minute meeting time for the When2Meet poll "${eventDetails.name}" (${eventUrl}).` +
+        `${required.length > 0 ? ` These people must attend: ${required.join(', ')}.` : ''}` +
+        `${timezone ? ` Times are in ${timezone}.` : ''}\n\n` +
+        `Group availability:\n${summarizeGroupAvailability(eventDetails, timezone)}\n\n` +
+        (windowLines.length > 0
+          ? `Best windows:\n${windowLines.join('\n')}`
+          : "No window fits everyone who must attend.");
+      if (result.unknownAttendees.length > 0) {
+        text += `\n\nThese people have not responded yet: ${result.unknownAttendees.join(', ')}`;
+      }
+      text += "\n\nRecommend a time and explain the trade-offs, such as who would miss it. " +
+        "Call find-best-meeting-times with other attendees or durations if I ask for alternatives.";
+
+      return {
+        description: `Find a time for ${eventDetails.name}`,
+        messages: [
+          eventResourceMessage(eventUrl, eventDetails),
+          {
+            role: "user",
+            content: {
+              type: "text",
+              text
+            }
+          }
+        ]
+      };
+    }
+  );
+
+  /**
+   * Prompt: summarize-poll
+   * Embeds the event and its responses and asks for a summary of who responded and when people overlap.
+   *
+   * @param {string} eventUrl - The When2Meet URL
+   * @param {string} expectedAttendees - Optional comma-separated names, to report who hasn't responded
+   * @param {string} timezone - Optional IANA timezone for dates and times
+   * @returns Messages with the event details, responses and instructions
+   */
+  server.registerPrompt(
+    "summarize-poll",
+    {
+      description: "Summarize who has responded to a When2Meet poll and when people are available",
+      argsSchema: {
+        eventUrl: z.string().url("Please provide a valid When2Meet URL"),
+        expectedAttendees: z.string().optional(),
+        timezone: z.string().optional()
+      }
+    },
+    async ({ eventUrl, expectedAttendees, timezone }) => {
+      assertWhen2MeetUrl(eventUrl);
+      assertTimeZone(timezone);
+
+      const eventDetails = await getWhen2MeetEventDetails(eventUrl, { timeZone: timezone });
+      const responded = eventDetails.participants.map(participant => `${participant.name} (${participant.slotCount} slots)`);
+
+      let text = `Summarize the When2Meet poll "${eventDetails.name}" (${eventUrl}), ${eventDetails.dateRange}.` +
+        `${timezone ? ` Times are in ${timezone}.` : ''}\n\n` +
+        `${responded.length} ${responded.length === 1 ? 'person has' : 'people have'} responded: ${responded.join(', ') || 'nobody yet'}\n\n` +
+        `Group availability:\n${summarizeGroupAvailability(eventDetails, timezone)}`;
+
+      const expected = splitNames(expectedAttendees);
+      if (expected.length > 0) {
+        const respondedNames = eventDetails.participants.map(participant => participant.name.trim().toLowerCase());
+        const missing = expected.filter(name => !respondedNames.includes(name.trim().toLowerCase()));
+        text += missing.length > 0
+          ? `\n\nStill waiting on: ${missing.join(', ')}`
+          : "\n\nEveryone expected has responded.";
+      }
+      text += "\n\nSummarize who has responded, who is missing, and the times when the most people overlap.";
+
+      return {
+        description: `Summary of ${eventDetails.name}`,
+        messages: [
+          eventResourceMessage(eventUrl, eventDetails),
+          {
+            role: "user",
+            content: {
+              type: "text",
+              text
+            }
+          }
+        ]
+      };
+    }
+  );
+
+  return server;
+}
+
+/**
+ * Helper function to attach event details to a prompt as an embedded when2meet:// resource.
+ *
+ * @param {string} eventUrl - The When2Meet URL
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @returns {object} Prompt message
+ */
+function eventResourceMessage(eventUrl, eventDetails) {
+  return {
+    role: "user",
+    content: {
+      type: "resource",
+      resource: {
+        uri: `when2meet://event/${getEventKey(eventUrl)}`,
+        mimeType: "application/json",
+        text: JSON.stringify(eventDetails)
+      }
+    }
+  };
+}
+
+/**
+ * Helper function to split a comma-separated list of names.
+ *
+ * @param {string} names - e.g. "Alice, Bob"
+ * @returns {string[]} Trimmed, non-empty names
+ */
+function splitNames(names) {
+  return (names || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Helper function to describe who is available when, one line per run of slots with the same people.
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @param {string} timeZone - Optional IANA timezone for the times
+ * @returns {string} One section per day
+ */
+function summarizeGroupAvailability(eventDetails, timeZone) {
+  const dayGroups = (eventDetails.availableTimeslots && eventDetails.availableTimeslots.dayGroups) || [];
+  const availabilityBySlot = eventDetails.availabilityBySlot || {};
+  const total = (eventDetails.participants || []).length;
+  const slotSeconds = getSlotSeconds(eventDetails);
+
+  return dayGroups.map(day => {
+    // Merge consecutive slots of a block when the same people are available
+    const runs = [];
+    day.timeBlocks.forEach(block => {
+      block.timestamps.forEach((timestamp, index) => {
+        const names = availabilityBySlot[timestamp] || [];
+        const key = names.join('|');
+        const lastRun = runs[runs.length - 1];
+        if (index > 0 && lastRun && lastRun.key === key) {
+          lastRun.end = timestamp;
+        } else {
+          runs.push({ key, names, start: timestamp, end: timestamp });
+        }
+      });
+    });
+
+    const lines = runs.map(run =>
+      `  ${formatTime(run.start, timeZone)} - ${formatTime(run.end + slotSeconds, timeZone)}: ` +
+      `${run.names.length}/${total} available${run.names.length > 0 ? ` (${run.names.join(', ')})` : ''}`
+    );
+    return `${day.fullDate || day.dayName}:\n${lines.join('\n')}`;
+  }).join('\n');
+}
+
+/**
+ * Helper function to work out which event a when2meet:// resource URI belongs to.
+ *
+ * @param {string} uri - when2meet://event/{eventKey} or when2meet://event/{eventKey}/participants
+ * @returns {object} eventUrl plus the event and participants resource URIs of the event
+ */
+function parseEventResourceUri(uri) {
+  const match = uri.match(/^when2meet:\/\/event\/([^/]+)(\/participants)?$/);
+  if (!match) {
+    throw new Error(`Unknown resource ${uri}`);
+  }
+
+  const eventUrl = getEventUrl(match[1]);
+  assertWhen2MeetUrl(eventUrl);
+  return {
+    eventUrl,
+    eventUri: `when2meet://event/${match[1]}`,
+    participantsUri: `when2meet://event/${match[1]}/participants`
+  };
+}
+
+/**
+ * Helper function to get When2Meet event details.
+ * Reuses the cached snapshot of the event if it is recent enough, otherwise scrapes the event
+ * again and records a new snapshot.
+ * 
+ * @param {string} url - The When2Meet URL
+ * @param {object} options - Optional timeZone (IANA name) for day grouping and labels, and
+ *   fresh to skip the cache
+ * @returns {object} Event details including name, date range, available time slots, participants and availabilityBySlot
+ */
+async function getWhen2MeetEventDetails(url, options = {}) {
+  let eventKey = null;
+  try {
+    eventKey = getEventKey(url);
+  } catch (error) {
+    // URLs without a full event ID can't be cached
+  }
+
+  let snapshot = eventKey && !options.fresh ? await snapshotCache.getFresh(eventKey) : null;
+  if (snapshot) {
+    logger.debug("Using the cached snapshot of the event", { url });
+  } else {
+    const eventDetails = await scrapeOrFetchEventDetails(url, options);
+    if (!eventKey) {
+      return { ...eventDetails, ...describeEventDates(eventDetails.dateRange, eventDetails.availableTimeslots) };
+    }
+    snapshot = await snapshotCache.record(eventKey, eventDetails);
+  }
+
+  // Copy the snapshot so callers can't change the cached data
+  const { timeslots, participants, availabilityBySlot } = JSON.parse(JSON.stringify(snapshot));
+  const availableTimeslots = timeslots.length > 0 ? buildAvailableTimeslots(timeslots, options.timeZone) : null;
+  return {
+    name: snapshot.name,
+    ...describeEventDates(snapshot.dateRange, availableTimeslots),
+    availableTimeslots,
+    participants,
+    availabilityBySlot,
+    url
+  };
+}
+
+/**
+ * Helper function to tell specific-date events from days-of-the-week polls. A weekly poll has no
+ * calendar dates, so its date range lists the weekdays it covers instead.
+ *
+ * @param {string} dateRange - Date range read from the event page
+ * @param {object} availableTimeslots - Grouped time slots from buildAvailableTimeslots, or null
+ * @returns {object} eventType ("specificDates" or "daysOfTheWeek") and dateRange
+ */
+function describeEventDates(dateRange, availableTimeslots) {
+  const eventType = getEventType(availableTimeslots ? availableTimeslots.allTimeslots : []);
+  if (eventType === 'specificDates') {
+    return { eventType, dateRange };
+  }
+
+  const dayNames = [...new Set(availableTimeslots.dayGroups.map(day => day.dayName))];
+  return { eventType, dateRange: `Every week on ${dayNames.join(', ')}` };
+}
+
+/**
+ * Helper function to make the next read of an event load it again, e.g. after saving availability.
+ *
+ * @param {string} url - The When2Meet URL
+ */
+async function expireCachedEvent(url) {
+  try {
+    await snapshotCache.expire(getEventKey(url));
+  } catch (error) {
+    // URLs without a full event ID aren't cached
+  }
+}
+
+/**
+ * Helper function to get the password to sign in with: the one passed to the tool, or the one
+ * stored with save-credential for the event and user name.
+ *
+ * @param {string} url - The When2Meet URL
+ * @param {string} userName - Name to sign in with
+ * @param {string} password - Optional password passed to the tool
+ * @param {boolean} useStoredCredential - Whether to use the stored password instead
+ * @returns {string} Password, or undefined if the event needs none
+ */
+async function resolvePassword(url, userName, password, useStoredCredential = false) {
+  addSecret(password);
+  if (!useStoredCredential) {
+    return password;
+  }
+  if (password) {
+    throw new Error("Pass either a password or useStoredCredential, not both");
+  }
+  if (!credentialStore.enabled) {
+    throw new Error("Stored credentials are disabled; set WHEN2MEET_CREDENTIAL_KEY to enable them");
+  }
+
+  const storedPassword = await credentialStore.get(getEventKey(url), userName);
+  if (storedPassword === null) {
+    throw new Error(`No password is stored for ${userName} on this event; save one with save-credential`);
+  }
+  return storedPassword;
+}
+
+/**
+ * Helper function to redact secrets from the text of an error result. Successful results are left
+ * alone, so a password that happens to appear in event data doesn't change it.
+ *
+ * @param {object} result - Tool result
+ * @returns {object} Redacted tool result
+ */
+function redactToolResult(result) {
+  if (!result.isError) {
+    return result;
+  }
+  return {
+    ...result,
+    content: (result.content || []).map(item => (item.type === "text" ? { ...item, text: redact(item.text) } : item))
+  };
+}
+
+/**
+ * Helper function to parse the "since" argument of get-event-changes.
+ *
+ * @param {string} since - ISO date/time, UTC timestamp in seconds, "yesterday" or a relative time such as "24h", "2d" or "90m"
+ * @returns {number} Time in seconds
+ */
+function parseSince(since) {
+  const now = Math.floor(Date.now() / 1000);
+  const text = since.trim().toLowerCase();
+
+  if (text === 'yesterday') {
+    return now - 86400;
+  }
+  if (/^\d{9,}$/.test(text)) {
+    return parseInt(text, 10);
+  }
+
+  const relativeMatch = text.match(/^(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?)(?:\s+ago)?$/);
+  if (relativeMatch) {
+    const unitSeconds = { m: 60, h: 3600, d: 86400, w: 604800 }[relativeMatch[2][0]];
+    return now - parseInt(relativeMatch[1], 10) * unitSeconds;
+  }
+
+  const parsed = Date.parse(since);
+  if (isNaN(parsed)) {
+    throw new Error(`Could not read the time "${since}". Use an ISO date such as 2025-04-14T09:00:00Z, "yesterday" or "24h"`);
+  }
+  return Math.floor(parsed / 1000);
+}
+
+/**
+ * Helper function to scrape When2Meet event details.
+ * Fetches the event page over plain HTTP and parses its inline script and slot attributes.
+ * Falls back to Puppeteer if the page can't be fetched or doesn't contain the grid.
+ * 
+ * @param {string} url - The When2Meet URL
+ * @param {object} options - Optional timeZone (IANA name) for day grouping and labels
+ * @returns {object} Event details including name, date range, available time slots, participants and availabilityBySlot
+ */
+async function scrapeOrFetchEventDetails(url, options = {}) {
+  try {
+    const eventDetails = await logger.time("scrape", () => fetchWhen2MeetEventDetails(url, options), { url, method: "http" });
+    if (eventDetails.availableTimeslots) {
+      return eventDetails;
+    }
+    logger.warning("No time slots found in the HTML, falling back to the browser", { url });
+  } catch (error) {
+    logger.warning("Fetching the event over HTTP failed, falling back to the browser", { url, error });
+  }
+
+  return logger.time("scrape", () => scrapeWhen2MeetEventDetails(url, options), { url, method: "browser" });
+}
+
+/**
+ * Helper function to fetch and parse a When2Meet event page without a browser.
+ * 
+ * @param {string} url - The When2Meet URL
+ * @param {object} options - Optional timeZone (IANA name) for day grouping and labels
+ * @returns {object} Event details; availableTimeslots is null if the page has no grid
+ */
+async function fetchWhen2MeetEventDetails(url, options = {}) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'when2meet-mcp' },
+    signal: AbortSignal.timeout(15000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`When2Meet responded with ${response.status} ${response.statusText}`);
+  }
+
+  const html = await response.text();
+  return parseEventHtml(html, url, options.timeZone);
+}
+
+/**
+ * Helper function to scrape When2Meet event details with a browser.
+ * Uses a page from the shared browser pool to extract event name, date range, time slot information, and the
+ * responses of other participants (from the page's PeopleNames/AvailableAtSlot data).
+ * 
+ * @param {string} url - The When2Meet URL
+ * @param {object} options - Optional timeZone (IANA name) for day grouping and labels
+ * @returns {object} Event details including name, date range, available time slots, participants and availabilityBySlot
+ */
+async function scrapeWhen2MeetEventDetails(url, options = {}) {
+  return browserPool.withPage(async page => {
+    await page.goto(url, { waitUntil: 'networkidle2' });
+    
+    // Extract event name and date range
+    const name = await page.$eval('title', el => (el.textContent || "").replace(' - When2Meet', ''));
+    
+    // Try different selectors for the date range
+    let dateRange = "";
+    try {
+      // Try to find date information from any available source
+      dateRange = await page.evaluate(() => {
+        // Look for elements with date information
+        const dateElements = [
+          document.querySelector('.dateHeader'),
+          document.querySelector('.timeHeader'),
+          document.querySelector('#newTimeSlotsSection h2'),
+          document.querySelector('h1'),
+          // Try to extract from the title
+          document.title ? document.title.replace(/ - When2Meet$/, '') : null
+        ];
+        
+        // Try to find any element that contains date information
+        for (const el of dateElements) {
+          if (el && el.textContent) {
+            return el.textContent.trim();
+          }
+        }
+        
+        return "Date information not found";
+      });
+    } catch (e) {
+      logger.debug("Could not read the date range from the page", { url, error: e });
+      dateRange = "Date information not available";
+    }
+    
+    // Get time slot information from GroupGridSlots
+    const timeslots = await page.evaluate(() => {
+      const timeslots = [];
+      
+      // Find all time slot elements
+      const slotElements = document.querySelectorAll('#GroupGridSlots [id^="GroupTime"]');
+      
+      slotElements.forEach(element => {
+        // Extract UTC timestamp
+        const timestamp = parseInt(element.getAttribute('data-time'), 10);
+        
+        // Extract readable time from mouseover event
+        const onmouseover = element.getAttribute('onmouseover') || '';
+        const timeMatch = onmouseover.match(/ShowSlot\(\d+,"([^"]+)"\)/);
+        const readableTime = timeMatch ? timeMatch[1] : '';
+        
+        // Extract column (day) and row (time) position
+        const col = parseInt(element.getAttribute('data-col'), 10);
+        const row = parseInt(element.getAttribute('data-row'), 10);
+        
+        timeslots.push({
+          timestamp,
+          readableTime,
+          col,
+          row,
+          elementId: element.id
+        });
+      });
+      
+      return timeslots;
+    });
+    
+    // Read everyone else's responses from the page's inline script globals
+    const groupAvailability = buildGroupAvailability(await page.evaluate(() => ({
+      peopleNames: window.PeopleNames || [],
+      peopleIds: window.PeopleIDs || [],
+      availableAtSlot: window.AvailableAtSlot || [],
+      timeOfSlot: window.TimeOfSlot || []
+    })));
+
+    return {
+      name,
+      dateRange,
+      availableTimeslots: buildAvailableTimeslots(timeslots, options.timeZone),
+      participants: groupAvailability.participants,
+      availabilityBySlot: groupAvailability.availabilityBySlot,
+      url
+    };
+  });
+}
+
+/**
+ * Helper function to mark availability on When2Meet.
+ * Uses a page from the shared browser pool to log in, reads the current state of #YouGridSlots and only clicks
+ * the time slots that need to change for the requested mode.
+ * 
+ * @param {string} url - The When2Meet URL
+ * @param {string} userName - Name to use for login
+ * @param {string} password - Optional password
+ * @param {number[]} timestamps - Array of UTC timestamps to mark
+ * @param {string} mode - "add", "remove" or "replace"
+ * @returns {object} Results including number of added, removed and unchanged slots and any failures
+ */
+async function markWhen2MeetAvailability(url, userName, password = '', timestamps, mode = 'add') {
+  return browserPool.withPage(page => logger.time("mark", () => markAvailabilityOnPage(page, url, userName, password, timestamps, mode), {
+    url,
+    method: "browser"
+  }));
+}
+
+/**
+ * Helper function to mark availability with browser automation on a page the caller provides,
+ * so a batch of jobs can run on the same page one after another.
+ *
+ * @param {object} page - Puppeteer page from the browser pool
+ * @param {string} url - The When2Meet URL
+ * @param {string} userName - Name to use for login
+ * @param {string} password - Optional password
+ * @param {number[]} timestamps - Array of UTC timestamps to mark
+ * @param {string} mode - "add", "remove" or "replace"
+ * @returns {object} Results including number of added, removed and unchanged slots and any failures
+ */
+async function markAvailabilityOnPage(page, url, userName, password = '', timestamps, mode = 'add') {
+  // Set a timeout for page operations
+  page.setDefaultTimeout(60000); // 60 seconds
+  
+  // Navigate to the When2Meet URL
+  logger.debug("Opening the event in the browser", { url });
+  await page.goto(url, { waitUntil: 'networkidle2' });
+  
+  // Log in
+  logger.debug("Signing in", { url, userName });
+  
+  // Wait for the name input and ensure it's visible and enabled
+  await page.waitForSelector('#name', { visible: true });
+  
+  // Clear the input field first (in case there's any default value)
+  await page.evaluate(() => {
+    document.getElementById('name').value = '';
+  });
+  
+  // Type the name with a slight delay between keystrokes
+  await page.type('#name', userName, { delay: 100 });
+  
+  // Verify the name was entered correctly
+  const nameValue = await page.evaluate(() => document.getElementById('name').value);
+  logger.debug("Typed the name", { nameValue });
+  
+  if (password) {
+    await page.waitForSelector('#password', { visible: true });
+    await page.type('#password', password, { delay: 100 });
+  }
+  
+  // Ensure input event is fired (sometimes needed)
+  await page.evaluate(() => {
+    const nameInput = document.getElementById('name');
+    nameInput.dispatchEvent(new Event('input', { bubbles: true }));
+    nameInput.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+  
+  // Find and click the Sign In button
+  await page.click('input[value="Sign In"]');
+  
+  // The page hides the sign-in form and shows your grid once When2Meet has accepted the name and password
+  logger.debug("Waiting for the grid to load");
+  try {
+    await page.waitForSelector('#SignIn', { hidden: true, timeout: 15000 });
+    await page.waitForSelector('#YouGridSlots', { visible: true });
+  } catch (error) {
+    if (error.name !== 'TimeoutError') {
+      throw error;
+    }
+    throw new Error(`Could not sign in to When2Meet as ${userName}; check the password`);
+  }
+  
+  // Person ID the page script assigned when signing in
+  const personId = await page.evaluate(() => window.UserID || null);
+  
+  // Read which of your slots are already marked so only the slots that need changing get clicked
+  const currentTimestamps = await page.evaluate(() => {
+    const userId = window.UserID;
+    const timeOfSlot = window.TimeOfSlot || [];
+    const availableAtSlot = window.AvailableAtSlot || [];
+    
+    if (userId !== undefined && userId !== null && timeOfSlot.length > 0) {
+      return timeOfSlot.filter((timestamp, index) =>
+        (availableAtSlot[index] || []).some(id => String(id) === String(userId))
+      );
+    }
+    
+    // Fall back to the color When2Meet paints your available slots with
+    return Array.from(document.querySelectorAll('#YouGridSlots [id^="YouTime"]'))
+      .filter(element => /rgb\(51, 153, 0\)/.test(element.style.background || element.style.backgroundColor || ''))
+      .map(element => parseInt(element.id.replace('YouTime', ''), 10));
+  });
+  
+  const plan = planAvailabilityChanges(mode, timestamps, currentTimestamps);
+  const changes = [
+    ...plan.toAdd.map(timestamp => ({ timestamp, available: true })),
+    ...plan.toRemove.map(timestamp => ({ timestamp, available: false }))
+  ];
+  
+  logger.debug("Changing time slots", { adding: plan.toAdd.length, removing: plan.toRemove.length });
+  
+  // Use page.evaluate to run code in browser context
+  const toggleResults = await page.evaluate(async (changes) => {
+    const results = [];
+    
+    // Process each change with delays
+    for (let i = 0; i < changes.length; i++) {
+      const { timestamp, available } = changes[i];
+      const elementId = `YouTime${timestamp}`;
+      const element = document.getElementById(elementId);
+      
+      if (element) {
+        try {
+          // Trigger mousedown event. The page decides from the slot's current state whether the click
+          // adds or removes it, so the slot is only repainted after the page has handled the click.
+          element.dispatchEvent(new MouseEvent('mousedown', {
+            bubbles: true,
+            cancelable: true,
+            view: window
+          }));
+          
+          // Wait between events (need to use setTimeout in browser context)
+          await new Promise(r => setTimeout(r, 100));
+          
+          // Trigger mouseup event
+          element.dispatchEvent(new MouseEvent('mouseup', {
+            bubbles: true,
+            cancelable: true,
+            view: window
+          }));
+          
+          // Mark as available (green) or unavailable (red)
+          element.style.background = available ? "rgb(222, 255, 222)" : "rgb(255, 222, 222)";
+          
+          results.push({ timestamp, success: true });
+        } catch (err) {
+          results.push({ timestamp, success: false, error: err.message || "Unknown error" });
+        }
+        
+        // Wait before processing next timestamp
+        if (i < changes.length - 1) {
+          await new Promise(r => setTimeout(r, 150));
+        }
+      } else {
+        results.push({ timestamp, success: false, error: "Element not found" });
+      }
+    }
+    
+    return results;
+  }, changes);
+  
+  const result = summarizeSlotResults(plan, toggleResults);
+  
+  // Wait until the page's save requests are done
+  logger.debug("Changed time slots, waiting for the changes to save", { changed: result.markedCount + result.removedCount });
+  await page.waitForNetworkIdle({ idleTime: 500 });
+  
+  // Get the resulting URL after submission
+  const resultUrl = page.url();
+  
+  return {
+    ...result,
+    ...(personId ? { personId: String(personId) } : {}),
+    resultUrl
+  };
+}
+
+/**
+ * Helper function to work out which slots need to change so the user's availability
+ * matches the requested mode. Slots already in the wanted state are left alone, which
+ * makes repeating the same request a no-op.
+ *
+ * @param {string} mode - "add", "remove" or "replace"
+ * @param {number[]} requested - Timestamps passed to the tool
+ * @param {number[]} current - Timestamps the user currently has marked
+ * @returns {object} toAdd, toRemove and unchanged timestamps
+ */
+function planAvailabilityChanges(mode, requested, current) {
+  const requestedSet = new Set(requested);
+  const currentSet = new Set(current);
+  const sortNumbers = values => [...values].sort((a, b) => a - b);
+
+  let toAdd = [];
+  let toRemove = [];
+  if (mode === 'add' || mode === 'replace') {
+    toAdd = [...requestedSet].filter(timestamp => !currentSet.has(timestamp));
+  }
+  if (mode === 'remove') {
+    toRemove = [...requestedSet].filter(timestamp => currentSet.has(timestamp));
+  }
+  if (mode === 'replace') {
+    toRemove = [...currentSet].filter(timestamp => !requestedSet.has(timestamp));
+  }
+
+  const changed = new Set([...toAdd, ...toRemove]);
+  const unchanged = [...requestedSet].filter(timestamp => !changed.has(timestamp));
+
+  return {
+    toAdd: sortNumbers(toAdd),
+    toRemove: sortNumbers(toRemove),
+    unchanged: sortNumbers(unchanged)
+  };
+}
+
+/**
+ * Helper function to combine a change plan with the outcome of each write.
+ *
+ * @param {object} plan - Result of planAvailabilityChanges
+ * @param {object[]} writeResults - { timestamp, success, error } for every added or removed slot
+ * @returns {object} markedCount, removedCount, unchangedCount, per-slot results and failures
+ */
+function summarizeSlotResults(plan, writeResults) {
+  const resultsByTimestamp = {};
+  writeResults.forEach(writeResult => {
+    resultsByTimestamp[writeResult.timestamp] = writeResult;
+  });
+
+  const slotResults = [
+    ...plan.toAdd.map(timestamp => ({ ...resultsByTimestamp[timestamp], timestamp, action: 'add' })),
+    ...plan.toRemove.map(timestamp => ({ ...resultsByTimestamp[timestamp], timestamp, action: 'remove' })),
+    ...plan.unchanged.map(timestamp => ({ timestamp, action: 'unchanged', success: true }))
+  ].sort((a, b) => a.timestamp - b.timestamp);
+
+  const failures = slotResults
+    .filter(slotResult => !slotResult.success)
+    .map(({ timestamp, action, error }) => ({ timestamp, action, error }));
+
+  return {
+    markedCount: slotResults.filter(slotResult => slotResult.action === 'add' && slotResult.success).length,
+    removedCount: slotResults.filter(slotResult => slotResult.action === 'remove' && slotResult.success).length,
+    unchangedCount: plan.unchanged.length,
+    failures,
+    slotResults
+  };
+}
+
+/**
+ * Helper function to find the slots a participant has saved in scraped event details.
+ * Matches on the When2Meet person ID when known, otherwise on the name (case-insensitive).
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @param {string} userName - Name the participant signed in with
+ * @param {string} personId - Optional person ID returned by the sign in
+ * @returns {object} The matching participant (or null) and their sorted timestamps
+ */
+function getParticipantAvailability(eventDetails, userName, personId) {
+  const participants = eventDetails.participants || [];
+  const participant =
+    participants.find(candidate => personId && String(candidate.id) === String(personId)) ||
+    participants.find(candidate => candidate.name === userName) ||
+    participants.find(candidate => candidate.name.trim().toLowerCase() === userName.trim().toLowerCase()) ||
+    null;
+
+  if (!participant) {
+    return { participant: null, timestamps: [] };
+  }
+
+  const timestamps = Object.keys(eventDetails.availabilityBySlot || {})
+    .filter(timestamp => eventDetails.availabilityBySlot[timestamp].includes(participant.name))
+    .map(timestamp => parseInt(timestamp, 10))
+    .sort((a, b) => a - b);
+
+  return { participant, timestamps };
+}
+
+/**
+ * Helper function to compare requested timestamps with the ones When2Meet persisted.
+ * What counts as verified depends on the mode: added slots must all be saved, removed
+ * slots must all be gone, and a replace must leave exactly the requested slots.
+ *
+ * @param {number[]} requested - Timestamps passed to the mark tool
+ * @param {number[]} persisted - Timestamps read back from the event
+ * @param {string} mode - "add", "remove" or "replace"
+ * @returns {object} verified flag plus saved, missing and extra timestamps
+ */
+function diffAvailability(requested, persisted, mode = 'add') {
+  const requestedSet = new Set(requested);
+  const persistedSet = new Set(persisted);
+  const sortNumbers = values => [...values].sort((a, b) => a - b);
+
+  const saved = sortNumbers([...requestedSet].filter(timestamp => persistedSet.has(timestamp)));
+  const missing = sortNumbers([...requestedSet].filter(timestamp => !persistedSet.has(timestamp)));
+  const extra = sortNumbers([...persistedSet].filter(timestamp => !requestedSet.has(timestamp)));
+
+  let verified = missing.length === 0;
+  if (mode === 'remove') {
+    verified = saved.length === 0;
+  } else if (mode === 'replace') {
+    verified = missing.length === 0 && extra.length === 0;
+  }
+
+  return {
+    verified,
+    saved,
+    missing,
+    extra
+  };
+}
+
+/**
+ * Helper function to reload an event after marking and compare the participant's saved slots with the requested ones.
+ *
+ * @param {string} url - The When2Meet URL
+ * @param {string} userName - Name the participant signed in with
+ * @param {string} personId - Optional person ID returned by the sign in
+ * @param {number[]} timestamps - Timestamps passed to the mark tool
+ * @param {string} mode - "add", "remove" or "replace"
+ * @returns {object} Result of diffAvailability
+ */
+async function verifySavedAvailability(url, userName, personId, timestamps, mode) {
+  const eventDetails = await logger.time("verify", () => getWhen2MeetEventDetails(url, { fresh: true }), { url });
+  const saved = getParticipantAvailability(eventDetails, userName, personId);
+  return diffAvailability(timestamps, saved.timestamps, mode);
+}
+
+/**
+ * Helper function to check that the if-needed timestamps of a mark request are among the ones being marked.
+ *
+ * @param {number[]} timestamps - Timestamps to mark
+ * @param {number[]} ifNeeded - Timestamps among them that are only "if needed"
+ */
+function assertIfNeededSubset(timestamps, ifNeeded) {
+  const marked = new Set(timestamps);
+  const stray = ifNeeded.filter(timestamp => !marked.has(timestamp));
+  if (stray.length > 0) {
+    throw new Error(`If-needed timestamps must also be in timestamps: ${stray.join(', ')}`);
+  }
+}
+
+/**
+ * Helper function to remember which slots of a mark request are only "if needed".
+ * Slots that failed to save, or that verification found weren't changed, are left out.
+ *
+ * @param {object} preferenceStore - The session's preference store
+ * @param {string} url - The When2Meet URL
+ * @param {string} userName - Name the participant signed in with
+ * @param {object} change - mode, timestamps and the ifNeeded timestamps among them
+ * @param {object} result - Result of the mark, with its failures and optional verification
+ * @returns {object} preferred and ifNeeded timestamps among the saved ones
+ */
+function recordPreferences(preferenceStore, url, userName, change, result) {
+  const unsaved = new Set(result.failures.map(failure => failure.timestamp));
+  if (result.verification) {
+    const unchanged = change.mode === 'remove' ? result.verification.saved : result.verification.missing;
+    unchanged.forEach(timestamp => unsaved.add(timestamp));
+  }
+  return preferenceStore.record(getPreferenceKey(url), userName, {
+    ...change,
+    timestamps: change.timestamps.filter(timestamp => !unsaved.has(timestamp))
+  });
+}
+
+/**
+ * Helper function to get the if-needed slots marked in a session for an event.
+ *
+ * @param {object} preferenceStore - The session's preference store
+ * @param {string} url - The When2Meet URL
+ * @returns {object} Participant name -> if-needed timestamps
+ */
+function getRecordedPreferences(preferenceStore, url) {
+  return preferenceStore.get(getPreferenceKey(url));
+}
+
+function getPreferenceKey(url) {
+  try {
+    return getEventKey(url);
+  } catch (error) {
+    // URLs without a full event ID are keyed by the URL itself
+    return url;
+  }
+}
+
+/**
+ * Helper function to list timestamps as human-readable times grouped by date.
+ *
+ * @param {number[]} timestamps - Sorted UTC timestamps
+ * @param {string} timeZone - Optional IANA timezone
+ * @returns {string[]} One "date: time, time" line per date
+ */
+function describeTimestampsByDate(timestamps, timeZone) {
+  const groupedByDate = {};
+  timestamps.forEach(timestamp => {
+    const dateKey = formatSlotDate(timestamp, timeZone);
+    if (!groupedByDate[dateKey]) {
+      groupedByDate[dateKey] = [];
+    }
+    groupedByDate[dateKey].push(formatTime(timestamp, timeZone));
+  });
+  return Object.keys(groupedByDate).map(date =>
+    `${date}: ${groupedByDate[date].join(', ')}`
+  );
+}
+
+/**
+ * Helper function to rank candidate meeting windows by group overlap.
+ * Slides a window of the requested duration across each contiguous time block and
+ * keeps the windows where every required attendee is available for every slot.
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * Attendees who are only available "if needed" for part of a window count for ifNeededWeight
+ * of a person when ranking.
+ *
+ * @param {object} options - durationMinutes, requiredAttendees, optionalAttendees, minAttendees, limit,
+ *   ifNeeded (participant name -> if-needed timestamps), ifNeededWeight (default 0.5) and timeZone
+ * @returns {object} Ranked non-overlapping windows, attendee count and names that have not responded
+ */
+function findBestMeetingTimes(eventDetails, options) {
+  const {
+    durationMinutes,
+    requiredAttendees = [],
+    optionalAttendees = [],
+    minAttendees = 0,
+    limit = 5,
+    ifNeeded = {},
+    ifNeededWeight = 0.5,
+    timeZone
+  } = options;
+
+  const dayGroups = (eventDetails.availableTimeslots && eventDetails.availableTimeslots.dayGroups) || [];
+  const availabilityBySlot = eventDetails.availabilityBySlot || {};
+  const participantNames = (eventDetails.participants || []).map(participant => participant.name);
+
+  // Match attendee names case-insensitively against the people who responded
+  const normalize = name => name.trim().toLowerCase();
+  const namesByKey = {};
+  participantNames.forEach(name => {
+    namesByKey[normalize(name)] = name;
+  });
+
+  const unknownAttendees = [];
+  const resolveNames = names => names.map(name => {
+    const match = namesByKey[normalize(name)];
+    if (!match) {
+      unknownAttendees.push(name);
+      return name;
+    }
+    return match;
+  });
+
+  const required = resolveNames(requiredAttendees);
+  const optional = resolveNames(optionalAttendees);
+
+  const ifNeededByName = {};
+  Object.keys(ifNeeded).forEach(name => {
+    ifNeededByName[normalize(name)] = new Set(ifNeeded[name]);
+  });
+  const isIfNeeded = (name, timestamp) => Boolean(ifNeededByName[normalize(name)] && ifNeededByName[normalize(name)].has(timestamp));
+
+  // Without an explicit attendee list, everyone who responded is considered
+  const attendees = required.length > 0 || optional.length > 0
+    ? [...new Set([...required, ...optional])]
+    : participantNames;
+
+  // Meetings take whole slots, so the duration is rounded up to the next slot boundary
+  const slotSeconds = getSlotSeconds(eventDetails);
+  const slotsNeeded = Math.max(1, Math.ceil((durationMinutes * 60) / slotSeconds));
+
+  const candidates = [];
+  dayGroups.forEach(day => {
+    day.timeBlocks.forEach(block => {
+      for (let start = 0; start + slotsNeeded <= block.timestamps.length; start++) {
+        const windowTimestamps = block.timestamps.slice(start, start + slotsNeeded);
+
+        // An attendee is in only if they are available for every slot in the window
+        const available = attendees.filter(name =>
+          windowTimestamps.every(timestamp => (availabilityBySlot[timestamp] || []).includes(name))
+        );
+        const unavailable = attendees.filter(name => !available.includes(name));
+
+        if (required.some(name => !available.includes(name))) {
+          continue;
+        }
+        if (available.length === 0 || available.length < minAttendees) {
+          continue;
+        }
+
+        const startTimestamp = windowTimestamps[0];
+        const endTimestamp = windowTimestamps[windowTimestamps.length - 1] + slotSeconds;
+        const availableIfNeeded = available.filter(name => windowTimestamps.some(timestamp => isIfNeeded(name, timestamp)));
+
+        candidates.push({
+          date: day.fullDate || day.dayName,
+          startTimestamp,
+          endTimestamp,
+          startTime: formatTime(startTimestamp, timeZone),
+          endTime: formatTime(endTimestamp, timeZone),
+          timestamps: windowTimestamps,
+          available,
+          ifNeeded: availableIfNeeded,
+          unavailable,
+          availableCount: available.length,
+          optionalAvailableCount: available.filter(name => optional.includes(name)).length,
+          score: available.length - availableIfNeeded.length * (1 - ifNeededWeight)
+        });
+      }
+    });
+  });
+
+  // Rank by weighted headcount, then headcount, then optional attendees, then earliest start
+  candidates.sort((a, b) =>
+    b.score - a.score ||
+    b.availableCount - a.availableCount ||
+    b.optionalAvailableCount - a.optionalAvailableCount ||
+    a.startTimestamp - b.startTimestamp
+  );
+
+  // Keep only the best window out of any overlapping ones
+  const windows = [];
+  for (const candidate of candidates) {
+    if (windows.length >= limit) {
+      break;
+    }
+    const overlaps = windows.some(window =>
+      candidate.startTimestamp < window.endTimestamp && window.startTimestamp < candidate.endTimestamp
+    );
+    if (!overlaps) {
+      windows.push(candidate);
+    }
+  }
+
+  return {
+    windows,
+    durationMinutes: (slotsNeeded * slotSeconds) / 60,
+    slotMinutes: slotSeconds / 60,
+    attendeeCount: attendees.length,
+    unknownAttendees
+  };
+}
 
 /**
- * Tool: help
- * Provides information about the available tools and how to use them.
- * 
- * @returns Description of all available tools
+ * Helper function to get the length of an event's slots.
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @returns {number} Slot length in seconds
  */
-server.tool(
-  "help",
-  {},
-  async () => {
-    return {
-      content: [{
-        type: "text",
-        text: `When2Meet MCP Server - Available Tools:
+function getSlotSeconds(eventDetails) {
+  const availableTimeslots = eventDetails.availableTimeslots;
+  if (availableTimeslots && availableTimeslots.slotMinutes) {
+    return availableTimeslots.slotMinutes * 60;
+  }
+  return inferSlotSeconds((availableTimeslots && availableTimeslots.allTimeslots) || []);
+}
 
-1. get-event-details
-   - Extracts information from a When2Meet URL
-   - Input: eventUrl (string)
-   - Output: Event name, date range, available time slots
+/**
+ * Helper function to find the event slots that don't overlap any busy calendar event.
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @param {string} calendarText - ICS text
+ * @param {object} options - bufferMinutes, tentativeAs and timeZone (for floating calendar times)
+ * @returns {object} Free timestamps, total slot count and the busy intervals overlapping the event
+ */
+function findFreeSlots(eventDetails, calendarText, options) {
+  const { bufferMinutes = 0, tentativeAs = 'busy', timeZone } = options;
+  const slotSeconds = getSlotSeconds(eventDetails);
+  const bufferSeconds = bufferMinutes * 60;
 
-2. generate-availability-prompt
-   - Creates a structured prompt for selecting time slots
-   - Input: eventDetails (object from get-event-details)
-   - Output: Selection prompt with time slot codes and timestamps
+  const slots = eventDetails.availableTimeslots.dayGroups
+    .flatMap(day => day.timeBlocks.flatMap(block => block.timestamps))
+    .sort((a, b) => a - b);
+  if (slots.length === 0) {
+    return { timestamps: [], totalSlots: 0, busyIntervals: [] };
+  }
 
-3. parse-availability-selections
-   - Converts selection codes to actual timestamps
-   - Input: selections (string), promptData (object)
-   - Output: Array of timestamps and human-readable times
+  const busyIntervals = getBusyIntervals(calendarText, {
+    rangeStart: slots[0] - bufferSeconds,
+    rangeEnd: slots[slots.length - 1] + slotSeconds + bufferSeconds,
+    timeZone,
+    tentativeAs
+  });
 
-4. mark-when2meet-availability
-   - Marks selected time slots as available on When2Meet
-   - Input: eventUrl, userName, password (optional), timestamps
-   - Output: Number of marked slots and result URL
+  // A slot is free if it doesn't overlap any busy interval widened by the buffer, so busy time
+  // is rounded out to the slot boundaries around it
+  const timestamps = slots.filter(timestamp => !busyIntervals.some(interval =>
+    timestamp < interval.end + bufferSeconds && timestamp + slotSeconds > interval.start - bufferSeconds
+  ));
 
-Example workflow:
-1. Get event details with get-event-details
-2. Generate selection prompt with generate-availability-prompt
-3. Convert selections to timestamps with parse-availability-selections
-4. Mark availability with mark-when2meet-availability`
-      }]
-    };
-  }
-);
+  return { timestamps, totalSlots: slots.length, busyIntervals };
+}
 
 /**
- * Helper function to scrape When2Meet event details.
- * Uses Puppeteer to extract event name, date range, and time slot information.
- * 
- * @param {string} url - The When2Meet URL
- * @returns {object} Event details including name, date range, and available time slots
+ * Helper function to build the selection prompt for an event.
+ * Lists every time slot with a code (d{day}t{slot}) and its timestamp, plus the shorthand
+ * codes and phrases parse-availability-selections understands.
+ *
+ * @param {object} eventDetails - Event details from getWhen2MeetEventDetails
+ * @param {string} timezone - Optional IANA timezone; defaults to the one the event details were loaded with
+ * @returns {object} dayGroups, slotLookup (code -> timestamp), timezone and selectionPrompt
  */
-async function getWhen2MeetEventDetails(url) {
-  const browser = await puppeteer.launch({ 
-    headless: "new",  // Use new headless mode
-    args: ['--no-sandbox', '--disable-setuid-sandbox'] // For running in various environments
-  });
+function buildAvailabilityPrompt(eventDetails, timezone) {
+  // Check if we have available time slots data
+  if (!eventDetails.availableTimeslots || !eventDetails.availableTimeslots.dayGroups) {
+    throw new Error("Event details are missing time slot information");
+  }
   
-  const page = await browser.newPage();
+  const timeZone = timezone || eventDetails.timezone;
+  assertTimeZone(timeZone);
   
-  try {
-    await page.goto(url, { waitUntil: 'networkidle2' });
+  const allSlots = eventDetails.availableTimeslots.allTimeslots;
+  
+  // Regroup the slots by day in the requested timezone
+  const days = timezone && allSlots
+    ? buildAvailableTimeslots(allSlots, timeZone).dayGroups
+    : eventDetails.availableTimeslots.dayGroups;
+  
+  // Days-of-the-week polls have weekdays but no dates
+  const weekly = getEventType(allSlots || days.flatMap(day => day.slots)) === 'daysOfTheWeek';
+
+  // Generate a formatted selection prompt for each day
+  const dayPrompts = days.map((day, dayIndex) => {
+    // Create a header for the day
+    const dayHeader = day.fullDate ? `${day.fullDate} (${day.dayName}):\n` : `${day.dayName}:\n`;
     
-    // Extract event name and date range
-    const name = await page.$eval('title', el => (el.textContent || "").replace(' - When2Meet', ''));
+    // Get all time slots for this day
+    const daySlots = day.slots.sort((a, b) => a.timestamp - b.timestamp);
     
-    // Try different selectors for the date range
-    let dateRange = "";
-    try {
-      // Try to find date information from any available source
-      dateRange = await page.evaluate(() => {
-        // Look for elements with date information
-        const dateElements = [
-          document.querySelector('.dateHeader'),
-          document.querySelector('.timeHeader'),
-          document.querySelector('#newTimeSlotsSection h2'),
-          document.querySelector('h1'),
-          // Try to extract from the title
-          document.title ? document.title.replace(/ - When2Meet$/, '') : null
-        ];
-        
-        // Try to find any element that contains date information
-        for (const el of dateElements) {
-          if (el && el.textContent) {
-            return el.textContent.trim();
-          }
-        }
-        
-        return "Date information not found";
+    // Give each of the day's slots, whatever its length, an ID for the prompt
+    const timeSlotGroups = [];
+    for (let i = 0; i < daySlots.length; i++) {
+      const slot = daySlots[i];
+      const formattedTime = formatTime(slot.timestamp, timeZone);
+      
+      timeSlotGroups.push({
+        id: `d${dayIndex}t${i}`,
+        timestamp: slot.timestamp,
+        time: formattedTime,
+        readableTime: slot.readableTime
       });
-    } catch (e) {
-      console.log("Error extracting date range:", e);
-      dateRange = "Date information not available";
     }
     
-    // Get time slot information from GroupGridSlots and convert to user-friendly format
-    const availableTimeslots = await page.evaluate(() => {
-      const timeslots = [];
-      
-      // Find all time slot elements
-      const slotElements = document.querySelectorAll('#GroupGridSlots [id^="GroupTime"]');
-      
-      slotElements.forEach(element => {
-        // Extract UTC timestamp
-        const timestamp = parseInt(element.getAttribute('data-time'), 10);
-        
-        // Extract readable time from mouseover event
-        const onmouseover = element.getAttribute('onmouseover') || '';
-        const timeMatch = onmouseover.match(/ShowSlot\(\d+,"([^"]+)"\)/);
-        const readableTime = timeMatch ? timeMatch[1] : '';
-        
-        // Extract column (day) and row (time) position
-        const col = parseInt(element.getAttribute('data-col'), 10);
-        const row = parseInt(element.getAttribute('data-row'), 10);
-        
-        timeslots.push({
-          timestamp,
-          readableTime,
-          col,
-          row,
-          elementId: element.id
-        });
-      });
-      
-      // Group slots by day (column) and organize into continuous time blocks
-      const days = [];
-      const maxCol = Math.max(...timeslots.map(slot => slot.col));
-      
-      // Helper function to format time from a timestamp
-      const formatTime = (timestamp) => {
-        const date = new Date(timestamp * 1000);
-        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-      };
-      
-      // Helper function to format date from a timestamp
-      const formatDate = (timestamp) => {
-        const date = new Date(timestamp * 1000);
-        return date.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' });
-      };
-      
-      for (let col = 0; col <= maxCol; col++) {
-        // Get all slots for this day and sort by row (time)
-        const daySlots = timeslots.filter(slot => slot.col === col).sort((a, b) => a.row - b.row);
-        
-        if (daySlots.length > 0) {
-          // Get day info from first slot
-          const firstSlot = daySlots[0];
-          const date = new Date(firstSlot.timestamp * 1000);
-          const dayName = date.toLocaleDateString([], { weekday: 'long' });
-          const fullDate = formatDate(firstSlot.timestamp);
-          
-          // Create time blocks by identifying continuous slots
-          const timeBlocks = [];
-          let currentBlock = null;
-          
-          daySlots.forEach((slot, index) => {
-            const time = formatTime(slot.timestamp);
-            
-            // Create a new block if we don't have one
-            if (!currentBlock) {
-              currentBlock = {
-                startTimestamp: slot.timestamp,
-                endTimestamp: slot.timestamp,
-                startTime: time,
-                endTime: time,
-                timestamps: [slot.timestamp]
-              };
-            } else {
-              // Check if this slot is continuous with the current block
-              // Get the expected timestamp for a continuous slot
-              const prevSlot = daySlots[index - 1];
-              const expectedNext = prevSlot.timestamp + 900; // 15 minutes = 900 seconds
-              
-              if (slot.timestamp === expectedNext) {
-                // This is continuous, extend the block
-                currentBlock.endTimestamp = slot.timestamp;
-                currentBlock.endTime = time;
-                currentBlock.timestamps.push(slot.timestamp);
-              } else {
-                // This is a new block, save the current one and start new
-                timeBlocks.push(currentBlock);
-                currentBlock = {
-                  startTimestamp: slot.timestamp,
-                  endTimestamp: slot.timestamp,
-                  startTime: time,
-                  endTime: time,
-                  timestamps: [slot.timestamp]
-                };
-              }
-            }
-            
-            // If this is the last slot, add the current block
-            if (index === daySlots.length - 1 && currentBlock) {
-              timeBlocks.push(currentBlock);
-            }
-          });
-          
-          days.push({
-            dayName,
-            fullDate,
-            dayIndex: col,
-            timeBlocks,
-            slots: daySlots
-          });
-        }
+    // Format the time slots for this day
+    const timeSlotOptions = timeSlotGroups.map(slot => 
+      `[${slot.id}] ${slot.time} (${slot.timestamp})`
+    ).join('\n');
+    
+    return `${dayHeader}${timeSlotOptions}\n`;
+  }).join('\n');
+  
+  // Build the complete prompt
+  const selectionPrompt = `
+Please select your available time slots for: ${eventDetails.name}
+${weekly ? 'This is a weekly poll, so choose the times that suit you in a typical week.\n' : ''}${timeZone ? `Times are shown in ${timeZone}.\n` : ''}
+Enter the IDs of the time slots you're available for (e.g., d0t0 d1t2 d2t1):
+${dayPrompts}
+
+You can also use these shorthand options:
+- To select all time slots for a day, enter: day{n} (e.g., day0 for the first day)
+- To select all morning slots (before noon), enter: morning{n} (e.g., morning0)
+- To select all afternoon slots (noon-5pm), enter: afternoon{n} (e.g., afternoon0)
+- To select all evening slots (after 5pm), enter: evening{n} (e.g., evening0)
+
+Or describe your availability in words, for example:
+- Tuesday after 2pm
+- all of Wed except 12-1
+- weekdays 9-5, not Friday
+
+Or if you prefer, you can directly enter UTC timestamps separated by commas:
+1744549200, 1744550100, 1744550100
+
+Enter your selections (using any of the formats above):
+`;
+  
+  // Create slot lookup tables for efficient parsing
+  const slotLookup = {};
+  days.forEach((day, dayIndex) => {
+    day.slots.forEach((slot, slotIndex) => {
+      const slotId = `d${dayIndex}t${slotIndex}`;
+      slotLookup[slotId] = slot.timestamp;
+    });
+  });
+  
+  return {
+    dayGroups: days,
+    slotLookup,
+    timezone: timeZone,
+    selectionPrompt
+  };
+}
+
+/**
+ * Helper function to turn the create-when2meet-event arguments into the fields of When2Meet's new event form.
+ *
+ * @param {object} options - name, dates or daysOfWeek, earliestTime, latestTime and timeZone
+ * @returns {object} Arguments for createEvent
+ */
+function buildNewEventForm({ name, dates, daysOfWeek, earliestTime, latestTime, timeZone }) {
+  const hasDates = Array.isArray(dates) && dates.length > 0;
+  const hasDays = Array.isArray(daysOfWeek) && daysOfWeek.length > 0;
+  if (hasDates === hasDays) {
+    throw new Error("Provide either dates or daysOfWeek, but not both");
+  }
+
+  let possibleDates;
+  if (hasDates) {
+    possibleDates = [...new Set(dates)].sort();
+    possibleDates.forEach(date => {
+      const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+      const parsed = new Date(Date.UTC(year, month - 1, day));
+      if (parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+        throw new Error(`"${date}" is not a valid date`);
       }
-      
-      // Create an array of formatted availability strings
-      const formattedAvailability = days.map(day => {
-        const blocks = day.timeBlocks.map(block => 
-          `${block.startTime} - ${block.endTime}`
-        ).join(', ');
-        
-        return `${day.fullDate}: ${blocks}`;
-      });
-      
-      return {
-        allTimeslots: timeslots,
-        dayGroups: days,
-        formattedAvailability
-      };
     });
-    
-    await browser.close();
-    
-    return {
-      name,
-      dateRange,
-      availableTimeslots,
-      url
-    };
-  } catch (error) {
-    await browser.close();
-    throw error;
+  } else {
+    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    possibleDates = [...new Set(daysOfWeek.map(dayName => {
+      const normalized = dayName.trim().toLowerCase();
+      const index = dayNames.findIndex(day => normalized.length >= 2 && day.startsWith(normalized));
+      if (index === -1) {
+        throw new Error(`"${dayName}" is not a day of the week`);
+      }
+      return index;
+    }))].sort((a, b) => a - b);
+  }
+
+  const earliestHour = parseHourOfDay(earliestTime);
+  const latestHour = parseHourOfDay(latestTime, true);
+  if (latestHour <= earliestHour) {
+    throw new Error("latestTime must be after earliestTime");
   }
+
+  return {
+    name,
+    dateType: hasDates ? 'SpecificDates' : 'DaysOfTheWeek',
+    possibleDates,
+    earliestHour,
+    latestHour,
+    timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone
+  };
 }
 
 /**
- * Helper function to mark availability on When2Meet.
- * Uses Puppeteer to log in and click on time slots.
+ * Helper function to read a whole hour of the day, as When2Meet polls start and end on the hour.
+ * Accepts 0-24, "9am", "5 pm", "17:00", "noon" and "midnight". Midnight (also "12am" or 0) is the
+ * start of the day for an earliest time and the end of the day for a latest time.
+ *
+ * @param {string|number} value - Time of day
+ * @param {boolean} isEnd - Whether the time is the latest time of the poll
+ * @returns {number} Hour from 0 to 24
+ */
+function parseHourOfDay(value, isEnd = false) {
+  const text = String(value).trim().toLowerCase();
+  if (text === 'noon') {
+    return 12;
+  }
+  if (text === 'midnight') {
+    return isEnd ? 24 : 0;
+  }
+
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) {
+    throw new Error(`Could not read the time "${value}"`);
+  }
+
+  let hour = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  if (match[3]) {
+    if (hour < 1 || hour > 12) {
+      throw new Error(`Could not read the time "${value}"`);
+    }
+    hour = (hour % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+  if (minutes !== 0) {
+    throw new Error(`When2Meet polls start and end on the hour, so "${value}" can't be used`);
+  }
+  if (hour > 24) {
+    throw new Error(`Could not read the time "${value}"`);
+  }
+  return isEnd && hour === 0 ? 24 : hour;
+}
+
+/**
+ * Helper function to mark availability through When2Meet's own save endpoint.
+ * Signs in like the page's Sign In button, works out which slots need to change for the
+ * requested mode, then posts each run of consecutive slots to SaveTimes.php and checks each response.
  * 
  * @param {string} url - The When2Meet URL
  * @param {string} userName - Name to use for login
  * @param {string} password - Optional password
- * @param {number[]} timestamps - Array of UTC timestamps to mark as available
- * @returns {object} Results including number of marked slots and any failures
+ * @param {number[]} timestamps - Array of UTC timestamps to mark
+ * @param {string} mode - "add", "remove" or "replace"
+ * @returns {object} Results including number of added, removed and unchanged slots, per-slot results and any failures
  */
-async function markWhen2MeetAvailability(url, userName, password = '', timestamps) {
-  // Launch browser
-  const browser = await puppeteer.launch({
-    headless: false, // Set to true for production
-    defaultViewport: null,
-    args: ['--no-sandbox', '--disable-setuid-sandbox'] // For running in various environments
-  });
-  
-  try {
-    const page = await browser.newPage();
-    
-    // Set a timeout for page operations
-    page.setDefaultTimeout(60000); // 60 seconds
-    
-    // Navigate to the When2Meet URL
-    console.log(`Navigating to ${url}`);
-    await page.goto(url, { waitUntil: 'networkidle2' });
-    
-    // Log in
-    console.log(`Logging in as ${userName}`);
-    
-    // Wait for the name input and ensure it's visible and enabled
-    await page.waitForSelector('#name', { visible: true });
-    
-    // Clear the input field first (in case there's any default value)
-    await page.evaluate(() => {
-      document.getElementById('name').value = '';
-    });
-    
-    // Type the name with a slight delay between keystrokes
-    await page.type('#name', userName, { delay: 100 });
-    
-    // Verify the name was entered correctly
-    const nameValue = await page.evaluate(() => document.getElementById('name').value);
-    console.log(`Verified name input value: "${nameValue}"`);
-    
-    if (password) {
-      await page.waitForSelector('#password', { visible: true });
-      await page.type('#password', password, { delay: 100 });
-    }
-    
-    // Ensure input event is fired (sometimes needed)
-    await page.evaluate(() => {
-      const nameInput = document.getElementById('name');
-      nameInput.dispatchEvent(new Event('input', { bubbles: true }));
-      nameInput.dispatchEvent(new Event('change', { bubbles: true }));
+async function saveWhen2MeetAvailability(url, userName, password = '', timestamps, mode = 'add') {
+  // Only slots that exist on the event grid can be saved
+  const eventDetails = await fetchWhen2MeetEventDetails(url);
+  const eventSlots = new Set(
+    ((eventDetails.availableTimeslots && eventDetails.availableTimeslots.allTimeslots) || [])
+      .map(slot => slot.timestamp)
+  );
+
+  const personId = await logger.time("login", () => login(url, userName, password), { url, userName });
+  const current = getParticipantAvailability(eventDetails, userName, personId);
+  const plan = planAvailabilityChanges(mode, timestamps, current.timestamps);
+
+  const saveResults = [];
+  const saveRuns = async (runTimestamps, available) => {
+    const validTimestamps = [];
+    runTimestamps.forEach(timestamp => {
+      if (eventSlots.has(timestamp)) {
+        validTimestamps.push(timestamp);
+      } else {
+        saveResults.push({ timestamp, success: false, error: "Slot not found in event" });
+      }
     });
-    
-    // Find and click the Sign In button with a delay
-    await page.click('input[value="Sign In"]');
-    
-    // Wait for the grid to load
-    console.log('Waiting for grid to load');
-    await page.waitForSelector('#YouGridSlots');
-    
-    // Mark the specified timestamps as available
-    console.log(`Marking ${timestamps.length} time slots as available`);
-    
-    // Use page.evaluate to run code in browser context
-    const result = await page.evaluate(async (timestamps) => {
-      let markedCount = 0;
-      let failures = [];
-      
-      // Process each timestamp with delays
-      for (let i = 0; i < timestamps.length; i++) {
-        const timestamp = timestamps[i];
-        const elementId = `YouTime${timestamp}`;
-        const element = document.getElementById(elementId);
-        
-        if (element) {
-          try {
-            // Mark as available (green)
-            element.style.background = "rgb(222, 255, 222)";
-            
-            // Trigger mousedown event
-            element.dispatchEvent(new MouseEvent('mousedown', {
-              bubbles: true,
-              cancelable: true,
-              view: window
-            }));
-            
-            // Wait between events (need to use setTimeout in browser context)
-            await new Promise(r => setTimeout(r, 100));
-            
-            // Trigger mouseup event
-            element.dispatchEvent(new MouseEvent('mouseup', {
-              bubbles: true,
-              cancelable: true,
-              view: window
-            }));
-            
-            markedCount++;
-          } catch (err) {
-            failures.push({ timestamp, error: err.message || "Unknown error" });
-          }
-          
-          // Wait before processing next timestamp
-          if (i < timestamps.length - 1) {
-            await new Promise(r => setTimeout(r, 150));
-          }
-        } else {
-          failures.push({ timestamp, error: "Element not found" });
-        }
+
+    for (const run of groupConsecutiveSlots(validTimestamps, getSlotSeconds(eventDetails))) {
+      let saveResult;
+      try {
+        saveResult = await saveTimes(url, personId, run, available);
+      } catch (error) {
+        saveResult = { success: false, error: error.message || "Unknown error" };
       }
-      
-      return { markedCount, failures };
-    }, timestamps);
-    
-    // Wait to ensure changes are saved
-    console.log(`Marked ${result.markedCount} time slots, waiting for changes to save...`);
-    await new Promise(r => setTimeout(r, 5000));
-    
-    // Get the resulting URL after submission
-    const resultUrl = page.url();
-    
-    await browser.close();
-    
-    return {
-      ...result,
-      resultUrl
-    };
+
+      run.forEach(timestamp => {
+        saveResults.push(saveResult.success
+          ? { timestamp, success: true }
+          : { timestamp, success: false, error: saveResult.error });
+      });
+    }
+  };
+
+  await logger.time("save", async () => {
+    await saveRuns(plan.toAdd, true);
+    await saveRuns(plan.toRemove, false);
+  }, { url, adding: plan.toAdd.length, removing: plan.toRemove.length });
+
+  return {
+    ...summarizeSlotResults(plan, saveResults),
+    personId,
+    resultUrl: url
+  };
+}
+
+/**
+ * Helper function to run the jobs of mark-when2meet-availability-batch one after another.
+ * With the "browser" method each job takes its own page from the browser pool, with the usual
+ * task timeout. A job that fails or times out doesn't stop the others.
+ *
+ * @param {object[]} jobs - Jobs passed to the batch tool
+ * @param {object} options - Default timezone for selections, method, verify and the session's preference store
+ * @returns {object[]} Result of every job, in the order of the jobs
+ */
+async function runAvailabilityJobs(jobs, options) {
+  const results = [];
+  for (const [index, job] of jobs.entries()) {
+    results.push(await runAvailabilityJob(job, index, options));
+  }
+  return results;
+}
+
+/**
+ * Helper function to run one job of a batch: resolve its selection to timestamps, mark them
+ * and verify the result. Errors are returned in the job result instead of being thrown.
+ *
+ * @param {object} job - eventUrl, userName, password or useStoredCredential, timestamps and ifNeededTimestamps or
+ *   selection, mode and timezone
+ * @param {number} index - Position of the job in the batch
+ * @param {object} options - Default timezone, method ("direct" or "browser"), verify and the session's preference store
+ * @returns {object} index, eventUrl, userName, mode, status ("succeeded", "partial" or "failed"),
+ *   timestamps, if-needed timestamps, selection warnings, and the mark result or error
+ */
+async function runAvailabilityJob(job, index, { timezone, method, verify, preferenceStore }) {
+  const { eventUrl, userName, selection, mode = 'add' } = job;
+  const jobResult = {
+    index,
+    eventUrl,
+    userName,
+    mode,
+    timestamps: job.timestamps || [],
+    ifNeededTimestamps: job.ifNeededTimestamps || [],
+    warnings: []
+  };
+
+  try {
+    assertWhen2MeetUrl(eventUrl);
+    const password = await resolvePassword(eventUrl, userName, job.password, job.useStoredCredential);
+    if ((job.timestamps === undefined) === (selection === undefined)) {
+      throw new Error("Provide either timestamps or a selection, but not both");
+    }
+
+    // Resolve a selection expression against the event's slots
+    if (selection !== undefined) {
+      const timeZone = job.timezone || timezone;
+      assertTimeZone(timeZone);
+      const eventDetails = await getWhen2MeetEventDetails(eventUrl, { timeZone });
+      const promptData = buildAvailabilityPrompt(eventDetails, timeZone);
+      const parsed = parseSelections(selection, {
+        dayGroups: promptData.dayGroups,
+        slotLookup: promptData.slotLookup,
+        timeZone: promptData.timezone
+      });
+      jobResult.timestamps = parsed.timestamps;
+      jobResult.ifNeededTimestamps = parsed.ifNeeded;
+      jobResult.warnings = parsed.warnings;
+    }
+
+    if (jobResult.timestamps.length === 0 && mode !== 'replace') {
+      throw new Error(selection !== undefined
+        ? `The selection "${selection}" did not match any time slots`
+        : "At least one timestamp is required");
+    }
+    assertIfNeededSubset(jobResult.timestamps, jobResult.ifNeededTimestamps);
+
+    const result = method === 'browser'
+      ? await markWhen2MeetAvailability(eventUrl, userName, password, jobResult.timestamps, mode)
+      : await saveWhen2MeetAvailability(eventUrl, userName, password, jobResult.timestamps, mode);
+    await expireCachedEvent(eventUrl);
+    if (verify) {
+      result.verification = await verifySavedAvailability(eventUrl, userName, result.personId, jobResult.timestamps, mode);
+    }
+    result.preferences = recordPreferences(preferenceStore, eventUrl, userName, {
+      mode,
+      timestamps: jobResult.timestamps,
+      ifNeeded: jobResult.ifNeededTimestamps
+    }, result);
+
+    const complete = result.failures.length === 0 && (!result.verification || result.verification.verified);
+    return { ...jobResult, status: complete ? 'succeeded' : 'partial', result };
   } catch (error) {
-    console.error('Error:', error);
-    await browser.close();
-    throw error;
+    return { ...jobResult, status: 'failed', error: redactError(error) };
+  }
+}
+
+/**
+ * Helper function to read the transport from the command line: --transport stdio (default) or
+ * --transport http, also written --transport=http
+ */
+function getTransportOption(argv) {
+  let transport = "stdio";
+  argv.forEach((arg, index) => {
+    if (arg === "--transport") {
+      transport = argv[index + 1];
+    } else if (arg.startsWith("--transport=")) {
+      transport = arg.slice("--transport=".length);
+    }
+  });
+  if (transport !== "stdio" && transport !== "http") {
+    throw new Error(`Unknown transport "${transport}"; use --transport stdio or --transport http`);
   }
+  return transport;
+}
+
+/**
+ * Helper function to close whatever the server holds open and exit on SIGINT or SIGTERM
+ *
+ * @param {Object} [httpServer] - The HTTP server to close along with its sessions, when serving HTTP
+ */
+function handleShutdownSignals(httpServer) {
+  const shutdown = async signal => {
+    logger.info("Shutting down", { signal });
+    if (httpServer) {
+      httpServer.close();
+      await httpServer.closeSessions();
+    }
+    eventWatcher.stop();
+    await browserPool.shutdown();
+    process.exit(0);
+  };
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
 }
 
-// Start the server with stdio transport
+// Start the server with the transport chosen on the command line
 async function main() {
-  // Start with stdio transport for local development
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.log("When2Meet MCP server started with stdio transport");
-  
-  // Add HTTP server for Render deployment
-  const http = require('http');
-  const fs = require('fs');
-  const path = require('path');
+  const transport = getTransportOption(process.argv.slice(2));
+
+  if (transport === "stdio") {
+    // stdout carries the MCP messages, so log to stderr
+    await createServer().connect(new StdioServerTransport());
+    logger.info("When2Meet MCP server started", { transport: "stdio" });
+    handleShutdownSignals();
+    return;
+  }
+
+  // Streamable HTTP at /mcp and legacy SSE at /sse for hosted deployments such as Render.
+  // WHEN2MEET_AUTH_TOKENS (comma-separated) makes the MCP endpoints require one of the tokens, and
+  // WHEN2MEET_SESSION_IDLE_TIMEOUT closes sessions idle for that many seconds (default 1800).
   const PORT = process.env.PORT || 3000;
-  
-  const httpServer = http.createServer((req, res) => {
-    // Handle MCP requests at /mcp endpoint
-    if (req.url === '/mcp') {
-      // Let the HttpServerTransport handle this request
-      return;
-    }
-    else if (req.url === '/health') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ status: 'ok', service: 'when2meet-mcp' }));
-    } else if (req.url === '/' || req.url === '/index.html') {
-      // Serve the HTML file
-      const filePath = path.join(__dirname, 'public', 'index.html');
-      fs.readFile(filePath, (err, content) => {
-        if (err) {
-          res.writeHead(500);
-          res.end(`Error loading index.html: ${err.message}`);
-          return;
-        }
-        res.writeHead(200, { 'Content-Type': 'text/html' });
-        res.end(content);
-      });
-    } else {
-      res.writeHead(404);
-      res.end();
-    }
+  const authTokens = parseAuthTokens(process.env.WHEN2MEET_AUTH_TOKENS);
+  authTokens.forEach(addSecret);
+  if (authTokens.length === 0) {
+    logger.warning("WHEN2MEET_AUTH_TOKENS is not set: anyone who can reach this server can use it, " +
+      "including marking availability under any name. Set it before exposing the server.");
+  }
+  const httpServer = createHttpServer({
+    createServer: () => createServer({ hosted: true }),
+    authTokens,
+    sessionIdleMs: (parseInt(process.env.WHEN2MEET_SESSION_IDLE_TIMEOUT, 10) || 1800) * 1000,
+    getHealth: () => ({ browserPool: browserPool.stats() }),
+    indexFile: path.join(__dirname, "public", "index.html"),
+    logger
   });
-  
-  // Start HTTP server
+
   httpServer.listen(PORT, () => {
-    console.log(`HTTP server listening on port ${PORT}`);
+    logger.info("When2Meet MCP server started", {
+      transport: "http",
+      port: Number(PORT),
+      endpoints: { streamableHttp: "/mcp", sse: "/sse" },
+      authentication: authTokens.length > 0
+    });
   });
-  
-  // Set up HTTP transport for MCP
-  const httpTransport = new HttpServerTransport({
-    server: httpServer,
-    path: "/mcp"
+
+  handleShutdownSignals(httpServer);
+}
+
+// Run the MCP server when started directly; tests require this file and connect their own transport
+if (require.main === module) {
+  main().catch(error => {
+    logger.error("Error starting server", { error, stack: error && error.stack });
+    process.exit(1);
   });
-  
-  // Connect the server to the HTTP transport
-  await server.connect(httpTransport);
-  console.log("MCP server connected to HTTP transport at /mcp endpoint");
 }
 
-// By default, run the MCP server
-main().catch(error => {
-  console.error("Error starting server:", error);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = {
+  createServer,
+  browserPool,
+  eventWatcher
+};
\ No newline at end of file